@@ -0,0 +1,56 @@
+/**
+ * Notiphy.me service worker, for desktop notifications while no tab is open. Serve it from your site and set the
+ * widget's `serviceWorker` option to its URL, e.g. `serviceWorker: '/notiphy-sw.js'`. Its scope is the directory
+ * it is served from, so serve it from the root to cover the whole site.
+ *
+ * The service pushes each notification as JSON: `{ id, title, text, alertLevel, actionUrl }`. Clicking one brings a
+ * tab of the site to the front and passes the click on to its widget, which follows the actionUrl or opens the
+ * Inbox, as for its own desktop notifications. With no tab open, it opens the actionUrl (http and https only), or
+ * else the site. The widget's own desktop notifications go through here as well, once the worker is registered,
+ * and share a tag with the pushed ones, so each notification shows once.
+ */
+
+self.addEventListener('push', (event) => {
+    let notification;
+    try {
+        notification = event.data.json();
+    } catch (error) {
+        notification = { text: event.data ? event.data.text() : '' };
+    }
+    event.waitUntil(self.registration.showNotification(notification.title || 'Notiphy.me', {
+        body: notification.text || '',
+        tag: notification.id != null ? `notiphy-${notification.id}` : undefined,
+        requireInteraction: notification.alertLevel === 'blocker',
+        data: { id: notification.id != null ? `${notification.id}` : null, actionUrl: safeUrl(notification.actionUrl) },
+    }));
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const data = event.notification.data || {};
+    const actionUrl = safeUrl(data.actionUrl);
+    event.waitUntil((async () => {
+        const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        if (!windows.length) {
+            return self.clients.openWindow(actionUrl || self.registration.scope);
+        }
+        const client = windows.find((window) => window.focused) || windows[0];
+        await client.focus();
+        client.postMessage({ type: 'notiphy-notification-click', id: data.id != null ? data.id : null, actionUrl });
+    })());
+});
+
+/**
+ * The URL, resolved against the site, if it is http or https. Pushed data is untrusted.
+ */
+function safeUrl(url) {
+    if (!url) {
+        return null;
+    }
+    try {
+        const resolved = new URL(url, self.location.origin);
+        return ['http:', 'https:'].includes(resolved.protocol) ? resolved.href : null;
+    } catch (error) {
+        return null;
+    }
+}
@@ -0,0 +1,320 @@
+/**
+ * A local stand-in for the Notiphy.me service, for developing the widget with no network.
+ * Keeps notifications in memory and implements the endpoints and socket events the widget uses:
+ *
+ *   GET  /widget/notifications?subscriberId=&locationId=&lastFetched=[&limit=&before=]
+ *   GET  /widget/notifications/stream?subscriberId=&locationId=&token=
+ *                                         Server-Sent Events: notification, mark-read, dismiss
+ *   POST /widget/notification/mark-read   { notificationId, subscriberId }
+ *   POST /widget/notification/dismiss     { notificationId, subscriberId, locationCode }
+ *   POST /widget/notification/action      { notificationId, actionId, subscriberId, locationCode }
+ *   POST /widget/notifications/mark-read  { notificationIds, subscriberId }
+ *   POST /widget/notifications/dismiss    { notificationIds, subscriberId, locationCode }
+ *   POST /widget/push/subscribe           { subscription, subscriberId, locationCode }
+ *   POST /widget/push/unsubscribe         { endpoint, subscriberId }
+ *   Socket.IO namespace /<subscriberId>:  joinRoom, markReadNotification, dismissNotification
+ *                                         -> notification, mark-read, dismiss
+ *
+ * Plus, to send notifications to the widget (same shape as the Notiphy.me API):
+ *
+ *   POST /api/notifications               { subscriberId, locationId, notification: { title, text, ... } }
+ *
+ * and, for widgets using getToken, a token for a subscriber and location, valid for `ttl` seconds (default: 300):
+ *
+ *   POST /api/tokens                      { subscriberId, locationId, ttl } -> { token, expiresAt }
+ *
+ * Any widgetKey is accepted, except "invalid", which gets a 401 (to try the error handling). A token is accepted
+ * until it expires, as `Authorization: Bearer`, the event stream's `token` or the socket's `auth.token`, and
+ * its subscriber and location are used in place of those the widget sends.
+ * Push subscriptions are kept, and logged for each new notification, but nothing is pushed: that needs the
+ * service's VAPID keys and a Web Push library.
+ * With --no-websocket, Socket.IO is left out, as behind a proxy that blocks it, for the widget to fall back.
+ *
+ * Usage: npm run mock-server [-- --port 3001] [-- --no-websocket]
+ * Then:  new NotiphyWidget({ serviceUrl: 'http://localhost:3001', subscriberId: 'dev', widgetKey: 'dev' });
+ */
+import crypto from 'node:crypto';
+import http from 'node:http';
+import { Server } from 'socket.io';
+
+const portArgument = process.argv.indexOf('--port');
+const port = Number(portArgument > -1 ? process.argv[portArgument + 1] : process.env.PORT) || 3001;
+const websocket = !process.argv.includes('--no-websocket');
+
+// subscriberId -> locationId -> Map(id -> notification)
+const store = new Map();
+// "subscriberId/locationId" -> Set of open event stream responses
+const streams = new Map();
+// "subscriberId/locationId" -> Map(endpoint -> Web Push subscription)
+const pushSubscriptions = new Map();
+let nextId = 1;
+
+const now = () => Math.floor(Date.now() / 1000);
+
+function getLocation(subscriberId, locationId) {
+    if (!store.has(subscriberId)) {
+        store.set(subscriberId, new Map());
+    }
+    const subscriber = store.get(subscriberId);
+    if (!subscriber.has(locationId)) {
+        subscriber.set(locationId, new Map());
+    }
+    return subscriber.get(locationId);
+}
+
+function findNotification(subscriberId, notificationId) {
+    for (const [locationId, notifications] of store.get(subscriberId) || []) {
+        if (notifications.has(notificationId)) {
+            return { locationId, notification: notifications.get(notificationId) };
+        }
+    }
+    return {};
+}
+
+/**
+ * Sends an event to the widgets at a location: over Socket.IO, unless `socketToo` is false (the widget announces
+ * reads and dismissals there itself), and to the event streams.
+ */
+function deliver(subscriberId, locationId, event, data, socketToo = true) {
+    if (socketToo && io) {
+        io.of(`/${subscriberId}`).to(locationId).emit(event, data);
+    }
+    for (const response of streams.get(`${subscriberId}/${locationId}`) || []) {
+        response.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+}
+
+// Tokens are JWTs signed with a secret made up at startup, so they don't outlive the server.
+const secret = crypto.randomBytes(32);
+const sign = (data) => crypto.createHmac('sha256', secret).update(data).digest('base64url');
+
+function createToken(claims) {
+    const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+    const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    return `${header}.${payload}.${sign(`${header}.${payload}`)}`;
+}
+
+/**
+ * The claims of a token signed here that hasn't expired, otherwise null.
+ */
+function verifyToken(token) {
+    const [header, payload, signature] = `${token}`.split('.');
+    if (!signature || signature !== sign(`${header}.${payload}`)) {
+        return null;
+    }
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    return claims.exp > now() ? claims : null;
+}
+
+function send(response, status, body) {
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body));
+}
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        request.on('data', (chunk) => (body += chunk));
+        request.on('end', () => {
+            try {
+                resolve(body ? JSON.parse(body) : {});
+            } catch (error) {
+                reject(error);
+            }
+        });
+    });
+}
+
+const server = http.createServer(async (request, response) => {
+    response.setHeader('Access-Control-Allow-Origin', '*');
+    response.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, x-api-key, x-subscriber-id, x-location-id');
+    response.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    if (request.method === 'OPTIONS') {
+        response.writeHead(204);
+        response.end();
+        return;
+    }
+
+    const url = new URL(request.url, `http://${request.headers.host}`);
+    let subscriberId = request.headers['x-subscriber-id'];
+    const isWidgetRoute = url.pathname.startsWith('/widget/');
+    // EventSource can't send headers, so the event stream has the token in its query. Never the key, which logs keep.
+    const apiKey = request.headers['x-api-key'];
+    const bearer = (request.headers['authorization'] || '').replace(/^Bearer /, '') || url.searchParams.get('token');
+    const claims = bearer ? verifyToken(bearer) : null;
+    if (isWidgetRoute && bearer && !claims) {
+        send(response, 401, { message: 'Invalid or expired token.' });
+        return;
+    }
+    if (isWidgetRoute && !bearer && (!apiKey || apiKey === 'invalid')) {
+        send(response, 401, { message: 'Invalid API key.' });
+        return;
+    }
+
+    let body;
+    try {
+        body = request.method === 'POST' ? await readBody(request) : {};
+    } catch (error) {
+        send(response, 400, { message: 'Invalid JSON.' });
+        return;
+    }
+    if (isWidgetRoute && claims) {
+        // Trust the token, not what the widget says.
+        subscriberId = claims.sub;
+        body.subscriberId = claims.sub;
+        body.locationCode = claims.loc;
+        url.searchParams.set('subscriberId', claims.sub);
+        url.searchParams.set('locationId', claims.loc);
+    }
+
+    if (request.method === 'GET' && url.pathname === '/widget/notifications/stream') {
+        const key = `${url.searchParams.get('subscriberId')}/${url.searchParams.get('locationId')}`;
+        if (!streams.has(key)) {
+            streams.set(key, new Set());
+        }
+        streams.get(key).add(response);
+        response.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Connection': 'keep-alive' });
+        response.write(': connected\n\n');
+        request.on('close', () => streams.get(key).delete(response));
+    } else if (request.method === 'GET' && url.pathname === '/widget/notifications') {
+        const lastFetched = Number(url.searchParams.get('lastFetched')) || 0;
+        const limit = Number(url.searchParams.get('limit')) || 0;
+        const before = Number(url.searchParams.get('before')) || 0;
+        const notifications = getLocation(url.searchParams.get('subscriberId'), url.searchParams.get('locationId'));
+        let changed = [...notifications.values()]
+            .filter((notification) => notification._updated >= lastFetched)
+            .map(({ _updated, ...notification }) => notification);
+        if (limit) {
+            // A page: the newest `limit` notifications created before `before`.
+            changed = changed
+                .filter((notification) => !before || notification._ts < before)
+                .sort((a, b) => b._ts - a._ts)
+                .slice(0, limit);
+        }
+        send(response, 200, changed);
+    } else if (request.method === 'POST' && url.pathname === '/widget/notification/mark-read') {
+        const { locationId, notification } = findNotification(body.subscriberId || subscriberId, body.notificationId);
+        if (!notification) {
+            send(response, 404, { message: 'Notification not found.' });
+            return;
+        }
+        Object.assign(notification, { read: true, _updated: now() });
+        deliver(body.subscriberId || subscriberId, locationId, 'mark-read', body.notificationId, false);
+        send(response, 200, { message: 'Notification marked as read.' });
+    } else if (request.method === 'POST' && url.pathname === '/widget/notification/dismiss') {
+        const { locationId, notification } = findNotification(body.subscriberId || subscriberId, body.notificationId);
+        if (!notification) {
+            send(response, 404, { message: 'Notification not found.' });
+            return;
+        }
+        Object.assign(notification, { dismissed: true, _updated: now() });
+        deliver(body.subscriberId || subscriberId, locationId, 'dismiss', body.notificationId, false);
+        send(response, 200, { message: 'Notification dismissed.' });
+    } else if (request.method === 'POST' && (url.pathname === '/widget/notifications/mark-read' || url.pathname === '/widget/notifications/dismiss')) {
+        // The bulk versions, for "Mark ALL read" and "Dismiss ALL". Unknown IDs are skipped.
+        const changes = url.pathname.endsWith('/mark-read') ? { read: true } : { dismissed: true };
+        const found = (body.notificationIds || [])
+            .map((notificationId) => findNotification(body.subscriberId || subscriberId, notificationId))
+            .filter(({ notification }) => notification);
+        found.forEach(({ locationId, notification }) => {
+            Object.assign(notification, changes, { _updated: now() });
+            deliver(body.subscriberId || subscriberId, locationId, changes.read ? 'mark-read' : 'dismiss', notification.id, false);
+        });
+        send(response, 200, { message: `${found.length} notifications ${changes.read ? 'marked as read' : 'dismissed'}.` });
+    } else if (request.method === 'POST' && url.pathname === '/widget/notification/action') {
+        const { notification } = findNotification(body.subscriberId || subscriberId, body.notificationId);
+        if (!notification) {
+            send(response, 404, { message: 'Notification not found.' });
+            return;
+        }
+        console.log(`Action "${body.actionId}" on notification ${body.notificationId}`);
+        send(response, 200, { message: `Action "${body.actionId}" received.` });
+    } else if (request.method === 'POST' && url.pathname === '/widget/push/subscribe') {
+        if (!body.subscription || !body.subscription.endpoint) {
+            send(response, 400, { message: 'subscription is required.' });
+            return;
+        }
+        const key = `${body.subscriberId || subscriberId}/${body.locationCode}`;
+        if (!pushSubscriptions.has(key)) {
+            pushSubscriptions.set(key, new Map());
+        }
+        pushSubscriptions.get(key).set(body.subscription.endpoint, body.subscription);
+        send(response, 201, { message: 'Subscribed to push notifications.' });
+    } else if (request.method === 'POST' && url.pathname === '/widget/push/unsubscribe') {
+        for (const [key, subscriptions] of pushSubscriptions) {
+            if (key.startsWith(`${body.subscriberId || subscriberId}/`)) {
+                subscriptions.delete(body.endpoint);
+            }
+        }
+        send(response, 200, { message: 'Unsubscribed from push notifications.' });
+    } else if (request.method === 'POST' && url.pathname === '/api/tokens') {
+        if (!body.subscriberId || !body.locationId) {
+            send(response, 400, { message: 'subscriberId and locationId are required.' });
+            return;
+        }
+        const exp = now() + (Number(body.ttl) || 300);
+        send(response, 201, { token: createToken({ sub: body.subscriberId, loc: body.locationId, exp }), expiresAt: exp * 1000 });
+    } else if (request.method === 'POST' && url.pathname === '/api/notifications') {
+        if (!body.subscriberId || !body.locationId || !body.notification) {
+            send(response, 400, { message: 'subscriberId, locationId and notification are required.' });
+            return;
+        }
+        const notification = {
+            id: `${nextId++}`,
+            read: false,
+            ...body.notification,
+            _ts: now(),
+        };
+        notification._updated = notification._ts;
+        getLocation(body.subscriberId, body.locationId).set(notification.id, notification);
+        const { _updated, ...delivered } = notification;
+        deliver(body.subscriberId, body.locationId, 'notification', delivered);
+        const subscriptions = pushSubscriptions.get(`${body.subscriberId}/${body.locationId}`);
+        if (subscriptions && subscriptions.size) {
+            console.log(`Notification ${delivered.id} would be pushed to ${subscriptions.size} push subscription(s)`);
+        }
+        send(response, 201, delivered);
+    } else {
+        send(response, 404, { message: 'Not found.' });
+    }
+});
+
+const io = websocket ? new Server(server, { cors: { origin: '*' } }) : null;
+
+// One namespace per subscriber, one room per location. A socket with a token gets its subscriber's namespace and
+// location's room only.
+io?.of(/^\/[^/]+$/).use((socket, next) => {
+    const { token } = socket.handshake.auth || {};
+    if (token === undefined) {
+        next();
+        return;
+    }
+    const claims = verifyToken(token);
+    if (!claims || socket.nsp.name !== `/${claims.sub}`) {
+        next(Object.assign(new Error('Unauthorized'), { data: { status: 401 } }));
+        return;
+    }
+    socket.data.claims = claims;
+    next();
+}).on('connection', (socket) => {
+    let room = null;
+    socket.on('joinRoom', (locationId) => {
+        room = socket.data.claims ? socket.data.claims.loc : locationId;
+        socket.join(room);
+    });
+    // The widget emits these after its REST call, for the other widgets at the same location.
+    socket.on('markReadNotification', (notificationId) => {
+        if (room) {
+            socket.to(room).emit('mark-read', notificationId);
+        }
+    });
+    socket.on('dismissNotification', (notificationId) => {
+        if (room) {
+            socket.to(room).emit('dismiss', notificationId);
+        }
+    });
+});
+
+server.listen(port, () => {
+    console.log(`Notiphy mock server listening on http://localhost:${port}`);
+});
@@ -0,0 +1,90 @@
+/**
+ * The event object handed to every widget listener.
+ * Cancelable events ("before-*") can be stopped by calling `preventDefault()`, in which case
+ * the widget skips its default behavior (showing, marking read, dismissing, opening, closing).
+ *
+ * @class NotiphyEvent
+ * @param {string} type ........ The event name, e.g. "notification" or "before-dismiss".
+ * @param {*} detail ........... The event payload (notification object, `{ id }`, etc.).
+ * @param {boolean} cancelable . Whether `preventDefault()` has any effect.
+ */
+export class NotiphyEvent {
+    constructor(type, detail, cancelable = false) {
+        this.type = type;
+        this.detail = detail;
+        this.cancelable = cancelable;
+        this.defaultPrevented = false;
+        this.timeStamp = Date.now();
+    }
+
+    preventDefault() {
+        if (this.cancelable) {
+            this.defaultPrevented = true;
+        }
+    }
+}
+
+/**
+ * Tiny synchronous event emitter. Listener errors are caught and logged, so a faulty host
+ * callback can never break the widget itself.
+ */
+export default class Emitter {
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    /**
+     * Subscribes a callback to an event.
+     * @param {string} type - The event name.
+     * @param {Function} callback - Called with `(detail, event)`.
+     */
+    on(type, callback) {
+        if (typeof callback !== 'function') {
+            throw new TypeError(`Listener for "${type}" must be a function.`);
+        }
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, new Set());
+        }
+        this.listeners.get(type).add(callback);
+    }
+
+    /**
+     * Unsubscribes a callback. Without a callback, removes every listener for the event,
+     * and without arguments removes every listener altogether.
+     * @param {string} [type] - The event name.
+     * @param {Function} [callback] - The callback passed to `on()`.
+     */
+    off(type, callback) {
+        if (type === undefined) {
+            this.listeners.clear();
+        } else if (callback === undefined) {
+            this.listeners.delete(type);
+        } else if (this.listeners.has(type)) {
+            this.listeners.get(type).delete(callback);
+        }
+    }
+
+    /**
+     * Calls every listener of an event in subscription order.
+     * @param {string} type - The event name.
+     * @param {*} detail - The event payload.
+     * @param {boolean} [cancelable=false] - Whether listeners may cancel the default behavior.
+     * @returns {NotiphyEvent} - The dispatched event, check `defaultPrevented` for cancelable events.
+     */
+    emit(type, detail, cancelable = false) {
+        const event = new NotiphyEvent(type, detail, cancelable);
+        const listeners = this.listeners.get(type);
+        if (!listeners) {
+            return event;
+        }
+        // Copy, so listeners can safely call off() while we iterate.
+        [...listeners].forEach((callback) => {
+            try {
+                callback(detail, event);
+            } catch (error) {
+                console.error(`Notiphy "${type}" listener failed:`, error);
+            }
+        });
+        return event;
+    }
+}
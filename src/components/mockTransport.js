@@ -0,0 +1,161 @@
+/**
+ * An in-memory transport, for developing and testing the widget with no network.
+ * Implements the same interface as `NotiphyTransport` (see transport.js), and adds methods to
+ * play the server's part: `push()` a notification, or mark one read/dismissed "from another widget".
+ *
+ * @class MockTransport
+ * @param {Object} [options]
+ * @param {Object[]} [options.notifications] ... Notifications to start with.
+ * @param {number} [options.latency] ........... Simulated network latency in milliseconds (default: 0).
+ * @param {boolean} [options.autoConnect] ...... Connect as soon as the widget subscribes (default: true).
+ * @example
+ * const transport = new NotiphyWidget.MockTransport({ latency: 200 });
+ * new NotiphyWidget({ subscriberId: 'dev', widgetKey: 'dev', transport });
+ * transport.push({ title: 'Hello', text: 'From the mock transport.', alertLevel: 'info' });
+ */
+export default class MockTransport {
+    constructor({ notifications = [], latency = 0, autoConnect = true } = {}) {
+        this.notifications = new Map();
+        this.latency = latency;
+        this.autoConnect = autoConnect;
+        this.handlers = null;
+        this.connected = false;
+        this.nextId = 1;
+        this.invokedActions = []; // { notificationId, actionId } of every "post" action, in order.
+        notifications.forEach((notification) => this.add(notification));
+    }
+
+    /**
+     * Stores a notification, filling in `id` and `_ts` if missing.
+     * @returns {Object} - The stored notification.
+     */
+    add(notification) {
+        const stored = {
+            id: `mock-${this.nextId++}`,
+            read: false,
+            _ts: Math.floor(Date.now() / 1000),
+            ...notification,
+        };
+        stored._updated = stored._ts;
+        this.notifications.set(stored.id, stored);
+        return stored;
+    }
+
+    update(notificationId, changes) {
+        const notification = this.notifications.get(notificationId);
+        if (!notification) {
+            return null;
+        }
+        Object.assign(notification, changes, { _updated: Math.floor(Date.now() / 1000) });
+        return notification;
+    }
+
+    delay(value) {
+        return new Promise((resolve) => setTimeout(() => resolve(value), this.latency));
+    }
+
+    fetchNotifications(lastFetched = 0, { limit, before } = {}) {
+        let changed = [...this.notifications.values()]
+            .filter((notification) => notification._updated >= lastFetched)
+            .map(({ _updated, ...notification }) => notification);
+        if (limit) {
+            changed = changed
+                .filter((notification) => !before || notification._ts < before)
+                .sort((a, b) => b._ts - a._ts)
+                .slice(0, limit);
+        }
+        return this.delay(changed);
+    }
+
+    markRead(notificationId) {
+        const found = this.update(notificationId, { read: true });
+        return this.delay({ message: found ? 'Notification marked as read.' : 'Notification not found.' });
+    }
+
+    dismiss(notificationId) {
+        const found = this.update(notificationId, { dismissed: true });
+        return this.delay({ message: found ? 'Notification dismissed.' : 'Notification not found.' });
+    }
+
+    markReadMany(notificationIds) {
+        const found = notificationIds.filter((notificationId) => this.update(notificationId, { read: true }));
+        return this.delay({ message: `${found.length} notifications marked as read.` });
+    }
+
+    dismissMany(notificationIds) {
+        const found = notificationIds.filter((notificationId) => this.update(notificationId, { dismissed: true }));
+        return this.delay({ message: `${found.length} notifications dismissed.` });
+    }
+
+    invokeAction(notificationId, actionId) {
+        if (!this.notifications.has(notificationId)) {
+            return this.delay().then(() => Promise.reject(new Error('Notification not found.')));
+        }
+        this.invokedActions.push({ notificationId, actionId });
+        return this.delay({ message: `Action "${actionId}" received.` });
+    }
+
+    subscribe(handlers) {
+        this.handlers = handlers;
+        if (this.autoConnect) {
+            this.connect();
+        }
+        return () => {
+            this.handlers = null;
+        };
+    }
+
+    connect() {
+        if (this.connected) {
+            return;
+        }
+        this.connected = true;
+        this.delay().then(() => this.handlers && this.handlers.connect());
+    }
+
+    disconnect(reason = 'io client disconnect') {
+        if (!this.connected) {
+            return;
+        }
+        this.connected = false;
+        this.delay().then(() => this.handlers && this.handlers.disconnect(reason));
+    }
+
+    close() {
+        this.handlers = null;
+        this.connected = false;
+    }
+
+    /**
+     * Delivers a new notification, as the server would.
+     * @returns {Object} - The stored notification.
+     */
+    push(notification) {
+        const stored = this.add(notification);
+        if (this.connected && this.handlers) {
+            const { _updated, ...delivered } = stored;
+            this.delay().then(() => this.handlers && this.handlers.notification(delivered));
+        }
+        return stored;
+    }
+
+    /**
+     * Marks a notification as read as if another widget at this location did.
+     */
+    remoteRead(notificationId) {
+        this.update(notificationId, { read: true });
+        if (this.connected && this.handlers) {
+            this.delay().then(() => this.handlers && this.handlers.read(notificationId));
+        }
+    }
+
+    /**
+     * Dismisses a notification as if another widget at this location did.
+     */
+    remoteDismiss(notificationId) {
+        this.update(notificationId, { dismissed: true });
+        if (this.connected && this.handlers) {
+            this.delay().then(() => this.handlers && this.handlers.dismiss(notificationId));
+        }
+    }
+}
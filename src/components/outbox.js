@@ -0,0 +1,142 @@
+import { TransportError } from './transport.js';
+
+/**
+ * Reads and dismissals waiting for the service. The widget updates the Inbox first, then adds the action here;
+ * the outbox sends the actions in order, retrying with backoff while the service can't be reached, and keeps
+ * them in sessionStorage so a reload doesn't lose them. An action the service rejects is dropped and handed to
+ * `onRejected`, for the widget to undo.
+ *
+ * @class Outbox
+ * @param {string} key ..................... The sessionStorage key, e.g. "notiphyWidgetOutbox:acme:store-101".
+ * @param {Object} options
+ * @param {Function} options.send .......... Sends an action, `(action) => Promise`. Rejects to retry or give up.
+ * @param {Function} options.onSent ........ Called with `(action, result)` once the service has accepted it.
+ * @param {Function} options.onRejected .... Called with `(action, error)` once the service has rejected it.
+ * @param {number} [options.minDelay] ...... The first retry's delay in ms, doubling each time (default: 1000).
+ * @param {number} [options.maxDelay] ...... The longest delay between retries in ms (default: 60000).
+ * @example
+ * const outbox = new Outbox('notiphyWidgetOutbox:acme:store-101', {
+ *     send: ({ type, ids }) => type === 'read' ? transport.markReadMany(ids) : transport.dismissMany(ids),
+ *     onSent: (action) => console.log('done:', action.ids),
+ *     onRejected: (action, error) => undo(action),
+ * });
+ * await outbox.add({ type: 'read', ids: ['n1', 'n2'] });
+ */
+export default class Outbox {
+    constructor(key, { send, onSent, onRejected, minDelay = 1000, maxDelay = 60000 }) {
+        this.key = key;
+        this.send = send;
+        this.onSent = onSent;
+        this.onRejected = onRejected;
+        this.minDelay = minDelay;
+        this.maxDelay = maxDelay;
+        this.actions = JSON.parse(sessionStorage.getItem(key)) || []; // { id, type, ids, attempts, ... }, oldest first.
+        this.callbacks = new Map(); // Action id -> resolve(), for actions added since the page loaded.
+        this.sending = false;
+        this.timer = null;         // The next retry.
+        this.closed = false;
+    }
+
+    /**
+     * Queues an action and starts sending.
+     * @param {Object} action - `{ type, ids }`, plus anything needed to undo it. Must survive JSON.
+     * @returns {Promise<boolean>} - Resolves `true` once the service has accepted it, `false` if it was rejected.
+     */
+    add(action) {
+        const queued = { ...action, id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`, attempts: 0 };
+        this.actions.push(queued);
+        this.save();
+        const done = new Promise((resolve) => this.callbacks.set(queued.id, resolve));
+        this.flush();
+        return done;
+    }
+
+    /**
+     * The notification IDs with an action of this type waiting.
+     * @param {string} type - e.g. "read" or "dismiss".
+     * @returns {Set<string>}
+     */
+    pending(type) {
+        return new Set(this.actions.filter((action) => action.type === type).flatMap((action) => action.ids.map(String)));
+    }
+
+    /**
+     * Sends the waiting actions now, e.g. when the service is back, rather than waiting for the next retry.
+     */
+    async flush() {
+        if (this.sending || this.closed) {
+            return;
+        }
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.sending = true;
+        try {
+            while (this.actions.length && !this.closed) {
+                const action = this.actions[0];
+                let result;
+                try {
+                    result = await this.send(action);
+                } catch (error) {
+                    if (this.closed) {
+                        return; // Aborted, it stays stored for the next page load.
+                    }
+                    if (!Outbox.isRetryable(error)) {
+                        this.finish(action, false);
+                        this.onRejected(action, error);
+                        continue;
+                    }
+                    action.attempts++;
+                    this.save();
+                    const delay = Math.min(this.minDelay * 2 ** (action.attempts - 1), this.maxDelay);
+                    console.error(`Couldn't reach the service, retrying in ${delay / 1000}s:`, error);
+                    this.timer = setTimeout(() => this.flush(), delay);
+                    return;
+                }
+                this.finish(action, true);
+                this.onSent(action, result);
+            }
+        } finally {
+            this.sending = false;
+        }
+    }
+
+    /**
+     * Whether an action that failed with `error` may succeed later: the request didn't reach the service, or
+     * the service was down, busy or timed out (a TransportError with a 5xx, 408 or 429 status). Anything else is a
+     * rejection, including errors that aren't the service's, e.g. a bug in a custom transport.
+     */
+    static isRetryable(error) {
+        if (TransportError.isNetworkError(error)) {
+            return true;
+        }
+        const status = error instanceof TransportError ? error.status : 0;
+        return status >= 500 || status === 408 || status === 429;
+    }
+
+    finish(action, accepted) {
+        this.actions = this.actions.filter((queued) => queued !== action);
+        this.save();
+        const resolve = this.callbacks.get(action.id);
+        this.callbacks.delete(action.id);
+        if (resolve) {
+            resolve(accepted);
+        }
+    }
+
+    save() {
+        if (this.actions.length) {
+            sessionStorage.setItem(this.key, JSON.stringify(this.actions));
+        } else {
+            sessionStorage.removeItem(this.key);
+        }
+    }
+
+    /**
+     * Stops sending, e.g. when the widget is destroyed. Waiting actions stay stored.
+     */
+    close() {
+        this.closed = true;
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+}
@@ -0,0 +1,110 @@
+/**
+ * Helpers for rendering notification content safely. Notifications come from the service (or whoever can
+ * send to it), so their title, text and actionUrl are never trusted as markup or script.
+ */
+
+// URL schemes a notification's actionUrl and rich-text links may use, unless `config.allowedSchemes` says otherwise.
+export const defaultAllowedSchemes = ['https:', 'http:', 'mailto:', 'tel:'];
+
+// The rich-text subset: element names mapped to the attributes they keep. Everything else is unwrapped to its text.
+const allowedElements = {
+    a: ['href', 'title'],
+    b: [],
+    strong: [],
+    i: [],
+    em: [],
+    u: [],
+    code: [],
+    pre: [],
+    br: [],
+};
+
+// Elements whose content is dropped along with them, rather than kept as text.
+const droppedElements = ['script', 'style', 'template', 'iframe', 'object', 'embed', 'noscript'];
+
+/**
+ * Validates a URL against the allowed schemes. Relative URLs resolve against the page, so they take its scheme.
+ * @param {string} url - The URL to validate.
+ * @param {string[]} [allowedSchemes] - Allowed schemes, with the trailing colon, e.g. "https:".
+ * @returns {string|null} - The absolute URL, or null if it is missing, invalid or uses another scheme.
+ */
+export function safeUrl(url, allowedSchemes = defaultAllowedSchemes) {
+    if (typeof url !== 'string' || !url.trim()) {
+        return null;
+    }
+    let parsed;
+    try {
+        parsed = new URL(url.trim(), document.baseURI);
+    } catch (error) {
+        return null;
+    }
+    return allowedSchemes.includes(parsed.protocol) ? parsed.href : null;
+}
+
+/**
+ * Escapes text for use in HTML markup, in element content and quoted attribute values.
+ * @param {*} text - The text to escape. null and undefined become an empty string.
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+    return `${text ?? ''}`
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Parses `html` and rebuilds it from the rich-text subset only: bold, italics, code and links.
+ * The markup is parsed in an inert template, so nothing in it runs, and the result is made of fresh
+ * elements carrying only the allowed attributes. Links get `target="_blank"` and `rel="noopener noreferrer"`.
+ * @param {string} html - The untrusted markup.
+ * @param {string[]} [allowedSchemes] - Schemes links may use; links to anything else are unwrapped to their text.
+ * @returns {DocumentFragment} - The sanitized content, ready to be appended.
+ */
+export function sanitizeHtml(html, allowedSchemes = defaultAllowedSchemes) {
+    const template = document.createElement('template');
+    template.innerHTML = `${html ?? ''}`;
+    const fragment = document.createDocumentFragment();
+    copyAllowed(template.content, fragment, allowedSchemes);
+    return fragment;
+}
+
+function copyAllowed(source, target, allowedSchemes) {
+    source.childNodes.forEach((node) => {
+        if (node.nodeType === Node.TEXT_NODE) {
+            target.appendChild(document.createTextNode(node.textContent));
+            return;
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+            return; // comments, processing instructions...
+        }
+        const name = node.localName;
+        if (droppedElements.includes(name)) {
+            return;
+        }
+        if (!Object.prototype.hasOwnProperty.call(allowedElements, name)) {
+            copyAllowed(node, target, allowedSchemes);
+            return;
+        }
+        const element = document.createElement(name);
+        allowedElements[name].forEach((attribute) => {
+            if (node.hasAttribute(attribute)) {
+                element.setAttribute(attribute, node.getAttribute(attribute));
+            }
+        });
+        if (name === 'a') {
+            const href = safeUrl(node.getAttribute('href'), allowedSchemes);
+            if (!href) {
+                copyAllowed(node, target, allowedSchemes);
+                return;
+            }
+            element.setAttribute('href', href);
+            element.setAttribute('target', '_blank');
+            element.setAttribute('rel', 'noopener noreferrer');
+        }
+        copyAllowed(node, element, allowedSchemes);
+        target.appendChild(element);
+    });
+}
@@ -0,0 +1,113 @@
+/**
+ * The widget's notifications, in one place. Everything else is derived from it: the Inbox items, the counts
+ * on the badge and in the Inbox, and the copy in sessionStorage are all updated by subscribers, so they can't
+ * disagree. Notifications are replaced, never modified in place, so a subscriber can compare versions.
+ *
+ * @class NotificationStore
+ * @param {Object[]} [notifications] - Notifications to start with, e.g. those stored for this session.
+ * @example
+ * const store = new NotificationStore();
+ * store.subscribe(({ ids }) => console.log('changed:', ids));
+ * store.put({ id: 'n1', title: 'Hello', read: false });
+ * store.update('n1', { read: true });
+ */
+export default class NotificationStore {
+    constructor(notifications = []) {
+        this.notifications = new Map(); // id (as a string) -> notification, in the order they were added.
+        this.listeners = new Set();
+        this.batchDepth = 0;
+        this.changedIds = new Set();     // Changed during the current batch.
+        notifications.forEach((notification) => this.notifications.set(`${notification.id}`, notification));
+    }
+
+    /**
+     * Subscribes to changes. Listeners are called synchronously after each change, or once at the end of a batch.
+     * @param {function({ids: string[]}): void} listener - Called with the IDs of the notifications that were
+     *                                                   added, changed or removed.
+     * @returns {Function} - Unsubscribes.
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * @returns {Object|undefined} - The notification, if in the store.
+     */
+    get(notificationId) {
+        return this.notifications.get(`${notificationId}`);
+    }
+
+    has(notificationId) {
+        return this.notifications.has(`${notificationId}`);
+    }
+
+    /**
+     * @returns {Object[]} - Every notification, in the order they were added.
+     */
+    all() {
+        return Array.from(this.notifications.values());
+    }
+
+    /**
+     * Adds a notification, or replaces the one with the same ID.
+     */
+    put(notification) {
+        this.notifications.set(`${notification.id}`, notification);
+        this.changed(notification.id);
+    }
+
+    /**
+     * Replaces a notification with a copy including `changes`.
+     * @returns {Object|null} - The updated notification, or null if it isn't in the store.
+     */
+    update(notificationId, changes) {
+        const notification = this.get(notificationId);
+        if (!notification) {
+            return null;
+        }
+        const updated = { ...notification, ...changes };
+        this.notifications.set(`${notificationId}`, updated);
+        this.changed(notificationId);
+        return updated;
+    }
+
+    /**
+     * @returns {boolean} - `false` if it wasn't in the store.
+     */
+    remove(notificationId) {
+        if (!this.notifications.delete(`${notificationId}`)) {
+            return false;
+        }
+        this.changed(notificationId);
+        return true;
+    }
+
+    /**
+     * Runs `callback`, telling the subscribers about all its changes at once, when it returns.
+     */
+    batch(callback) {
+        this.batchDepth++;
+        try {
+            callback();
+        } finally {
+            this.batchDepth--;
+            if (!this.batchDepth && this.changedIds.size) {
+                this.notify();
+            }
+        }
+    }
+
+    changed(notificationId) {
+        this.changedIds.add(`${notificationId}`);
+        if (!this.batchDepth) {
+            this.notify();
+        }
+    }
+
+    notify() {
+        const ids = Array.from(this.changedIds);
+        this.changedIds.clear();
+        this.listeners.forEach((listener) => listener({ ids }));
+    }
+}
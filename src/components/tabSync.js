@@ -0,0 +1,172 @@
+/**
+ * Coordinates the widgets of one subscriber and location across the browser's tabs. One tab is elected leader: it
+ * holds the real-time connection and plays the alert sounds, and tells the other tabs what it receives. Messages go
+ * through a BroadcastChannel, or through `storage` events where BroadcastChannel isn't supported.
+ *
+ * The leader holds a lease in localStorage and renews it every `heartbeat` ms. When it closes it gives the lease up
+ * right away; if it crashes, or the browser stops its timers, another tab takes over once the lease has expired.
+ * The leader also checks that the lease is still its own, so two tabs claiming it at once settle on one.
+ *
+ * @class TabSync
+ * @param {string} name ........................ The channel name, e.g. "notiphyWidgetTabs:acme:store-101".
+ * @param {Object} options
+ * @param {Function} options.onMessage ......... Called with each message posted by another tab.
+ * @param {Function} options.onLeaderChange .... Called with `true` when this tab becomes the leader, `false` when it stops.
+ * @param {number} [options.heartbeat] ......... How often the lease is renewed or checked, in ms (default: 3000).
+ * @param {number} [options.lease] ............. How long a lease lasts without being renewed, in ms (default: 10000).
+ * @example
+ * const tabs = new TabSync('notiphyWidgetTabs:acme:store-101', {
+ *     onMessage: (message) => console.log('from another tab:', message),
+ *     onLeaderChange: (isLeader) => isLeader ? connect() : disconnect(),
+ * });
+ * tabs.start();
+ * tabs.post({ type: 'read', id: 'n1' });
+ */
+export default class TabSync {
+    constructor(name, { onMessage, onLeaderChange, heartbeat = 3000, lease = 10000 }) {
+        this.name = name;
+        this.onMessage = onMessage;
+        this.onLeaderChange = onLeaderChange;
+        this.heartbeat = heartbeat;
+        this.leaseDuration = lease; // Longer than the heartbeat, as browsers slow down timers in background tabs.
+        this.id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+        this.isLeader = false;
+        this.channel = null;       // The BroadcastChannel, if supported.
+        this.timer = null;
+        this.listenerController = null;
+        this.closed = false;
+    }
+
+    get leaseKey() {
+        return `${this.name}:leader`;
+    }
+
+    get messageKey() {
+        return `${this.name}:message`;
+    }
+
+    /**
+     * Joins the other tabs, and takes the lead if no other tab has it.
+     */
+    start() {
+        if (this.listenerController || this.closed) {
+            return;
+        }
+        this.listenerController = new AbortController();
+        const { signal } = this.listenerController;
+        if (typeof BroadcastChannel === 'function') {
+            this.channel = new BroadcastChannel(this.name);
+            this.channel.addEventListener('message', (event) => this.receive(event.data), { signal });
+        }
+        window.addEventListener('storage', (event) => {
+            if (!this.channel && event.key === this.messageKey && event.newValue) {
+                this.receive(JSON.parse(event.newValue));
+            } else if (event.key === this.leaseKey && !event.newValue) {
+                this.elect(); // The leader gave up its lease.
+            }
+        }, { signal });
+        // Hand over as the tab goes away, and rejoin if it comes back from the back/forward cache.
+        window.addEventListener('pagehide', () => {
+            this.stop();
+            window.addEventListener('pageshow', (event) => {
+                if (event.persisted && !this.closed) {
+                    this.start();
+                }
+            }, { once: true });
+        }, { signal });
+        this.timer = setInterval(() => this.elect(), this.heartbeat);
+        this.elect();
+    }
+
+    /**
+     * Leaves the other tabs, giving up the lead if this tab has it.
+     */
+    stop() {
+        if (!this.listenerController) {
+            return;
+        }
+        if (this.isLeader) {
+            if (this.readLease().id === this.id) {
+                localStorage.removeItem(this.leaseKey);
+            }
+            this.send({ type: 'release' });
+            this.setLeader(false);
+        }
+        clearInterval(this.timer);
+        this.timer = null;
+        this.listenerController.abort();
+        this.listenerController = null;
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+    }
+
+    /**
+     * Stops for good, e.g. when the widget is destroyed.
+     */
+    close() {
+        this.closed = true;
+        this.stop();
+    }
+
+    /**
+     * Sends a message to every other tab. Messages must survive JSON (and structured cloning).
+     * @param {Object} message - e.g. `{ type: 'read', id: 'n1' }`.
+     */
+    post(message) {
+        this.send({ type: 'message', message });
+    }
+
+    send(envelope) {
+        if (!this.listenerController) {
+            return;
+        }
+        const data = { ...envelope, from: this.id };
+        if (this.channel) {
+            this.channel.postMessage(data);
+            return;
+        }
+        // Setting the same value again fires no event, hence the nonce. Removed straight away, it's only a carrier.
+        localStorage.setItem(this.messageKey, JSON.stringify({ ...data, nonce: Math.random() }));
+        localStorage.removeItem(this.messageKey);
+    }
+
+    receive(data) {
+        if (!data || data.from === this.id) {
+            return;
+        }
+        if (data.type === 'release') {
+            this.elect();
+        } else if (data.type === 'message') {
+            this.onMessage(data.message);
+        }
+    }
+
+    /**
+     * Renews this tab's lease, or takes it over if it's free or expired, then checks who holds it.
+     */
+    elect() {
+        const now = Date.now();
+        const lease = this.readLease();
+        if (!lease.id || lease.id === this.id || lease.expires <= now) {
+            localStorage.setItem(this.leaseKey, JSON.stringify({ id: this.id, expires: now + this.leaseDuration }));
+        }
+        this.setLeader(this.readLease().id === this.id);
+    }
+
+    readLease() {
+        try {
+            return JSON.parse(localStorage.getItem(this.leaseKey)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    setLeader(isLeader) {
+        if (isLeader !== this.isLeader) {
+            this.isLeader = isLeader;
+            this.onLeaderChange(isLeader);
+        }
+    }
+}
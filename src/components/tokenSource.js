@@ -0,0 +1,125 @@
+/**
+ * Short-lived tokens from the host page, in place of the widgetKey. Each token is kept until shortly before it
+ * expires, and then replaced: ahead of time by a timer, or when asked for after that, or when the service has
+ * refused it (`get({ refresh: true })`). Concurrent requests for a new token share one call to `getToken`.
+ *
+ * `getToken` may resolve with the token as a string, in which case its expiry is read from its `exp` claim if it is
+ * a JWT, or with `{ token, expiresAt }`, `expiresAt` being a Date or milliseconds since the epoch. A token with no
+ * known expiry is kept until the service refuses it. A token that is already due when it arrives (expired, or this
+ * clock is ahead of the service's) is used anyway, and replaced after a delay that grows each time it happens again.
+ *
+ * @class TokenSource
+ * @param {Function} getToken ............. Resolves with a new token, e.g. from the host page's own backend.
+ * @param {Object} [options]
+ * @param {number} [options.margin] ....... How long before it expires a token is replaced, in ms (default: 30000).
+ *                                          At most half its lifetime, for very short ones.
+ * @param {number} [options.minDelay] ..... How long a token that arrived already due is used, in ms, doubling each
+ *                                          time in a row (default: 5000).
+ * @param {number} [options.maxDelay] ..... The longest that gets, in ms (default: 300000).
+ * @example
+ * const tokens = new TokenSource(() => fetch('/notiphy-token').then((response) => response.json()));
+ * const headers = { Authorization: `Bearer ${await tokens.get()}` };
+ */
+export default class TokenSource {
+    constructor(getToken, { margin = 30000, minDelay = 5000, maxDelay = 300000 } = {}) {
+        this.getToken = getToken;
+        this.margin = margin;
+        this.minDelay = minDelay;
+        this.maxDelay = maxDelay;
+        this.token = null;          // { value, refreshAt }, refreshAt in ms.
+        this.pending = null;        // The call to getToken in progress.
+        this.timer = null;          // The next refresh ahead of expiry.
+        this.due = 0;               // Tokens in a row that arrived already due, for the backoff.
+        this.closed = false;        // Set by close(): no refreshes ahead of time until get() is called again.
+    }
+
+    /**
+     * Resolves with a token that hasn't expired, getting a new one if needed.
+     * @param {Object} [options]
+     * @param {boolean} [options.refresh] - Get a new one regardless, e.g. once the service has refused this one.
+     * @returns {Promise<string>}
+     */
+    async get({ refresh = false } = {}) {
+        if (this.closed) {
+            this.closed = false;
+            if (this.token) {
+                this.schedule();
+            }
+        }
+        if (refresh || !this.token || this.token.refreshAt <= Date.now()) {
+            if (!this.pending) {
+                this.pending = this.fetch().finally(() => (this.pending = null));
+            }
+            return this.pending;
+        }
+        return this.token.value;
+    }
+
+    async fetch() {
+        const result = await this.getToken();
+        const value = typeof result === 'string' ? result : result && result.token;
+        if (!value) {
+            throw new Error('getToken() resolved without a token.');
+        }
+        const expiresAt = typeof result === 'string' || result.expiresAt == null
+            ? TokenSource.expiryOf(value)
+            : new Date(result.expiresAt).getTime();
+        const now = Date.now();
+        let refreshAt = Number.isFinite(expiresAt)
+            ? expiresAt - Math.min(this.margin, (expiresAt - now) / 2)
+            : Infinity;
+        if (refreshAt <= now) {
+            // The service decides whether it's still good; asking again right away would likely get the same one.
+            this.due++;
+            refreshAt = now + Math.min(this.minDelay * 2 ** (this.due - 1), this.maxDelay);
+        } else {
+            this.due = 0;
+        }
+        this.token = { value, refreshAt };
+        if (!this.closed) {
+            this.schedule(); // Not once closed while getToken was pending, e.g. by destroying the widget.
+        }
+        return value;
+    }
+
+    /**
+     * Gets the next token shortly before this one expires, so requests don't wait for it.
+     */
+    schedule() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (Number.isFinite(this.token.refreshAt)) {
+            // setTimeout() can't wait longer than ~24.8 days, so long-lived tokens are rescheduled when that runs out.
+            this.timer = setTimeout(() => {
+                this.timer = null;
+                if (this.token.refreshAt > Date.now()) {
+                    this.schedule();
+                    return;
+                }
+                this.get({ refresh: true }).catch((error) => console.error("Failed to refresh the Notiphy.me token:", error));
+            }, Math.min(Math.max(this.token.refreshAt - Date.now(), 0), 2147483647));
+        }
+    }
+
+    /**
+     * When a JWT expires, from its `exp` claim, in ms. NaN for other tokens.
+     */
+    static expiryOf(token) {
+        try {
+            const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+            return JSON.parse(atob(payload)).exp * 1000;
+        } catch (error) {
+            return NaN;
+        }
+    }
+
+    /**
+     * Stops the refresh timer, e.g. when the widget is destroyed, including one a pending getToken call would
+     * start. The token is kept, and get() starts the timer again.
+     */
+    close() {
+        this.closed = true;
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+}
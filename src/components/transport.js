@@ -0,0 +1,611 @@
+import { io as bundledIo } from 'socket.io-client';
+import TokenSource from './tokenSource.js';
+
+/**
+ * A transport is everything the widget needs from a backend. Pass your own through `config.transport`
+ * to use a different backend; it only has to implement these methods:
+ *
+ * @typedef {Object} Transport
+ * @property {function(number, {signal?: AbortSignal, limit?: number, before?: number}=): Promise<Object[]>} fetchNotifications
+ *           Resolves with the notifications changed since `lastFetched` (Unix seconds, 0 for all).
+ *           Dismissed notifications are included with `dismissed: true`, so the widget can drop them.
+ *           With `limit`, resolves with at most that many, newest first, created before `before` if given.
+ * @property {function(string, {signal?: AbortSignal}=): Promise<Object>} markRead
+ *           Marks a notification as read, and tells other widgets at this location.
+ * @property {function(string, {signal?: AbortSignal}=): Promise<Object>} dismiss
+ *           Dismisses a notification, and tells other widgets at this location.
+ * @property {function(string[], {signal?: AbortSignal}=): Promise<Object>} [markReadMany]
+ *           Marks several notifications as read in one request, e.g. for "Mark ALL read". Without it, the widget
+ *           calls markRead() for each.
+ * @property {function(string[], {signal?: AbortSignal}=): Promise<Object>} [dismissMany]
+ *           Dismisses several notifications in one request. Without it, the widget calls dismiss() for each.
+ * @property {function(string, string, {signal?: AbortSignal}=): Promise<Object>} [invokeAction]
+ *           Sends a notification's "post" action to the service. Only needed for notifications with actions.
+ * @property {function(Object, {signal?: AbortSignal}=): Promise<Object>} [subscribePush]
+ *           Registers a Web Push subscription (`PushSubscription.toJSON()`), for the service to send this subscriber's
+ *           notifications to while no tab is open. Only needed for `config.serviceWorker`.
+ * @property {function(Object, {signal?: AbortSignal}=): Promise<Object>} [unsubscribePush]
+ *           Removes a Web Push subscription registered with subscribePush().
+ * @property {function(string, string): void} [announce]
+ *           Tells other widgets at this location that a notification was marked as read ("read") or dismissed
+ *           ("dismiss") in another tab, one without real-time delivery. Only called while subscribed.
+ * @property {function(RealtimeHandlers): Function} subscribe
+ *           Starts real-time delivery to the handlers. Returns a function that unsubscribes. With tab sync on,
+ *           only one tab subscribes at a time; the transport is closed when another tab takes over, and may be
+ *           subscribed again later. The widget reconnects after a disconnect or error itself, with backoff, so
+ *           the transport shouldn't.
+ * @property {function(): void} connect ...... Reconnects real-time delivery.
+ * @property {function(): void} disconnect ... Disconnects real-time delivery.
+ * @property {boolean} connected ............. Whether real-time delivery is connected.
+ * @property {string} [mode] .................. How real-time delivery works, e.g. "websocket", shown in the Inbox's stats bar.
+ * @property {function(): void} [close] ...... Releases everything, called by the widget's destroy() and when another tab takes over.
+ *
+ * @typedef {Object} RealtimeHandlers
+ * @property {function(): void} connect
+ * @property {function(string=): void} disconnect ... Called with the reason, if known.
+ * @property {function(Object): void} notification
+ * @property {function(string): void} read .......... A notification was marked as read by another widget.
+ * @property {function(string): void} dismiss ....... A notification was dismissed by another widget.
+ * @property {function(Error): void} error ........ Connecting failed. A 401 or 403 `status` (or e.g. an "Unauthorized"
+ *           message) stops the reconnection attempts.
+ */
+
+/**
+ * Error thrown by transports when the service responds with a non-OK status, or with status 0 when the request
+ * didn't reach it (e.g. no network). The widget retries reads and dismissals that fail with status 0, 5xx, 408 or
+ * 429, or with fetch()'s own network error, and gives up on the rest, including errors other than these: a custom
+ * transport's bug isn't retried forever, the change is undone.
+ */
+export class TransportError extends Error {
+    constructor(message, status, retryAfter) {
+        super(message);
+        this.name = 'TransportError';
+        this.status = status;
+        this.retryAfter = retryAfter; // Seconds to wait before trying again, if the service said (e.g. with a 429).
+    }
+
+    /**
+     * Whether `error` means the service refused the widget's credentials, so trying again won't help: a 401 or
+     * 403 status, on the error or on its Socket.IO `data`, or a message saying so.
+     */
+    static isAuthError(error) {
+        const status = error && (error.status || (error.data && error.data.status));
+        return status === 401 || status === 403 || /unauthori[sz]ed|forbidden|invalid (api )?key/i.test((error && error.message) || '');
+    }
+
+    /**
+     * Whether `error` means the request didn't reach the service: a TransportError with status 0, or the TypeError
+     * fetch() rejects with then (as browsers and Node word it), for custom transports calling fetch() themselves.
+     */
+    static isNetworkError(error) {
+        return (error instanceof TransportError && error.status === 0)
+            || (error instanceof TypeError && /^(Failed to fetch|fetch failed|Load failed|NetworkError when attempting to fetch resource\.?)$/.test(error.message));
+    }
+}
+
+// How often the polling mode fetches, in ms: `min` while there are changes, backing off to `max` while there are none.
+const POLL_DELAY = { min: 5000, max: 60000 };
+
+/**
+ * The default transport: the Notiphy.me REST API, and Socket.IO for real-time delivery, falling back to Server-Sent
+ * Events or polling where WebSockets are blocked.
+ *
+ * @class NotiphyTransport
+ * @param {Object} config ................. The widget's configuration.
+ * @param {string} config.serviceUrl ...... The base URL for the notification service.
+ * @param {string} config.subscriberId .... The subscriberId for the notification service.
+ * @param {string} config.widgetKey ....... The widget API key for the notification service.
+ * @param {Function} [config.getToken] .... Resolves with a short-lived token to use instead of the widgetKey (see TokenSource).
+ * @param {string} config.locationId ...... The location ID for the notification service.
+ * @param {Function} [config.io] .......... A Socket.IO client `io` factory to use instead of the bundled one.
+ * @param {Object} [config.socket] ........ An existing Socket.IO socket to use as-is (never disconnected by close()).
+ * @param {string} [config.realtime] ...... "websocket", "sse", "polling", or "auto" to fall back in that order (see modes()).
+ */
+export default class NotiphyTransport {
+    constructor(config) {
+        this.config = config;
+        this.socket = null;
+        this.socketHandlers = {}; // Our socket listeners, so close() can remove exactly these from a shared socket.
+        this.tokens = config.getToken ? new TokenSource(config.getToken) : null;
+        this.authRetried = false; // Whether a handshake was refused, and retried with a new token.
+        this.mode = null;         // How real-time delivery works, see modes().
+        this.handlers = null;
+        this.failures = 0;        // Failures to connect in a row, in this mode.
+        this.established = false; // Whether this mode has connected, so failures are outages rather than a block.
+        this.pendingOpen = false; // Whether to open the mode on the next connect(), having fallen back to it.
+        this.eventSource = null;
+        this.eventSourceOpening = false; // Waiting for a token to open it with.
+        this.eventSourceOpened = false;
+        this.pollController = null; // Aborts the polling in progress.
+        this.pollTimer = null;
+        this.polling = false;       // Whether polling has succeeded, i.e. is "connected".
+    }
+
+    get connected() {
+        if (this.mode === 'sse') {
+            return this.eventSourceOpened;
+        }
+        if (this.mode === 'polling') {
+            return this.polling;
+        }
+        return Boolean(this.socket && this.socket.connected);
+    }
+
+    /**
+     * The Notiphy.me authentication headers: the token as a bearer token if given, otherwise the widgetKey.
+     * @param {string} [token] - A token from `config.getToken`.
+     */
+    getHeaders(token) {
+        const headers = {
+            'x-subscriber-id': `${this.config.subscriberId}`,
+            'x-location-id': `${this.config.locationId}`,
+        };
+        if (token) {
+            headers['Authorization'] = `Bearer ${token}`;
+        } else if (!this.tokens) {
+            headers['x-api-key'] = `${this.config.widgetKey}`;
+        }
+        return headers;
+    }
+
+    /**
+     * Sends a request to the service, and resolves with the parsed JSON response. With `config.getToken`, a 401
+     * gets a new token and the request is sent once more.
+     * @throws {TransportError} - If the service responds with a non-OK status, or can't be reached (status 0).
+     */
+    async request(path, { method = 'GET', body, signal } = {}, retried = false) {
+        const headers = this.getHeaders(this.tokens ? await this.tokens.get({ refresh: retried }) : undefined);
+        if (body) {
+            headers['Content-Type'] = 'application/json';
+        }
+        let response;
+        try {
+            response = await fetch(`${this.config.serviceUrl}${path}`, {
+                method,
+                headers,
+                body: body ? JSON.stringify(body) : undefined,
+                signal,
+            });
+        } catch (error) {
+            if (error && error.name === 'AbortError') {
+                throw error;
+            }
+            throw Object.assign(new TransportError(`Couldn't reach the service: ${error && error.message}`, 0), { cause: error });
+        }
+        if (response.status === 401 && this.tokens && !retried) {
+            return this.request(path, { method, body, signal }, true);
+        }
+        if (!response.ok) {
+            const retryAfter = Number(response.headers.get('Retry-After')) || undefined;
+            throw new TransportError(`Request failed with status: ${response.status}`, response.status, retryAfter);
+        }
+        return response.json();
+    }
+
+    fetchNotifications(lastFetched, { signal, limit, before } = {}) {
+        const query = new URLSearchParams({
+            subscriberId: this.config.subscriberId,
+            locationId: this.config.locationId,
+            lastFetched,
+        });
+        if (limit) {
+            query.set('limit', limit);
+        }
+        if (before) {
+            query.set('before', before);
+        }
+        return this.request(`/widget/notifications?${query}`, { signal })
+            .then((data) => data || []);
+    }
+
+    async markRead(notificationId, { signal } = {}) {
+        const data = await this.request('/widget/notification/mark-read', {
+            method: 'POST',
+            body: { notificationId, subscriberId: this.config.subscriberId },
+            signal,
+        });
+        // Let other widgets at this location know that a notification has been marked as read
+        this.announce('read', notificationId);
+        return data;
+    }
+
+    async dismiss(notificationId, { signal } = {}) {
+        const data = await this.request('/widget/notification/dismiss', {
+            method: 'POST',
+            body: {
+                notificationId,
+                subscriberId: this.config.subscriberId,
+                locationCode: this.config.locationId,
+            },
+            signal,
+        });
+        // Let other widgets at this location know that a notification has been dismissed
+        this.announce('dismiss', notificationId);
+        return data;
+    }
+
+    async markReadMany(notificationIds, { signal } = {}) {
+        const data = await this.request('/widget/notifications/mark-read', {
+            method: 'POST',
+            body: { notificationIds, subscriberId: this.config.subscriberId },
+            signal,
+        });
+        notificationIds.forEach((notificationId) => this.announce('read', notificationId));
+        return data;
+    }
+
+    async dismissMany(notificationIds, { signal } = {}) {
+        const data = await this.request('/widget/notifications/dismiss', {
+            method: 'POST',
+            body: {
+                notificationIds,
+                subscriberId: this.config.subscriberId,
+                locationCode: this.config.locationId,
+            },
+            signal,
+        });
+        notificationIds.forEach((notificationId) => this.announce('dismiss', notificationId));
+        return data;
+    }
+
+    /**
+     * Tells the other widgets at this location that a notification was marked as read or dismissed.
+     * Only possible while subscribed, so a tab without the socket asks the tab holding it to do this. Over Socket.IO
+     * only: Server-Sent Events and polling can't send, so the service tells those widgets itself.
+     * @param {string} type - "read" or "dismiss".
+     * @param {string} notificationId - The ID of the notification.
+     */
+    announce(type, notificationId) {
+        if (this.socket) {
+            this.socket.emit(type === 'read' ? "markReadNotification" : "dismissNotification", notificationId);
+        }
+    }
+
+    invokeAction(notificationId, actionId, { signal } = {}) {
+        return this.request('/widget/notification/action', {
+            method: 'POST',
+            body: {
+                notificationId,
+                actionId,
+                subscriberId: this.config.subscriberId,
+                locationCode: this.config.locationId,
+            },
+            signal,
+        });
+    }
+
+    subscribePush(subscription, { signal } = {}) {
+        return this.request('/widget/push/subscribe', {
+            method: 'POST',
+            body: {
+                subscription,
+                subscriberId: this.config.subscriberId,
+                locationCode: this.config.locationId,
+            },
+            signal,
+        });
+    }
+
+    unsubscribePush(subscription, { signal } = {}) {
+        return this.request('/widget/push/unsubscribe', {
+            method: 'POST',
+            body: { endpoint: subscription.endpoint, subscriberId: this.config.subscriberId },
+            signal,
+        });
+    }
+
+    /**
+     * Starts real-time delivery, negotiating how: see modes().
+     */
+    subscribe(handlers) {
+        this.handlers = handlers;
+        this.failures = 0;
+        this.established = false;
+        this.open(this.modes()[0]);
+        return () => this.unsubscribe();
+    }
+
+    /**
+     * The ways real-time delivery may work, best first. With `config.realtime` "auto" (the default), the transport
+     * starts with Socket.IO, and moves on to the next when one keeps failing before it ever connected, e.g. behind
+     * a proxy that blocks WebSockets:
+     * - "websocket" ... Socket.IO, at the subscriber's namespace.
+     * - "sse" ......... Server-Sent Events from `/widget/notifications/stream`, where EventSource is supported, and
+     *                     only with `config.getToken`: EventSource can't send headers, so the credentials go in the
+     *                     URL, where they end up in access logs and the browser's history. A short-lived token may;
+     *                     the widgetKey mustn't, so without getToken (even with `realtime: "sse"`) polling is used.
+     * - "polling" ..... Fetching the changes from `/widget/notifications`, more often while there are some.
+     * @returns {string[]}
+     */
+    modes() {
+        const realtime = this.config.realtime || 'auto';
+        const sse = Boolean(this.tokens) && typeof EventSource === 'function';
+        if (realtime !== 'auto') {
+            return [realtime === 'sse' && !sse ? 'polling' : realtime];
+        }
+        return ['websocket', 'sse', 'polling'].filter((mode) => mode !== 'sse' || sse);
+    }
+
+    open(mode) {
+        this.mode = mode;
+        if (mode === 'sse') {
+            this.openEventSource();
+        } else if (mode === 'polling') {
+            this.startPolling();
+        } else {
+            this.openSocket();
+        }
+    }
+
+    /**
+     * Connects to the subscriber's Socket.IO namespace, using the socket or `io` factory from the config
+     * if provided, otherwise the bundled Socket.IO client.
+     */
+    openSocket() {
+        const handlers = this.handlers;
+        if (this.config.socket) {
+            this.socket = this.config.socket;
+        } else {
+            const options = {
+                reconnection: false, // The widget reconnects, with its own backoff and catch-up.
+                transportOptions: {
+                    polling: {
+                        extraHeaders: this.getHeaders()
+                    }
+                }
+            };
+            if (this.tokens) {
+                // Asked for on each handshake, so a reconnection gets a token that hasn't expired.
+                options.auth = (callback) => this.tokens.get().then(
+                    (token) => callback({ token }),
+                    (error) => {
+                        console.error("Failed to get a Notiphy.me token:", error);
+                        callback({});
+                    });
+            }
+            const io = this.config.io || bundledIo;
+            this.socket = io(`${this.config.serviceUrl}/${this.config.subscriberId}`, options);
+        }
+
+        this.onSocket('connect', () => {
+            this.socket.emit('joinRoom', this.config.locationId);
+            this.established = true;
+            this.authRetried = false;
+            handlers.connect();
+        });
+        this.onSocket('notification', (notification) => handlers.notification(notification));
+        this.onSocket('dismiss', (notificationId) => handlers.dismiss(notificationId));
+        this.onSocket('mark-read', (notificationId) => handlers.read(notificationId));
+        this.onSocket('connect_error', (error) => this.fail(error));
+        this.onSocket('disconnect', (reason) => handlers.disconnect(reason));
+
+        // A socket passed in may already be connected, in which case "connect" won't fire again.
+        if (this.socket.connected) {
+            this.socketHandlers.connect();
+        }
+    }
+
+    /**
+     * Listens to the service's stream of Server-Sent Events. EventSource can't send headers, so the token goes in
+     * the query (never the widgetKey, see modes()). The widget reconnects, so the browser's own retries are stopped
+     * on the first error.
+     */
+    async openEventSource() {
+        const handlers = this.handlers;
+        const query = new URLSearchParams({
+            subscriberId: this.config.subscriberId,
+            locationId: this.config.locationId,
+        });
+        this.eventSourceOpening = true;
+        let token;
+        try {
+            token = await this.tokens.get();
+        } catch (error) {
+            if (this.eventSourceOpening && this.handlers === handlers) {
+                this.eventSourceOpening = false;
+                this.fail(error);
+            }
+            return;
+        }
+        if (!this.eventSourceOpening || this.handlers !== handlers) {
+            return; // Closed while waiting for the token.
+        }
+        this.eventSourceOpening = false;
+        query.set('token', token);
+        const eventSource = new EventSource(`${this.config.serviceUrl}/widget/notifications/stream?${query}`);
+        this.eventSource = eventSource;
+        this.eventSourceOpened = false;
+        const on = (event, handler) => eventSource.addEventListener(event, (message) => {
+            let data;
+            try {
+                data = JSON.parse(message.data);
+            } catch (error) {
+                console.error(`Ignoring a malformed "${event}" event from the event stream:`, error);
+                return;
+            }
+            handler(data);
+        });
+        eventSource.addEventListener('open', () => {
+            this.eventSourceOpened = true;
+            this.established = true;
+            handlers.connect();
+        });
+        on('notification', (notification) => handlers.notification(notification));
+        on('dismiss', (notificationId) => handlers.dismiss(notificationId));
+        on('mark-read', (notificationId) => handlers.read(notificationId));
+        eventSource.addEventListener('error', () => {
+            const wasOpen = this.eventSourceOpened;
+            this.closeEventSource();
+            if (wasOpen) {
+                handlers.disconnect('transport error');
+            } else {
+                this.fail(new Error('Unable to open the event stream'));
+            }
+        });
+    }
+
+    closeEventSource() {
+        if (this.eventSource) {
+            this.eventSource.close();
+            this.eventSource = null;
+        }
+        this.eventSourceOpening = false;
+        this.eventSourceOpened = false;
+    }
+
+    /**
+     * Fetches the changes since the last poll, passing them on as if pushed. Polls every `POLL_DELAY.min` ms
+     * while there are changes, backing off to `POLL_DELAY.max` while there are none, or the page is hidden.
+     */
+    startPolling() {
+        this.stopPolling();
+        this.pollController = new AbortController();
+        this.pollCursor = Math.floor(Date.now() / 1000);
+        this.pollDelay = POLL_DELAY.min;
+        this.poll(this.pollController);
+    }
+
+    async poll(controller) {
+        const handlers = this.handlers;
+        const cursor = Math.floor(Date.now() / 1000);
+        let changed;
+        try {
+            changed = await this.fetchNotifications(this.pollCursor, { signal: controller.signal });
+        } catch (error) {
+            if (controller.signal.aborted) {
+                return;
+            }
+            const wasPolling = this.polling;
+            this.stopPolling();
+            if (wasPolling) {
+                handlers.disconnect(error.message);
+            } else {
+                this.fail(error);
+            }
+            return;
+        }
+        if (controller.signal.aborted) {
+            return;
+        }
+        this.pollCursor = cursor;
+        if (!this.polling) {
+            this.polling = true;
+            this.established = true;
+            handlers.connect();
+        }
+        changed.forEach((notification) => notification.dismissed
+            ? handlers.dismiss(notification.id)
+            : handlers.notification(notification));
+        this.pollDelay = changed.length ? POLL_DELAY.min : Math.min(this.pollDelay * 2, POLL_DELAY.max);
+        this.pollTimer = setTimeout(() => this.poll(controller), document.hidden ? POLL_DELAY.max : this.pollDelay);
+    }
+
+    stopPolling() {
+        if (this.pollController) {
+            this.pollController.abort();
+            this.pollController = null;
+        }
+        clearTimeout(this.pollTimer);
+        this.pollTimer = null;
+        this.polling = false;
+    }
+
+    /**
+     * Passes a failure to connect on, and moves on to the next mode after two in a row, unless this one has
+     * connected before (then it's the service that's down) or the credentials were refused.
+     */
+    fail(error) {
+        // The handshake was refused, maybe for an expired token: once, try again with a new one before passing it
+        // on. Requests do the same themselves.
+        if (this.tokens && this.mode === 'websocket' && !this.authRetried && TransportError.isAuthError(error)) {
+            this.authRetried = true;
+            this.tokens.get({ refresh: true }).then(() => this.connect(), (tokenError) => {
+                if (this.handlers) {
+                    this.handlers.error(tokenError);
+                }
+            });
+            return;
+        }
+        const next = this.modes()[this.modes().indexOf(this.mode) + 1];
+        if (next && !this.established && !TransportError.isAuthError(error) && ++this.failures >= 2) {
+            console.log(`Real-time delivery over "${this.mode}" failed, trying "${next}".`);
+            this.closeChannel();
+            this.failures = 0;
+            this.mode = next; // Opened on the widget's next connect().
+            this.pendingOpen = true;
+        }
+        this.handlers.error(error);
+    }
+
+    /**
+     * Adds a socket listener, remembering it so unsubscribe() can remove it again.
+     */
+    onSocket(event, handler) {
+        this.socketHandlers[event] = handler;
+        this.socket.on(event, handler);
+    }
+
+    unsubscribe() {
+        if (this.socket) {
+            Object.entries(this.socketHandlers).forEach(([event, handler]) => this.socket.off(event, handler));
+        }
+        this.socketHandlers = {};
+        this.closeEventSource();
+        this.stopPolling();
+    }
+
+    /**
+     * Closes the current mode's connection, to move on to the next.
+     */
+    closeChannel() {
+        this.unsubscribe();
+        if (this.socket && !this.config.socket) {
+            this.socket.disconnect();
+        }
+        this.socket = null;
+    }
+
+    connect() {
+        if (this.pendingOpen) {
+            this.pendingOpen = false;
+            this.open(this.mode);
+        } else if (this.mode === 'sse') {
+            if (!this.eventSource && !this.eventSourceOpening) {
+                this.openEventSource();
+            }
+        } else if (this.mode === 'polling') {
+            if (!this.pollController) {
+                this.startPolling();
+            }
+        } else if (this.socket) {
+            this.socket.connect();
+        }
+    }
+
+    disconnect() {
+        if (this.mode === 'sse' || this.mode === 'polling') {
+            const wasConnected = this.connected;
+            this.closeEventSource();
+            this.stopPolling();
+            if (wasConnected && this.handlers) {
+                this.handlers.disconnect('io client disconnect');
+            }
+        } else if (this.socket) {
+            this.socket.disconnect();
+        }
+    }
+
+    close() {
+        this.unsubscribe();
+        // A socket passed in through the config belongs to the host page, leave it connected.
+        if (this.socket && !this.config.socket) {
+            this.socket.disconnect();
+        }
+        this.socket = null;
+        this.handlers = null;
+        this.pendingOpen = false;
+        if (this.tokens) {
+            this.tokens.close();
+        }
+    }
+}
@@ -9,7 +9,8 @@
  * @param {Object} config ................. The configuration object for the notification widget.
  * @param {string} config.serviceUrl ...... The base URL for the notification service.
  * @param {string} config.subscriberId .......... The subscriberId for the notification service.
- * @param {string} config.widgetKey ....... The widget API key for the notification service.
+ * @param {string} config.widgetKey ....... The widget API key for the notification service, unless getToken is given.
+ * @param {Function} config.getToken ...... Resolves with a short-lived token, used instead of the widgetKey and renewed before it expires.
  * @param {string} config.locationId ...... The location ID for the notification service.
  * @param {string} config.widgetTitle ..... The title to be displayed in the notification center.
  * @param {boolean} config.audioAlert ..... Whether to play a sound when a new notification is received.
@@ -22,6 +23,24 @@
  * @param {string} config.height .......... The height of the notification center (default: "400px").
  * @param {boolean} config.showInboxOnLoad  Whether to show the notification center by default (default: false).
  * @param {number} config.refreshInterval . Interval in seconds to refresh the notification center (minimum 300/5minutes if specifed).
+ * @param {boolean} config.shadow ......... Render inside a shadow root, isolated from the host page's CSS (default: false).
+ * @param {boolean} config.richText ....... Render bold, italics, code and links in notification text, sanitized (default: false, plain text).
+ * @param {string[]} config.allowedSchemes  URL schemes allowed in actionUrl and links (default: https:, http:, mailto:, tel:).
+ * @param {Object} config.renderers ....... Custom item/toast content, keyed by notification `type` or `alertLevel` (see getRenderer).
+ * @param {Object} config.actionHandlers .. Functions run by notification actions of type "handler", by name (see runAction).
+ * @param {Object[]} config.snoozeOptions . The choices in an item's snooze menu: `{ label, minutes }` or `{ label, at: "HH:MM", days }`.
+ * @param {number} config.pageSize ........ Notifications fetched per page, more loading on scroll (default: 50, 0 fetches all at once).
+ * @param {boolean} config.virtualize ..... Only render the Inbox items in and near view (default: true).
+ * @param {boolean} config.tabSync ........ Share one connection between the browser's tabs, with one tab playing the sounds (default: true).
+ * @param {string} config.realtime ........ How to receive notifications: "websocket", "sse", "polling", or "auto" to fall back in that order (default).
+ * @param {Function} config.io ............ A Socket.IO client `io` factory to use instead of the bundled one (default: bundled).
+ * @param {Object} config.socket .......... An existing Socket.IO socket, connected to the subscriber's namespace, to use as-is.
+ * @param {Object} config.transport ....... A custom backend implementing the Transport interface (see transport.js).
+ *
+ * Host pages can subscribe to widget activity with `on(event, callback)` / `off(event, callback)`:
+ * "notification", "read", "dismiss", "action", "snooze", "wake", "change", "open", "close", "connect", "disconnect", "destroy" and "error".
+ * "before-notification", "before-read", "before-dismiss", "before-action", "before-snooze", "before-open" and "before-close" are
+ * cancelable: call `event.preventDefault()` in the listener to stop the widget's default behavior.
  */
 
 // import all audio files for Vite to process.
@@ -37,15 +56,40 @@ import pop from '../assets/audio/pop.mp3';
 import start from '../assets/audio/start.mp3';
 import whoosh from '../assets/audio/whoosh.mp3';
 
+import Emitter from './emitter.js';
+import NotiphyTransport, { TransportError } from './transport.js';
+import MockTransport from './mockTransport.js';
+import NotificationStore from './store.js';
+import TabSync from './tabSync.js';
+import Outbox from './outbox.js';
+import { defaultAllowedSchemes, escapeHtml, safeUrl, sanitizeHtml } from './sanitize.js';
+
 // import css for Vite to process.
 import '../styles/notiphy.base.css';
 import '../styles/notiphy.compact.css';
+// ...and again as strings, for adopting into the shadow root in shadow mode.
+import baseStyles from '../styles/notiphy.base.css?inline';
+import compactStyles from '../styles/notiphy.compact.css?inline';
+import shadowStyles from '../styles/notiphy.shadow.css?inline';
+
+// User preferences that can be changed from the settings dropdown, and are saved between visits.
+const userSettings = ['audioAlert', 'audioReminder', 'toastAlert', 'toastPosition', 'desktopAlert'];
+
+// How the transport's real-time modes show in the Inbox's stats bar.
+const realtimeModeLabels = { websocket: 'WebSocket', sse: 'Server-Sent Events', polling: 'Polling' };
+
 export default class NotiphyWidget {
+    // Exposed for custom backends and offline development, e.g. `new NotiphyWidget.MockTransport()`.
+    static NotiphyTransport = NotiphyTransport;
+    static MockTransport = MockTransport;
+    static TransportError = TransportError;
+
     constructor(config) {
         this.defaultConfig = {
             serviceUrl: 'https://app.notiphy.me',
             subscriberId: null,
             widgetKey: null,
+            getToken: null,
             locationId: "default",
             widgetTitle: "Inbox",
             audioAlert: false,
@@ -54,19 +98,72 @@ export default class NotiphyWidget {
             toastAlert: false,
             toastPosition: "bottom-right",
             toastDuration: 4,
+            desktopAlert: false,
+            serviceWorker: null,
+            vapidPublicKey: null,
             width: "300px",
             height: "400px",
             showInboxOnLoad: false,
             refreshInterval: 0,
             branded: true,  // New option
             compact: false,  // New option
-            targetElement: null  // New option
+            targetElement: null,  // New option
+            shadow: false,
+            richText: false,
+            allowedSchemes: defaultAllowedSchemes,
+            renderers: {},
+            actionHandlers: {},
+            snoozeOptions: [
+                { label: '15 minutes', minutes: 15 },
+                { label: '1 hour', minutes: 60 },
+                { label: '3 hours', minutes: 180 },
+                { label: 'Tomorrow morning', at: '09:00', days: 1 }
+            ],
+            pageSize: 50,
+            virtualize: true,
+            tabSync: true,
+            realtime: 'auto',
+            io: null,
+            socket: null,
+            transport: null
         };
         
+        this.events = new Emitter();
+        this.timers = new Set();           // IDs of every pending timeout/interval, cleared by destroy().
+        this.injectedNodes = new Set();    // Every node added to the page, removed by destroy().
+        this.listenerController = new AbortController(); // Aborted by destroy() to detach document/body listeners and pending requests.
+        this.destroyed = false;
+        this.elements = {};                // The widget's own root elements: icon, center (inbox), toaster and blockerModal.
+        this.shadowRoot = null;            // Set in shadow mode.
+        this.pendingNotifications = new Map(); // Notifications shown as a toast, not yet added to the Inbox: id -> { timer, deliver }.
+        this.actionButtons = new WeakMap();    // Action button -> { notification, action }, for runAction().
+        this.toastTimers = new WeakMap();      // Toast element -> its pending show/hide timers, cleared by removeToast().
+        this.snoozeTimers = new Map();         // Snoozed notification id -> the timer that wakes it.
+        this.itemNotifications = new WeakMap(); // Inbox item element -> the notification it shows.
+        this.inboxItems = new Map();           // Notification id -> its Inbox item element, for every notification in the Inbox.
+        this.filter = { tab: 'all', search: '' }; // The Inbox's active tab ("all", "unread" or an alertLevel) and search text.
+        this.unreadCount = 0;              // Unread and total notifications in the Inbox, regardless of the filter (see updateCounts).
+        this.totalCount = 0;
+        this.dismissedIds = new Set();         // Notifications dismissed from elsewhere, so a snooze ending in another tab doesn't restore them.
+        this.loadingMore = false;              // Whether a page of older notifications is being fetched.
+        this.detachedItems = new WeakMap();    // Inbox item element -> its content, while scrolled out of view (see virtualizeInbox).
+        this.itemHeight = 80;                  // The last measured height of an Inbox item, for items never rendered.
+        this.virtualizeTimer = null;
+        this.tabSync = null;                   // Coordinates the tabs showing this widget, when config.tabSync is on.
+        this.connectionState = 'connecting';   // Real-time delivery, in this tab or the leading one: see setConnectionState().
+        this.fetchRetryTimer = null;           // The next fetch after a transient failure.
+        this.fetchRetries = 0;
+        this.realtimeMode = undefined;         // How it's delivered, e.g. "websocket", if the transport says.
+        this.reconnectTimer = null;
+        this.reconnectAttempts = 0;            // Since the last successful connection, for the backoff.
+        this.autoReconnect = true;             // Off while the user has disconnected from the Inbox.
+        this.connectedBefore = false;          // Whether a connection will be a reconnection (here or in the leading tab), with a catch-up fetch.
+        this.serviceWorkerRegistration = null; // The config.serviceWorker, once registered for push (see subscribePush).
         this.initialConfig = { ...this.defaultConfig, ...config };
-        this.config = this.loadSettings() || this.initialConfig;
-        this.notifications = this.loadNotifications() || [];
-        this.checkLocationChange();
+        this.config = { ...this.initialConfig, ...this.loadSettings() };
+        this.actionHandlers = { ...this.config.actionHandlers };
+        this.store = new NotificationStore(this.loadNotifications()); // Every notification: the Inbox, snoozed, and showing as a toast.
+        this.hasMore = sessionStorage.getItem(this.storageKey('notiphyWidgetHasMore')) === 'true'; // Whether older pages are left.
         this.saveSettings();
         
         // Check for required fields
@@ -75,20 +172,196 @@ export default class NotiphyWidget {
             return;
         }
         
-        if (!this.config.widgetKey) {
-            console.error("API Key is required.");
+        if (!this.config.widgetKey && !this.config.getToken) {
+            console.error("API Key (widgetKey) or getToken is required.");
             return;
         }
         
-        this.socket = null;
+        this.transport = this.config.transport || new NotiphyTransport(this.config);
+        // Reads and dismissals show right away, and are sent (and retried) from here.
+        this.outbox = new Outbox(this.storageKey('notiphyWidgetOutbox'), {
+            send: (action) => this.sendAction(action),
+            onSent: (action, data) => this.handleActionSent(action, data),
+            onRejected: (action, error) => this.handleActionRejected(action, error),
+        });
         this.notificationsLoaded = false;
         this.reminderIntervalId = null;
         this.createDomElements();
+        // The Inbox, its counts and sessionStorage follow the store.
+        this.store.subscribe(({ ids }) => {
+            this.saveNotifications(this.store.all());
+            this.renderInbox(ids);
+        });
+        this.renderInbox(); // Notifications stored earlier in this session, until the fetch updates them.
+        this.connectRealtime();
         this.setupPeriodicRefresh(); // Refresh the notifications every so often to check for expired notifications.
         this.setupAudioReminders(); // Play a reminder sound if there are unread notifications.
+        this.scheduleSnoozed(); // Wake snoozed notifications when due, including those snoozed before a reload.
+        this.interval(() => this.updateTimestamps(), 5000); // One ticker for every item's "x minutes ago".
 
         // Fetch notifications on initialization
         this.fetchNotifications();
+        this.outbox.flush(); // Reads and dismissals still waiting from before a reload.
+        if (this.config.desktopAlert) {
+            this.subscribePush(); // Renews the push subscription, and gets the service worker for desktop notifications.
+        }
+    }
+
+    /**
+     * Every notification the widget holds, including snoozed ones and those still showing as a toast.
+     * @returns {Object[]}
+     */
+    get notifications() {
+        return this.store.all();
+    }
+
+    /**
+     * Subscribes to a widget event.
+     * @param {string} event - The event name, e.g. "notification" or "before-read".
+     * @param {Function} callback - Called with `(detail, event)`.
+     * @returns {NotiphyWidget} - The widget, for chaining.
+     * @example
+     * widget.on('notification', (notification) => analytics.track('notiphy', notification.id));
+     * widget.on('before-open', (detail, event) => { if (isBusy) event.preventDefault(); });
+     */
+    on(event, callback) {
+        this.events.on(event, callback);
+        return this;
+    }
+
+    /**
+     * Unsubscribes from a widget event. Omit the callback to remove all listeners for the event.
+     * @param {string} event - The event name.
+     * @param {Function} [callback] - The callback previously passed to `on()`.
+     * @returns {NotiphyWidget} - The widget, for chaining.
+     */
+    off(event, callback) {
+        this.events.off(event, callback);
+        return this;
+    }
+
+    /**
+     * Dispatches an event to the host page's listeners.
+     * @returns {boolean} - `false` if a listener canceled a cancelable event, otherwise `true`.
+     */
+    emit(event, detail, cancelable = false) {
+        return !this.events.emit(event, detail, cancelable).defaultPrevented;
+    }
+
+    /**
+     * Tears the widget down: disconnects the transport, clears every timer and listener, and removes every
+     * node and `<style>` element it added to the page. A new widget can be created afterwards.
+     */
+    destroy() {
+        if (this.destroyed) {
+            return;
+        }
+        this.destroyed = true;
+        this.emit('destroy', {});
+
+        if (this.tabSync) {
+            this.tabSync.close(); // Hands the connection over to another tab.
+        }
+        if (this.outbox) {
+            this.outbox.close(); // Anything still waiting is sent after the next page load.
+        }
+        if (this.transport) {
+            if (this.unsubscribeRealtime) {
+                this.unsubscribeRealtime();
+            }
+            if (typeof this.transport.close === 'function') {
+                this.transport.close();
+            }
+        }
+
+        this.timers.forEach((timerId) => clearTimeout(timerId));
+        this.timers.clear();
+        this.reminderIntervalId = null;
+
+        this.listenerController.abort();
+
+        this.injectedNodes.forEach((node) => node.remove());
+        this.injectedNodes.clear();
+
+        this.events.off();
+    }
+
+    /**
+     * setTimeout() that destroy() can clear.
+     * @returns {number} - The timer ID, for clearTimer().
+     */
+    timeout(callback, delay) {
+        const timerId = setTimeout(() => {
+            this.timers.delete(timerId);
+            callback();
+        }, delay);
+        this.timers.add(timerId);
+        return timerId;
+    }
+
+    /**
+     * setInterval() that destroy() can clear.
+     * @returns {number} - The timer ID, for clearTimer().
+     */
+    interval(callback, delay) {
+        const timerId = setInterval(callback, delay);
+        this.timers.add(timerId);
+        return timerId;
+    }
+
+    /**
+     * Clears a timer started with timeout() or interval().
+     */
+    clearTimer(timerId) {
+        clearTimeout(timerId); // clearTimeout and clearInterval share the same pool of IDs.
+        this.timers.delete(timerId);
+    }
+
+    /**
+     * Appends a node to the page and remembers it, so destroy() can remove it.
+     * @param {HTMLElement} node - The node to add.
+     * @param {HTMLElement} parent - Where to add it.
+     * @returns {HTMLElement} - The node.
+     */
+    inject(node, parent) {
+        parent.appendChild(node);
+        this.injectedNodes.add(node);
+        return node;
+    }
+
+    /**
+     * The widget's own root elements. Every DOM lookup is scoped to these.
+     * @returns {HTMLElement[]}
+     */
+    rootElements() {
+        return Object.values(this.elements).filter(Boolean);
+    }
+
+    /**
+     * Like document.querySelector(), but only matches inside this widget.
+     * @param {string} selector - A CSS selector.
+     * @returns {HTMLElement|null}
+     */
+    query(selector) {
+        for (const root of this.rootElements()) {
+            const match = root.matches(selector) ? root : root.querySelector(selector);
+            if (match) {
+                return match;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Like document.querySelectorAll(), but only matches inside this widget.
+     * @param {string} selector - A CSS selector.
+     * @returns {HTMLElement[]}
+     */
+    queryAll(selector) {
+        return this.rootElements().flatMap((root) => [
+            ...(root.matches(selector) ? [root] : []),
+            ...root.querySelectorAll(selector),
+        ]);
     }
 
     /**
@@ -96,10 +369,13 @@ export default class NotiphyWidget {
      */
     saveSettings() {
         // console.log('Saving settings:', this.config); // Debugging log
-        localStorage.setItem('notiphySettings', JSON.stringify(this.config));
+        const settings = Object.fromEntries(userSettings.map((key) => [key, this.config[key]]));
+        localStorage.setItem(this.storageKey('notiphySettings'), JSON.stringify(settings));
     }
     loadNotifications() {
-        return JSON.parse(sessionStorage.getItem('notiphyWidgetNotifications')) || [];
+        const notifications = JSON.parse(sessionStorage.getItem(this.storageKey('notiphyWidgetNotifications'))) || [];
+        // Earlier versions stored a made-up "API Key Error" notification, id 0, when fetching failed.
+        return notifications.filter((notification) => `${notification.id}` !== '0');
     }
     /**
      * Loads user preferences (audio, toast, reminders)
@@ -108,42 +384,35 @@ export default class NotiphyWidget {
         // const settings = sessionStorage.getItem('notiphySettings');
         // console.log('Loaded settings:', settings); // Debugging log
         // return settings ? JSON.parse(settings) : null;
-        const storedSettings = localStorage.getItem('notiphySettings');
-        if (storedSettings) {
-            const parsedSettings = JSON.parse(storedSettings);
-            // Overwrite locationId if it doesn't match
-            if (this.initialConfig.locationId !== parsedSettings.locationId) {
-                parsedSettings.locationId = this.initialConfig.locationId;
-            }
-            return parsedSettings;
-        }
-        return null;
+        // Only user preferences are restored. Everything else always comes from the config passed in.
+        const storedSettings = JSON.parse(localStorage.getItem(this.storageKey('notiphySettings'))) || {};
+        return Object.fromEntries(userSettings.filter((key) => key in storedSettings).map((key) => [key, storedSettings[key]]));
     }
 
     saveNotifications(notifications) {
-        sessionStorage.setItem('notiphyWidgetNotifications', JSON.stringify(notifications));
-    }
-
-    checkLocationChange() {
-        const storedSettings = JSON.parse(localStorage.getItem('notiphySettings'));
-        // console.log(storedSettings.locationId);
-        if (storedSettings && this.config.locationId !== storedSettings.locationId) {
-            this.clearStoredData();
-        }
+        sessionStorage.setItem(this.storageKey('notiphyWidgetNotifications'), JSON.stringify(notifications));
     }
 
-    clearStoredData() {
-        sessionStorage.removeItem('notiphyWidgetNotifications');
-        localStorage.removeItem('notiphyWidgetLastFetched');
+    /**
+     * Namespaces a storage key by subscriberId and locationId, so several widgets (and users) on the
+     * same origin never read or overwrite each other's settings and notifications.
+     * @param {string} name - The base key, e.g. "notiphySettings".
+     * @returns {string} - e.g. "notiphySettings:acme:store-101".
+     */
+    storageKey(name) {
+        return `${name}:${this.initialConfig.subscriberId}:${this.initialConfig.locationId}`;
     }
     /**
      * Resets the settings by clearing localStorage and reloading default configuration.
      */
     resetSettings() {
         // console.log('Resetting settings to initial configuration.'); // Debugging log
-        sessionStorage.removeItem('notiphyWidgetNotifications');
-        localStorage.removeItem('notiphyWidgetLastFetched');
-        localStorage.removeItem('notiphySettings');
+        sessionStorage.removeItem(this.storageKey('notiphyWidgetNotifications'));
+        sessionStorage.removeItem(this.storageKey('notiphyWidgetHasMore'));
+        localStorage.removeItem(this.storageKey('notiphyWidgetLastFetched'));
+        localStorage.removeItem(this.storageKey('notiphyWidgetSnoozed'));
+        localStorage.removeItem(this.storageKey('notiphySettings'));
+        localStorage.removeItem(this.storageKey('notiphy-theme'));
         this.config = { ...this.initialConfig };
         this.playClickOffSound();
         this.saveSettings();
@@ -159,7 +428,7 @@ export default class NotiphyWidget {
     setupPeriodicRefresh() {
         const refreshInterval = this.config.refreshInterval // Refresh interval in seconds.
         if (refreshInterval) {
-            setInterval(() => {
+            this.interval(() => {
                 this.fetchNotifications();
             }, Math.max(300000,(refreshInterval * 1000))); // Min. refresh interval 5m (300,000ms)
             console.log("Auto-refresh enabled:", Math.max(300 / 60,(refreshInterval / 60)),'minutes.');
@@ -175,7 +444,7 @@ export default class NotiphyWidget {
         const reminderInterval = this.config.reminderInterval || 180; // Default to 3 minutes if not provided
         
         if (audioReminder && !this.reminderIntervalId) {
-            this.reminderIntervalId = setInterval(() => {
+            this.reminderIntervalId = this.interval(() => {
                 this.playReminderSound();
             }, reminderInterval * 1000); // No minimum for reminders, as they're local.
 
@@ -184,15 +453,24 @@ export default class NotiphyWidget {
     }
 
     /**
-     * Creates the necessary DOM elements for the notification widget, including the Socket.IO script,
-     * the widget's CSS, the notification icon, the toaster, and the notification center.
+     * Creates the necessary DOM elements for the notification widget, including the widget's CSS
+     * (in shadow mode), the notification icon, the toaster, and the notification center.
      */
     createDomElements() {
-        // Create the Socket.IO script, and let it load first thing.
-        const ioScript = document.createElement("script");
-        ioScript.src = "https://cdn.socket.io/4.0.0/socket.io.min.js";
-        ioScript.onload = () => this.onSocketIoLoaded();
-        document.head.appendChild(ioScript);
+        // Where the icon and inbox go. In compact mode, the target element (if found).
+        let container = document.body;
+        if (this.config.compact && this.config.targetElement) {
+            container = document.querySelector(this.config.targetElement); // host element, not ours.
+            if (!container) {
+                console.warn('Target element not found for Notiphy Widget compact view.');
+            }
+        }
+        // Where the toaster and blocker modal go.
+        let overlayContainer = document.body;
+        if (this.config.shadow) {
+            this.shadowRoot = this.createShadowRoot(container || document.body);
+            container = overlayContainer = this.shadowRoot;
+        }
 
         // Create the widget icon. This is what the user clicks on to toggle the inbox.
         const notificationIcon = document.createElement("div");
@@ -210,11 +488,12 @@ export default class NotiphyWidget {
         // Create the toaster. This is the element that displays the toast notifications.
         const toaster = document.createElement("div");
         toaster.className = `notiphy-toaster ${this.config.toastPosition || 'top-right'}`;
-        document.body.appendChild(toaster);
+        this.inject(toaster, overlayContainer);
+        this.elements.toaster = toaster;
     
         // Create the notification center (Inbox). This is the element that contains all [not:dismissed] notifications.
         const notificationCenter = document.createElement("div");
-        notificationCenter.id = "notiphy-notification-center";
+        notificationCenter.className = "notiphy-notification-center";
         // Check for compact mode.
         if (this.config.compact) {
             notificationCenter.classList.add("notiphy-compact");
@@ -225,102 +504,113 @@ export default class NotiphyWidget {
             // Header
             + `<div class="notiphy-notification-center-header">`
                 + `<span class="notiphy-notification-center-stats-unread">0</span> <span class="notiphy-notification-center-title">${this.config.widgetTitle}</span>`
+                + `<input type="search" class="notiphy-search" placeholder="Search" aria-label="Search notifications">`
                 + `<i class="notiphy-button-settings material-symbols-outlined" title="Settings">settings</i>`
                 + `<i class="notiphy-button-divider"></i>`
                 + `<i class="notiphy-button-close material-symbols-outlined" title="Close">close</i>`
             + `</div>`
             // Settings dropdown
             + `<div class="notiphy-settings-dropdown">`
-                + `<div class="notiphy-settings-dropdown-item" id="audio-alert-item">`
+                + `<div class="notiphy-settings-dropdown-item notiphy-audio-alert-item">`
                     + `Sound <i class="notiphy-button-audio-alert material-symbols-outlined ${this.config.audioAlert ? 'notiphy-enabled' : ''}" title="${this.config.audioAlert ? 'Sound on' : 'Muted'}">${this.config.audioAlert ? 'volume_up' : 'volume_off'}</i>`
                 + `</div>`
-                + `<div class="notiphy-settings-dropdown-item" id="audio-reminder-item">`
+                + `<div class="notiphy-settings-dropdown-item notiphy-audio-reminder-item">`
                     + `Reminders <i class="notiphy-button-audio-reminder material-symbols-outlined ${this.config.audioReminder ? 'notiphy-enabled' : ''}" title="${this.config.audioReminder ? 'Reminders on' : 'Reminders off'}">${this.config.audioReminder ? 'alarm_on' : 'alarm_off'}</i>`
                 + `</div>`
-                + `<div class="notiphy-settings-dropdown-item" id="toast-alert-item">`
+                + `<div class="notiphy-settings-dropdown-item notiphy-toast-alert-item">`
                     + `Alerts <i class="notiphy-button-show-toasts material-symbols-outlined ${this.config.toastAlert ? 'notiphy-enabled' : ''}" title="Toast notifications">position_top_right</i>`
                 + `</div>`
-                + `<div class="notiphy-settings-dropdown-item" id="toast-position-item">`
+                + `<div class="notiphy-settings-dropdown-item notiphy-toast-position-item">`
                     + `Alert Position <span class="notiphy-button-toast-position material-symbols-outlined">${this.getToastPositionIcon()}</span>`
                 + `</div>`
+                + `<div class="notiphy-settings-dropdown-item notiphy-desktop-alert-item"${typeof Notification === 'undefined' ? ' hidden' : ''}>`
+                    + `Desktop <i class="notiphy-button-desktop-alert material-symbols-outlined ${this.config.desktopAlert ? 'notiphy-enabled' : ''}" title="${this.config.desktopAlert ? 'Desktop notifications on' : 'Desktop notifications off'}">${this.config.desktopAlert ? 'desktop_windows' : 'desktop_access_disabled'}</i>`
+                + `</div>`
             + `</div>`
+            // Filter tabs: All, Unread, then one per alertLevel in the Inbox (see renderFilterTabs)
+            + `<div class="notiphy-notification-center-tabs" role="tablist"></div>`
+            + `<div class="notiphy-banners" aria-live="polite"></div>`
             // Notification center body
-            + `<div class="notiphy-notification-center-body"></div>`
+            + `<div class="notiphy-notification-center-body">`
+                + `<button type="button" class="notiphy-load-more" hidden>Load older notifications</button>`
+            + `</div>`
             // Footer
             + `<div class="notiphy-notification-center-footer">`
                 + `<i class="notiphy-button-mark-all-read material-symbols-outlined" title="Mark ALL read">mark_chat_read</i>`
                 + `<i class="notiphy-button-divider"></i>`
                 + `<i class="notiphy-button-dismiss-all material-symbols-outlined" title="Dismiss ALL">delete_sweep</i>`
                 + `<span class="notiphy-notification-center-logo">${!this.config.branded ? '' : 'Notiphy.me'}</span>`
-                + `<span class="notiphy-notification-center-connect-status" title="Offline"></span>`
+                + `<span class="notiphy-notification-center-connect-status" title="Connecting…" data-state="connecting"></span>`
             + `</div>`
             + `<div class="notiphy-notification-center-stats">`
             + `Inbox: <span class="notiphy-notification-center-stats-total">0</span>`
-            + `<span class="notiphy-notification-center-connection"></span>`
+            + `<span class="notiphy-notification-center-connection" data-state="connecting">Connecting…</span>`
+            + `<span class="notiphy-notification-center-mode" hidden></span>`
             + `</div>`;
 
-        // If compact mode and we have a target element, add the icon and inbox to the target
-        // for relative positioning, otherwise add the icon and inbox to the body.
-        if (this.config.compact && this.config.targetElement) {
-            const target = document.querySelector(this.config.targetElement);
-            if (target) {
-                target.appendChild(notificationIcon);
-                target.appendChild(notificationCenter);
-            } else {
-                console.warn('Target element not found for Notiphy Widget compact view.');
-            }
-        } else {
-            document.body.appendChild(notificationIcon);
-            document.body.appendChild(notificationCenter);
+        this.elements.icon = notificationIcon;
+        this.elements.center = notificationCenter;
+
+        // If compact mode and we have a target element, the icon and inbox go in the target
+        // for relative positioning, otherwise in the body (or the shadow root, in shadow mode).
+        if (container) {
+            this.inject(notificationIcon, container);
+            this.inject(notificationCenter, container);
         }
         
         // Create the settings dropdown menu
-        const settingsButton = document.querySelector('.notiphy-button-settings');
-        const settingsDropdown = document.querySelector('.notiphy-settings-dropdown');
+        const settingsButton = this.query('.notiphy-button-settings');
+        const settingsDropdown = this.query('.notiphy-settings-dropdown');
         settingsButton.addEventListener('click', (event) => {
             event.stopPropagation();
             settingsDropdown.classList.toggle('show');
         });
         // Add event listener to close the dropdown when clicking outside
         document.addEventListener('click', (event) => {
-            if (!settingsDropdown.contains(event.target) && !settingsButton.contains(event.target)) {
+            // composedPath() sees through the shadow root, where event.target is retargeted to the host.
+            const path = event.composedPath();
+            if (!path.includes(settingsDropdown) && !path.includes(settingsButton)) {
                 settingsDropdown.classList.remove('show');
             }
-        });
+        }, { signal: this.listenerController.signal });
     
         // This ensures that clicking on the .notiphy-settings-dropdown-item elements triggers the corresponding button click events.
-        document.getElementById('audio-alert-item').addEventListener('click', () => {
+        this.query('.notiphy-audio-alert-item').addEventListener('click', () => {
             this.toggleAudioAlert();
             this.updateSettingsDropdown();
         });
         
-        document.getElementById('audio-reminder-item').addEventListener('click', () => {
+        this.query('.notiphy-audio-reminder-item').addEventListener('click', () => {
             this.toggleAudioReminder();
             this.updateSettingsDropdown();
         });
         
-        document.getElementById('toast-alert-item').addEventListener('click', () => {
+        this.query('.notiphy-toast-alert-item').addEventListener('click', () => {
             this.toggleToastAlert();
             this.updateSettingsDropdown();
         });
         
-        document.getElementById('toast-position-item').addEventListener('click', () => {
+        this.query('.notiphy-toast-position-item').addEventListener('click', () => {
             this.changeToastPosition();
             this.updateSettingsDropdown();
         });
+
+        this.query('.notiphy-desktop-alert-item').addEventListener('click', async () => {
+            await this.toggleDesktopAlert();
+            this.updateSettingsDropdown();
+        });
     
-        const closeButton = document.querySelector('.notiphy-button-close');
+        const closeButton = this.query('.notiphy-button-close');
         closeButton.addEventListener('click', () => this.toggleNotificationCenter());
         
          // Add theme selector to settings dropdown
         const themeSelectorItem = document.createElement('div');
-        themeSelectorItem.className = 'notiphy-settings-dropdown-item';
-        themeSelectorItem.id = 'theme-selector-item';
+        themeSelectorItem.className = 'notiphy-settings-dropdown-item notiphy-theme-selector-item';
         themeSelectorItem.innerHTML = `Display Mode <span class="notiphy-button-display-mode material-symbols-outlined" title="Change display mode">${this.getDisplayModeIcon()}</span>`;
         settingsDropdown.appendChild(themeSelectorItem);
 
         // Add event listener for display mode button
-        document.getElementById('theme-selector-item').addEventListener('click', () => {
+        this.query('.notiphy-theme-selector-item').addEventListener('click', () => {
             this.changeDisplayMode();
             this.updateSettingsDropdown();
         });
@@ -328,35 +618,73 @@ export default class NotiphyWidget {
 
         // Add reset item
         const resetItem = document.createElement('div');
-        resetItem.className = 'notiphy-settings-dropdown-item';
-        resetItem.id = 'reset-settings-item';
+        resetItem.className = 'notiphy-settings-dropdown-item notiphy-reset-settings-item';
         resetItem.innerHTML = `Reset Settings <span class="material-symbols-outlined" title="Reset">restart_alt</span>`;
         settingsDropdown.appendChild(resetItem);
         
-        document.getElementById('reset-settings-item').addEventListener('click', () => {
+        this.query('.notiphy-reset-settings-item').addEventListener('click', () => {
             this.resetSettings();
             this.updateSettingsDropdown();
         });
     
         // create the blocker modal.
         const blockerModal = document.createElement("div");
-        blockerModal.className = "notiphy-modal";
-        blockerModal.id = "notiphy-blocker-modal";
+        blockerModal.className = "notiphy-modal notiphy-blocker-modal";
         blockerModal.innerHTML = ``
             + `<div class="notiphy-modal-content">`
             +   `<div class="notiphy-modal-header">`
             +       `<span class="notiphy-close-button">&times;</span>`
             +       `<i class="material-symbols-outlined">crisis_alert</i>`
-            +       `<span id="blocker-title">Critical Alert</span>`
+            +       `<span class="notiphy-blocker-title">Critical Alert</span>`
             +   `</div>`
-            +   `<p id="blocker-text">This is a blocker notification.</p>`
+            +   `<p class="notiphy-blocker-text">This is a blocker notification.</p>`
             +   `<div class="notiphy-modal-footer">`
-            +       `<button class="notiphy-btn" id="blocker-dismiss-button">Close</button>`
+            +       `<button class="notiphy-btn notiphy-blocker-dismiss-button">Close</button>`
             +   `</div>`
             + `</div>`;
-        document.body.appendChild(blockerModal);
+        this.inject(blockerModal, overlayContainer);
+        this.elements.blockerModal = blockerModal;
+
+        this.initializeTheme();
+        this.applyFilter();
+    }
+
+    /**
+     * Creates the shadow root for shadow mode and adopts the widget's stylesheet into it.
+     * Fonts can't be declared inside a shadow root, so the stylesheet's font @imports are loaded
+     * on the document instead.
+     * @param {HTMLElement} parent - Where to add the shadow host.
+     * @returns {ShadowRoot}
+     */
+    createShadowRoot(parent) {
+        const host = document.createElement("div");
+        host.className = "notiphy-host";
+        this.inject(host, parent);
+        const shadowRoot = host.attachShadow({ mode: "open" });
+
+        const fontImport = /@import url\((['"]?)(.*?)\1\);?/g;
+        let cssText = [shadowStyles, baseStyles, compactStyles].join("\n");
+        [...cssText.matchAll(fontImport)].forEach(([, , href]) => {
+            if (!document.querySelector(`link[href="${href}"]`)) {
+                const link = document.createElement("link");
+                link.rel = "stylesheet";
+                link.href = href;
+                this.inject(link, document.head);
+            }
+        });
+        // Variables are declared on :root, which doesn't exist in a shadow tree.
+        cssText = cssText.replace(fontImport, "").replace(/:root\b/g, ":host");
 
-        initializeTheme();
+        if (shadowRoot.adoptedStyleSheets !== undefined && typeof CSSStyleSheet.prototype.replaceSync === "function") {
+            const sheet = new CSSStyleSheet();
+            sheet.replaceSync(cssText);
+            shadowRoot.adoptedStyleSheets = [sheet];
+        } else {
+            const style = document.createElement("style");
+            style.textContent = cssText;
+            shadowRoot.appendChild(style);
+        }
+        return shadowRoot;
     }
 
     // gets the appropriate icon for toast position
@@ -377,79 +705,280 @@ export default class NotiphyWidget {
             'dark': 'dark_mode',
             'auto': 'night_sight_auto'
         };
-        const currentTheme = localStorage.getItem('notiphy-theme') || themes.LIGHT;
-        return displayModeIcons[currentTheme];
+        return displayModeIcons[this.getTheme()];
     }
     // updates settings icons appropriately
     updateSettingsDropdown() {
-        document.querySelector('.notiphy-button-audio-alert').innerHTML = this.config.audioAlert ? 'volume_up' : 'volume_off';
-        document.querySelector('.notiphy-button-audio-reminder').innerHTML = this.config.audioReminder ? 'alarm_on' : 'alarm_off';
-        document.querySelector('.notiphy-button-show-toasts').innerHTML = 'position_top_right';
-        const toastPositionButton = document.querySelector('.notiphy-button-toast-position');
+        this.query('.notiphy-button-audio-alert').innerHTML = this.config.audioAlert ? 'volume_up' : 'volume_off';
+        this.query('.notiphy-button-audio-reminder').innerHTML = this.config.audioReminder ? 'alarm_on' : 'alarm_off';
+        this.query('.notiphy-button-show-toasts').innerHTML = 'position_top_right';
+        this.query('.notiphy-button-desktop-alert').innerHTML = this.config.desktopAlert ? 'desktop_windows' : 'desktop_access_disabled';
+        const toastPositionButton = this.query('.notiphy-button-toast-position');
         toastPositionButton.innerHTML = this.getToastPositionIcon();
-        const displayModeButton = document.querySelector('.notiphy-button-display-mode');
+        const displayModeButton = this.query('.notiphy-button-display-mode');
         displayModeButton.innerHTML = this.getDisplayModeIcon();
 
     }
     
     /**
-     * Handles the event when Socket.IO is loaded and connected.
+     * Sets up real-time delivery. With tabSync on, only the leading tab connects the transport, and passes on
+     * what it receives to the other tabs (see handleTabMessage). If the leading tab closes, another one connects.
      */
-    onSocketIoLoaded() {
-        const options = {
-            transportOptions: {
-                polling: {
-                    extraHeaders: {
-                        'x-api-key': `${this.config.widgetKey}`,
-                        'x-subscriber-id': `${this.config.subscriberId}`,
-                        'x-location-id': `${this.config.locationId}`,
-                    }
+    connectRealtime() {
+        this.setupEventListeners();
+        if (!this.config.tabSync) {
+            this.subscribeRealtime();
+            return;
+        }
+        this.tabSync = new TabSync(this.storageKey('notiphyWidgetTabs'), {
+            onMessage: (message) => this.handleTabMessage(message),
+            onLeaderChange: (isLeader) => isLeader ? this.subscribeRealtime() : this.releaseRealtime(),
+        });
+        this.tabSync.start();
+        if (!this.isLeader()) {
+            this.broadcast({ type: 'hello' }); // The leading tab replies with its connection status.
+        }
+    }
+
+    /**
+     * Subscribes to real-time delivery from the transport, passing everything on to the other tabs.
+     */
+    subscribeRealtime() {
+        this.setConnectionState('connecting');
+        this.unsubscribeRealtime = this.transport.subscribe({
+            connect: async () => {
+                // console.log('Connected to subscriberId:', this.config.subscriberId);
+                // this.playStartSound();
+                this.clearTimer(this.reconnectTimer);
+                this.reconnectTimer = null;
+                this.reconnectAttempts = 0;
+                // Catch up on what arrived while disconnected, or while another tab held the connection. On the
+                // first connection, the initial fetch does.
+                if (this.connectedBefore) {
+                    await this.fetchNotifications({ replay: true });
                 }
-            }
-        };
+                this.connectedBefore = true;
+                if (this.transport.connected) { // Unless it went again while fetching.
+                    this.setConnectionState('online');
+                }
+            },
+            notification: (notification) => {
+                if (this.config.audioAlert) {
+                    // this.playPopSound();
+                }
+                this.receiveNotification(notification);
+            },
+            dismiss: (notificationId) => {
+                this.broadcast({ type: 'dismiss', id: notificationId });
+                this.handleDismissedNotification(notificationId);
+            },
+            read: (notificationId) => {
+                this.broadcast({ type: 'read', id: notificationId });
+                this.handleMarkedReadNotification(notificationId);
+            },
+            error: (error) => {
+                console.error("Unable to connect to Notiphy.me:", error);
+                this.emit('error', { type: 'connection', error });
+                if (TransportError.isAuthError(error)) {
+                    this.clearTimer(this.reconnectTimer);
+                    this.reconnectTimer = null;
+                    this.setConnectionState('auth-failed');
+                } else {
+                    this.scheduleReconnect(error && error.message);
+                }
+            },
+            disconnect: (reason) => {
+                if (this.autoReconnect && this.connectionState !== 'auth-failed') {
+                    this.scheduleReconnect(reason);
+                } else {
+                    this.setConnectionState('offline', reason);
+                }
+            },
+        });
+    }
 
-        this.socket = io(`${this.config.serviceUrl}/${this.config.subscriberId}`, options);
+    /**
+     * Delivers a notification received in real time, here and in the other tabs.
+     */
+    receiveNotification(notification) {
+        this.broadcast({ type: 'notification', notification });
+        this.deliverNotification(notification);
+    }
 
-        this.socket.on('connect', async () => {
-            // console.log('Connected to subscriberId:', this.config.subscriberId);
-            this.socket.emit('joinRoom', this.config.locationId);
-            
-            // this.playStartSound();
-            await this.fetchNotifications()
+    /**
+     * Shows a new notification, or updates one already here without alerting again, e.g. one changed since the
+     * last poll, or already fetched.
+     */
+    deliverNotification(notification) {
+        if (this.dismissedIds.has(`${notification.id}`)) {
+            return;
+        }
+        if (!this.store.has(notification.id)) {
+            this.handleNotification(notification);
+            return;
+        }
+        const updated = this.withPendingActions(notification);
+        if (updated) {
+            this.store.put(updated);
+        }
+    }
 
-             // Fetch notifications on initial connection
-            this.updateConnectionStatus(`Online: ${this.config.locationId}`);
-        });
+    /**
+     * Tries to connect again after a delay, doubling with each attempt up to 30 seconds. The delay is randomized
+     * between half and all of that, so widgets dropped at the same time don't all come back at once.
+     * @param {string} [reason] - Why it disconnected, if known.
+     */
+    scheduleReconnect(reason) {
+        this.setConnectionState('reconnecting', reason);
+        if (this.reconnectTimer) {
+            return;
+        }
+        const delay = Math.min(1000 * 2 ** this.reconnectAttempts, 30000);
+        this.reconnectAttempts++;
+        this.reconnectTimer = this.timeout(() => {
+            this.reconnectTimer = null;
+            this.transport.connect();
+        }, delay / 2 + Math.random() * delay / 2);
+    }
 
-        this.socket.on("notification", (notification) => {
-            if (this.config.audioAlert) {
-                // this.playPopSound();
-            }
-            this.handleNotification(notification);
-        });
+    /**
+     * Connects right away, e.g. when the browser is back online, rather than waiting for the next attempt.
+     */
+    reconnectNow() {
+        if (!this.isLeader() || this.connectionState !== 'reconnecting') {
+            return;
+        }
+        this.clearTimer(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.transport.connect();
+    }
 
-        this.socket.on("dismiss", (notificationId) => {
-            this.handleDismissedNotification(notificationId);
-        });
+    /**
+     * Lets go of the transport's real-time delivery, once another tab has taken over.
+     */
+    releaseRealtime() {
+        this.clearTimer(this.reconnectTimer);
+        this.reconnectTimer = null;
+        if (this.unsubscribeRealtime) {
+            this.unsubscribeRealtime();
+            this.unsubscribeRealtime = null;
+        }
+        if (typeof this.transport.close === 'function') {
+            this.transport.close();
+        }
+    }
 
-        this.socket.on("mark-read", (notificationId) => {
-            this.handleMarkedReadNotification(notificationId);
-        });
+    /**
+     * Whether this tab holds the real-time connection and plays the alert sounds. Always true with tabSync off.
+     * @returns {boolean}
+     */
+    isLeader() {
+        return !this.tabSync || this.tabSync.isLeader;
+    }
+
+    /**
+     * Sends a message to the other tabs showing this widget, if tabSync is on.
+     * @param {Object} message - `{ type, ... }`, see handleTabMessage().
+     */
+    broadcast(message) {
+        if (this.tabSync) {
+            this.tabSync.post(message);
+        }
+    }
 
-        this.socket.on("connect_error", (error) =>
-            console.error("Unable to connect to Notiphy.me:", error)
-        );
+    /**
+     * Handles a message from another tab showing this widget:
+     * - `{ type: 'notification', notification }` .. received by the leading tab.
+     * - `{ type: 'read' | 'dismiss', id, local }` . received by the leading tab, or done in another tab (`local`).
+     * - `{ type: 'connection', state, reason }` ... the leading tab's connection state changed.
+     * - `{ type: 'connect' | 'disconnect' }` ...... asks the leading tab to connect or disconnect.
+     * - `{ type: 'hello' }` ....................... a tab has opened, and asks the leading tab for its status.
+     * @param {Object} message - The message.
+     */
+    handleTabMessage(message) {
+        switch (message.type) {
+            case 'notification':
+                this.deliverNotification(message.notification);
+                break;
+            case 'read':
+                this.handleMarkedReadNotification(message.id);
+                this.announce(message);
+                break;
+            case 'dismiss':
+                this.handleDismissedNotification(message.id);
+                this.announce(message);
+                break;
+            case 'connection':
+                if (message.state === 'online') {
+                    this.connectedBefore = true; // Taking over the connection later is a reconnection.
+                }
+                this.setConnectionState(message.state, message.reason, message.mode);
+                break;
+            case 'connect':
+            case 'disconnect':
+                if (this.isLeader()) {
+                    this.setConnected(message.type === 'connect');
+                }
+                break;
+            case 'hello':
+                if (this.isLeader()) {
+                    this.broadcast({ type: 'connection', state: this.connectionState, mode: this.realtimeMode });
+                }
+                break;
+        }
+    }
 
-        this.socket.on("disconnect", () => {
-            this.updateConnectionStatus(`Offline`);
-        });
-        this.setupEventListeners();
+    /**
+     * Tells the other widgets at this location about a read or dismiss done in a tab without the real-time
+     * connection. The leading tab does it for them, through the transport's optional announce().
+     */
+    announce({ type, id, local }) {
+        if (local && this.isLeader() && typeof this.transport.announce === 'function') {
+            this.transport.announce(type, id);
+        }
+    }
+
+    /**
+     * Shows the state of real-time delivery, and tells the host page and, from the leading tab, the other tabs:
+     * - "connecting" ..... connecting for the first time.
+     * - "online" ......... connected.
+     * - "reconnecting" ... lost the connection (or couldn't make it), and trying again with backoff.
+     * - "offline" ........ disconnected from the Inbox, and not trying to connect.
+     * - "auth-failed" .... the service refused the connection, e.g. for an invalid widgetKey. Not retried.
+     * @param {string} state - One of the above.
+     * @param {string} [reason] - Why it disconnected, if known.
+     * @param {string} [mode] - How real-time delivery works, e.g. "websocket", from the transport if it says.
+     */
+    setConnectionState(state, reason, mode = this.transport.mode) {
+        const previous = this.connectionState;
+        const previousMode = this.realtimeMode;
+        this.connectionState = state;
+        this.realtimeMode = mode;
+        if (this.isLeader()) {
+            this.broadcast({ type: 'connection', state, reason, mode });
+        }
+        if (state === previous && mode === previousMode) {
+            return;
+        }
+        this.updateConnectionStatus();
+        if (state === 'auth-failed') {
+            this.showErrorBanner('auth', null);
+        }
+        if (state === 'online') {
+            this.outbox.flush(); // The service is back.
+            this.emit('connect', { locationId: this.config.locationId });
+        } else if (previous === 'online') {
+            this.emit('disconnect', { locationId: this.config.locationId, reason, state });
+        }
     }
 
     /**
      * Notification handler. Displays the notification according to configuration.
      */
     handleNotification(notification) {
+        if (!this.emit('before-notification', notification, true)) {
+            return;
+        }
         let delay = 0
         if (notification.alertLevel === 'blocker') {
             this.showBlockerModal(notification);  // show the blocker modal
@@ -459,28 +988,59 @@ export default class NotiphyWidget {
                 delay = this.config.toastDuration * 1000; // set the delay to the toast duration
             }
         }
-        setTimeout(() => {
+        if (this.config.desktopAlert && document.hidden) {
+            this.showDesktopNotification(notification); // Nobody is looking at the page.
+        }
+        this.queueForInbox(notification, delay, () => this.emit('notification', notification));
+    }
+
+    /**
+     * Adds a notification to the Inbox, with the pop sound, after `delay` ms (once its toast is gone).
+     * Until then, deliverPendingNotification() can add it right away.
+     * @param {Object} notification - The notification to add.
+     * @param {number} delay - Milliseconds to wait.
+     * @param {Function} [onDelivered] - Called once it is in the Inbox.
+     */
+    queueForInbox(notification, delay, onDelivered = () => {}) {
+        const deliver = () => {
+             this.pendingNotifications.delete(`${notification.id}`);
              this.addToNotiphyCenter(notification); // add to inbox
              this.playPopSound(); // play pop sound
-        }, delay);
+             onDelivered();
+        };
+        this.pendingNotifications.set(`${notification.id}`, { deliver, timer: this.timeout(deliver, delay) });
+        this.store.put(notification); // Stored right away, but kept out of the Inbox while pending.
+    }
+
+    /**
+     * Adds a notification that is still showing as a toast to the Inbox right away, e.g. when one of its actions
+     * is about to mark it as read or dismiss it.
+     * @param {string} notificationId - The ID of the notification.
+     */
+    deliverPendingNotification(notificationId) {
+        const pending = this.pendingNotifications.get(`${notificationId}`);
+        if (pending) {
+            this.clearTimer(pending.timer);
+            pending.deliver();
+        }
     }
 
     /**
      * display blocker modal for "blocker" level notifications.
      */
     showBlockerModal(notification) {
-        const modal = document.getElementById("notiphy-blocker-modal");
-        const title = document.getElementById("blocker-title");
-        const text = document.getElementById("blocker-text");
-        const closeButton = document.querySelector(".notiphy-close-button");
-        const dismissButton = document.getElementById("blocker-dismiss-button");
+        const modal = this.elements.blockerModal;
+        const title = this.query(".notiphy-blocker-title");
+        const text = this.query(".notiphy-blocker-text");
+        const closeButton = this.query(".notiphy-close-button");
+        const dismissButton = this.query(".notiphy-blocker-dismiss-button");
         const notificationId = notification.id;
         title.textContent = notification.title;
-        text.textContent = notification.text;
+        this.renderText(text, notification.text);
 
         const closeModal = () => {
             modal.classList.add("fade-out");
-            setTimeout(() => {
+            this.timeout(() => {
                 modal.style.display = "none";
                 modal.classList.remove("fade-out");
                 // this.handleMarkedReadNotification(notificationId); // mark the notification as read when the blocker modal is dismissed.
@@ -498,29 +1058,15 @@ export default class NotiphyWidget {
      * @param {string} notificationid - The ID of the notification that was marked as read.
      */
     handleMarkedReadNotification(notificationid) {
-        const notificationElements = document.querySelectorAll(`[data-notification-id="${notificationid}"]`);
-        if (!notificationElements.length) {
+        const notification = this.store.get(notificationid);
+        if (!notification) {
             return;
         }
-        const markReadButton = Array.from(notificationElements).find((element) =>
-            element.classList.contains("notiphy-button-mark-read")
-        );
-        const isRead = markReadButton.classList.contains("open");
-
+        const isRead = notification.read;
+        this.store.update(notificationid, { read: true });
         if (!isRead) {
-            markReadButton.classList.add("open");
-            markReadButton.innerHTML = "mark_chat_read";
-            markReadButton.parentNode.parentNode.parentNode.classList.add("notiphy-read");
-        }
-        
-        // update the notification's icon to show that the notification has been read
-        // Find the icon and update its innerText
-        const iconElement = markReadButton.closest(".notiphy-notification-element").querySelector(".notiphy-notification-left i");
-        if (iconElement) {
-            iconElement.innerText = "notifications";
+            this.emit('read', { id: notificationid, remote: true });
         }
-        this.updateStatsAfterMarkRead(isRead);
-        this.updateLocalNotification(notificationid, { read: true });
     }
 
     /**
@@ -528,74 +1074,80 @@ export default class NotiphyWidget {
      * @param {string} notificationId - The ID of the notification to be dismissed.
      */
     handleDismissedNotification(notificationId) {
-        const notificationElements = document.querySelectorAll(`[data-notification-id="${notificationId}"]`);
-        if (!notificationElements.length) {
-            return;
-        }
-        const markReadButton = Array.from(notificationElements).find((element) =>
-            element.classList.contains("notiphy-button-mark-read")
-        );
-        const isRead = markReadButton.classList.contains("open");
-        notificationElements.forEach((element) => {
-            element.closest(".notiphy-notification-element").remove();
-        });
-        this.updateStatsAfterDismissal(isRead);
-        // Remove the notification from local storage
-        this.removeLocalNotification(notificationId);
-    }
-
-    /**
-     * Updates the unread and total notification counts after a notification is dismissed.
-     * @param {boolean} [isRead=false] - Indicates whether the notification was marked as read.
-     * @returns {void}
-     */
-    updateStatsAfterDismissal(isRead = false) {
-        // Update unread and total count appropriately
-        if (!isRead) {
-            const unreadCountElement = document.querySelector(".notiphy-notification-center-stats-unread");
-            let unreadCount = parseInt(unreadCountElement.textContent);
-            unreadCount = Math.max(0, unreadCount - 1);
-            this.updateUnreadCount(unreadCount);
+        this.dismissedIds.add(`${notificationId}`);
+        this.removeSnoozed(notificationId); // It may be snoozed, and so not in the Inbox.
+        this.withdrawToast(notificationId); // Or showing as a toast, not yet in the Inbox.
+        if (this.store.remove(notificationId)) {
+            this.emit('dismiss', { id: notificationId, remote: true });
         }
-
-        // Update total count appropriately
-        const totalCountElement = document.querySelector(".notiphy-notification-center-stats-total");
-        let totalCount = parseInt(totalCountElement.textContent);
-        totalCount = Math.max(0, totalCount - 1);
-        totalCountElement.textContent = totalCount;
     }
 
     /**
-     * Updates the unread notification count after a notification has been marked as read.
-     * @param {boolean} [isRead=false] - Indicates whether the notification has been marked as read.
+     * Removes a notification's toast, if it is showing one, and keeps it from joining the Inbox once the toast is gone.
+     * @param {string} notificationId - The ID of the notification.
+     * @param {boolean} [fade=false] - Fade the toast out, as for its dismiss button, rather than remove it at once.
      */
-    updateStatsAfterMarkRead(isRead = false) {
-        // Update unread and total count appropriately
-        if (!isRead) {
-            const unreadCountElement = document.querySelector(".notiphy-notification-center-stats-unread");
-            let unreadCount = parseInt(unreadCountElement.textContent);
-            unreadCount = Math.max(0, unreadCount - 1);
-            this.updateUnreadCount(unreadCount);
+    withdrawToast(notificationId, fade = false) {
+        const pending = this.pendingNotifications.get(`${notificationId}`);
+        if (pending) {
+            this.clearTimer(pending.timer);
+            this.pendingNotifications.delete(`${notificationId}`);
         }
+        this.queryAll(`.notiphy-toast [data-notification-id="${CSS.escape(`${notificationId}`)}"]`).forEach((element) => {
+            const toastElement = element.closest(".notiphy-toast");
+            if (!fade) {
+                this.removeToast(toastElement);
+            } else if (!toastElement.classList.contains("hide")) { // Unless it is fading out already.
+                this.dismissToast(toastElement);
+            }
+        });
     }
 
     /**
      * Sets up event listeners for the notification widget.
      */
     setupEventListeners() {
-        const icon = document.querySelector(".notiphy-icon");
+        const icon = this.query(".notiphy-icon");
         icon.addEventListener("click", () => this.toggleNotificationCenter());
 
-        const dismissAllButton = document.querySelector(".notiphy-button-dismiss-all");
+        const dismissAllButton = this.query(".notiphy-button-dismiss-all");
         dismissAllButton.addEventListener("click", () => this.dismissAllNotifications());
 
-        const connectButton = document.querySelector(".notiphy-notification-center-connect-status");
+        const connectButton = this.query(".notiphy-notification-center-connect-status");
         connectButton.addEventListener("click", () => this.toggleConnection());
+
+        const searchInput = this.query(".notiphy-search");
+        searchInput.addEventListener("input", () => this.setFilter({ search: searchInput.value }));
+
+        const body = this.query(".notiphy-notification-center-body");
+        body.addEventListener("scroll", () => {
+            this.scheduleVirtualize();
+            if (body.scrollTop + body.clientHeight >= body.scrollHeight - 100) {
+                this.loadMore();
+            }
+        });
+
+        const tabs = this.query(".notiphy-notification-center-tabs");
+        tabs.addEventListener("click", (event) => {
+            const tab = event.target.closest(".notiphy-tab");
+            if (tab) {
+                this.setFilter({ tab: tab.getAttribute("data-tab") });
+            }
+        });
     
-        document.body.addEventListener("click", (event) => {
-            if (event.target.classList.contains("notiphy-button-mark-read") && !event.target.classList.contains('open')) {
+        const onClick = (event) => {
+            const thread = this.getCollapsedThread(event.target);
+            if (event.target.classList.contains("notiphy-thread-toggle")) {
+                this.toggleThread(event.target.closest(".notiphy-thread"));
+            } else if (thread && event.target.classList.contains("notiphy-button-mark-read")) {
+                this.markThreadRead(thread);
+                this.playClickOffSound();
+            } else if (thread && event.target.classList.contains("notiphy-button-dismiss")) {
+                this.dismissThread(thread);
+                this.playDismissSound();
+            } else if (event.target.classList.contains("notiphy-button-mark-read") && !event.target.classList.contains('open')) {
                 const notificationId = event.target.getAttribute("data-notification-id");
-                this.markRead(notificationId, event.target);
+                this.markRead(notificationId);
                 this.playClickOffSound();
             } else if (event.target.classList.contains("notiphy-button-dismiss")) {
                 const notificationId = event.target.getAttribute("data-notification-id");
@@ -604,13 +1156,63 @@ export default class NotiphyWidget {
                     this.dismissToast(event.target.closest('.notiphy-toast'));
                 } else {
                     // Dismiss button clicked in the notification center
-                    this.dismissNotification(notificationId, event.target);
+                    this.dismissNotification(notificationId);
                     this.playDismissSound();
                 }
             } else if (event.target.classList.contains("notiphy-button-mark-all-read")) {
                 this.markAllRead();
+            } else if (event.target.classList.contains("notiphy-button-snooze")) {
+                this.toggleSnoozeMenu(event.target);
+            } else if (event.target.classList.contains("notiphy-snooze-option")) {
+                const notificationId = event.target.closest(".notiphy-snooze-menu").getAttribute("data-notification-id");
+                this.snooze(notificationId, this.config.snoozeOptions[event.target.getAttribute("data-snooze-option")]);
+            } else if (event.target.closest(".notiphy-button-action")) {
+                this.runAction(event.target.closest(".notiphy-button-action"));
+            } else if (event.target.classList.contains("notiphy-load-more")) {
+                this.loadMore();
+            } else if (event.target.classList.contains("notiphy-banner-close")) {
+                this.hideBanner(event.target.closest(".notiphy-banner").getAttribute("data-banner"));
+            } else if (!event.target.closest("a")) {
+                // The notification body, or any element of a custom renderer's markup, can carry a data-action-url.
+                const actionElement = event.target.closest("[data-action-url]");
+                const url = actionElement && safeUrl(actionElement.getAttribute("data-action-url"), this.config.allowedSchemes);
+                if (url) {
+                    this.navigate(url);
+                }
             }
-        });
+        };
+        // Delegate from our own elements only, so other widgets on the page don't receive our clicks.
+        this.elements.center.addEventListener("click", onClick);
+        this.elements.toaster.addEventListener("click", onClick);
+
+        // Snoozes made in other tabs.
+        window.addEventListener("storage", (event) => {
+            if (event.key === this.storageKey('notiphyWidgetSnoozed')) {
+                this.handleSnoozedChange(JSON.parse(event.oldValue) || {}, JSON.parse(event.newValue) || {});
+            }
+        }, { signal: this.listenerController.signal });
+
+        // Back online: send the reads and dismissals made while offline, and reconnect and refresh without waiting.
+        window.addEventListener("online", () => {
+            this.hideBanner('offline');
+            this.outbox.flush();
+            this.reconnectNow();
+            if (this.fetchRetryTimer) {
+                this.clearTimer(this.fetchRetryTimer);
+                this.fetchRetryTimer = null;
+                this.fetchNotifications();
+            }
+        }, { signal: this.listenerController.signal });
+        window.addEventListener("offline", () => this.showErrorBanner('offline', null), { signal: this.listenerController.signal });
+
+        // Clicks on desktop notifications shown by the service worker, which it passes on to a tab of the site.
+        if (this.config.serviceWorker && 'serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener("message", (event) => {
+                if (event.data && event.data.type === 'notiphy-notification-click') {
+                    this.handleServiceWorkerClick(event.data);
+                }
+            }, { signal: this.listenerController.signal });
+        }
     }
 
     /**
@@ -618,13 +1220,41 @@ export default class NotiphyWidget {
      * @param {HTMLElement} toastElement - The DOM element representing the toast to dismiss.
      */
     dismissToast(toastElement) {
-        const toaster = document.querySelector(".notiphy-toaster");
+        this.clearToastTimers(toastElement); // Its own fade out is no longer needed.
         toastElement.classList.add("hide");  // Trigger the hide animation
-        setTimeout(() => {
-            if (toastElement.parentNode) {  // Ensure the toast is still in the DOM
-                toaster.removeChild(toastElement);  // Remove the toast from the DOM after the animation
-            }
-        }, 300);  // Sync this timeout with your CSS animation duration
+        this.toastTimeout(toastElement, () => this.removeToast(toastElement), 300);  // Sync this timeout with your CSS animation duration
+    }
+
+    /**
+     * Removes a toast right away, with its style, and stops its pending timers. Safe to call once it's gone.
+     * @param {HTMLElement} toastElement - The toast.
+     */
+    removeToast(toastElement) {
+        this.clearToastTimers(toastElement);
+        if (toastElement.parentNode) {  // Ensure the toast is still in the DOM
+            toastElement.parentNode.removeChild(toastElement);
+        }
+        if (toastElement.__styleElement) {
+            toastElement.__styleElement.remove();
+            this.injectedNodes.delete(toastElement.__styleElement);
+        }
+    }
+
+    /**
+     * timeout() for a toast, cleared when the toast is removed.
+     */
+    toastTimeout(toastElement, callback, delay) {
+        const timerId = this.timeout(callback, delay);
+        if (!this.toastTimers.has(toastElement)) {
+            this.toastTimers.set(toastElement, new Set());
+        }
+        this.toastTimers.get(toastElement).add(timerId);
+        return timerId;
+    }
+
+    clearToastTimers(toastElement) {
+        (this.toastTimers.get(toastElement) || []).forEach((timerId) => this.clearTimer(timerId));
+        this.toastTimers.delete(toastElement);
     }
 
     /**
@@ -632,7 +1262,7 @@ export default class NotiphyWidget {
      * @param {Object} notification - The notification object to be displayed.
      */
     showToast(notification) {
-        const toaster = document.querySelector(".notiphy-toaster");
+        const toaster = this.query(".notiphy-toaster");
         const notificationElement = this.assembleToast(notification);
         toaster.insertBefore(notificationElement, toaster.firstChild);
     
@@ -640,7 +1270,7 @@ export default class NotiphyWidget {
         let startTime = Date.now();
         let remainingTime = (this.config.toastDuration || 4) * 1000; // default to 4000ms (4 seconds)
         const uniqueClass = `toast-duration-${Date.now()}`;
-        const alertLevel = notification.alertLevel || 'info'; // default to info color
+        const alertLevel = /^[\w-]+$/.test(notification.alertLevel) ? notification.alertLevel : 'info'; // default to info color, and keep it a valid CSS identifier
         const alertColorVariable = `--notiphy-${alertLevel}-color`;
     
         // Create a style tag with the unique class
@@ -653,49 +1283,41 @@ export default class NotiphyWidget {
             + `.${uniqueClass}.paused .progress:before {`
             + `animation-play-state: paused !important;`
             + `}`;
-        document.head.appendChild(style);
+        this.inject(style, this.shadowRoot || document.head);
     
         // Add the unique class to the notification element
         notificationElement.classList.add(uniqueClass);
         notificationElement.__styleElement = style; // Store reference to remove later
     
-        setTimeout(() => {
+        this.toastTimeout(notificationElement, () => {
             notificationElement.classList.add("show");
             this.playWhooshSound();
             // Setup fade out after custom duration unless paused
-            toastTimeout = setTimeout(() => {
+            toastTimeout = this.toastTimeout(notificationElement, () => {
                 notificationElement.classList.add("hide");
-                setTimeout(() => {
-                    toaster.removeChild(notificationElement);
-                    document.head.removeChild(style);
-                    if (notificationElement.__styleElement) {
-                        notificationElement.__styleElement.remove();
-                    }
-                }, 300); // remove from DOM after transition ends
+                this.toastTimeout(notificationElement, () => this.removeToast(notificationElement), 300); // remove from DOM after transition ends
             }, remainingTime);
         }, 10); // short delay to ensure the element is in the DOM before applying the "show" class
     
         // Pause the timeout and calculate remaining time
         notificationElement.addEventListener('mouseenter', () => {
-            clearTimeout(toastTimeout);
+            this.clearTimer(toastTimeout);
             remainingTime -= Date.now() - startTime;
             notificationElement.classList.add('paused');
         });
     
         // Resume the timeout with the remaining time
         notificationElement.addEventListener('mouseleave', () => {
+            if (!notificationElement.parentNode) {
+                return; // Already removed, e.g. dismissed from another tab.
+            }
             startTime = Date.now(); // Reset the start time
             notificationElement.classList.remove('paused');
             notificationElement.classList.remove("hide");
     
-            toastTimeout = setTimeout(() => {
+            toastTimeout = this.toastTimeout(notificationElement, () => {
                 notificationElement.classList.add("hide");
-                setTimeout(() => {
-                    toaster.removeChild(notificationElement);
-                    if (notificationElement.__styleElement) {
-                        notificationElement.__styleElement.remove();
-                    }
-                }, 300);
+                this.toastTimeout(notificationElement, () => this.removeToast(notificationElement), 300);
             }, remainingTime);
         });
     }
@@ -736,24 +1358,21 @@ export default class NotiphyWidget {
         const toastElement = document.createElement("div");
         toastElement.className = `notiphy-notification-element notiphy-toast notiphy-${notification.alertLevel} ${notification.read ? "notiphy-read" : ""}`;
         
-        const isButton = notification.actionUrl && notification.linkButton? true : false;
-        const linkButton = !isButton? `` : `<div class="notiphy-linkButton-container"><a href="${notification.actionUrl}" class="notiphy-button-link">${!notification.linkButtonLabel ? `Click here` : `${notification.linkButtonLabel}`}</a></div>`;
-        
         toastElement.innerHTML = ``
         + `<div class='notiphy-notification-left'>`
         +   `<i class="material-symbols-outlined">notifications_unread</i>`
         + `</div>`
         + `<div class='notiphy-notification-right'>`
         +   `<div class='notiphy-notification-actions'>`
-        +       `<i class="notiphy-button-dismiss material-symbols-outlined" title="Dismiss" data-notification-id="${notification.id}">close</i>`
+        +       `<i class="notiphy-button-dismiss material-symbols-outlined" title="Dismiss">close</i>`
         +   `</div>`
-        +   `<div class='notiphy-notification-header'>${notification.title}</div>`
-        // +   `<div class='notiphy-notification-body'${notification.actionUrl ? ` onclick="location.href='${notification.actionUrl}';"` : ""}>${notification.text}</div>`
-        + `<div class='notiphy-notification-body'${notification.actionUrl && !isButton ? ` style="cursor:pointer;" onclick="location.href='${notification.actionUrl}';"` : ""}>${notification.text}</div>`
-        + `${linkButton}`
+        +   `<div class='notiphy-notification-header'></div>`
+        +   `<div class='notiphy-notification-body'></div>`
         +   `<div class='notiphy-notification-footer'>Right now</div>`
         + `</div>`
         + `<div class="progress active"></div>`
+        this.fillNotificationElement(toastElement, notification);
+        this.applyRenderer(toastElement, notification, 'toast');
         return toastElement;
     }
 
@@ -766,326 +1385,1482 @@ export default class NotiphyWidget {
         const notificationElement = document.createElement("div");
         notificationElement.className = `notiphy-notification-element${notification.read ? " notiphy-read" : ""}${!notification.alertLevel ? `` : ` notiphy-${notification.alertLevel}`}`;
         
-        const isButton = notification.actionUrl && notification.linkButton? true : false;
-        const linkButton = !isButton? `` : `<div class="notiphy-linkButton-container"><a href="${notification.actionUrl}" class="notiphy-button-link">${!notification.linkButtonLabel ? `Click here` : `${notification.linkButtonLabel}`}</a></div>`;
-        
         notificationElement.innerHTML = ``
         + `<div class='notiphy-notification-left'>`
         + `<i class="material-symbols-outlined">${notification.alertLevel == 'blocker' ? 'crisis_alert' : notification.read ? "notifications" : "notifications_unread"}</i>`
         + `</div>`
         + `<div class='notiphy-notification-right'>`
         + `<div class='notiphy-notification-actions'>`
-        + `<i class="notiphy-button-mark-read material-symbols-outlined${notification.read ? " open" : ""}" title="Mark as read" data-notification-id="${notification.id}">${notification.read ? "mark_chat_read" : "mark_chat_unread"}</i>`
-        + `<i class="notiphy-button-dismiss material-symbols-outlined" title="Dismiss" data-notification-id="${notification.id}">delete_forever</i>`
+        + `<i class="notiphy-button-snooze material-symbols-outlined" title="Snooze">snooze</i>`
+        + `<i class="notiphy-button-mark-read material-symbols-outlined${notification.read ? " open" : ""}" title="Mark as read">${notification.read ? "mark_chat_read" : "mark_chat_unread"}</i>`
+        + `<i class="notiphy-button-dismiss material-symbols-outlined" title="Dismiss">delete_forever</i>`
         + `</div>`
-        + `<div class='notiphy-notification-header'>${notification.title}</div>`
-        + `<div class='notiphy-notification-body'${notification.actionUrl && !isButton ? ` style="cursor:pointer;" onclick="location.href='${notification.actionUrl}';" title="Go to ${notification.actionUrl}"` : ""} >${notification.text}</div>`
-        + `${linkButton}`
+        + `<div class='notiphy-notification-header'></div>`
+        + `<div class='notiphy-notification-body'></div>`
         + `<div class='notiphy-notification-footer'></div>`
         + `</div>`;
+        this.fillNotificationElement(notificationElement, notification);
+        this.applyRenderer(notificationElement, notification, 'item');
+        this.itemNotifications.set(notificationElement, notification);
+        notificationElement.setAttribute("data-id", notification.id);
 
-        const inbox = document.querySelector(".notiphy-notification-center-body");
+        const inbox = this.query(".notiphy-notification-center-body");
     
         // Update the footer after the element is fully created
         this.updateNotificationFooter(notificationElement.querySelector('.notiphy-notification-footer'), notification._ts); // '_ts' is the timestamp of the notification, as indicated by the database.
         return notificationElement;
     }
 
-    // format the time stamp in the notification footer, and update it dynamically.
+    /**
+     * Fills in the notification's content: title, text, action URL and IDs. Nothing from the notification is
+     * ever parsed as markup, except the text in `richText` mode, and then only through the sanitizer.
+     */
+    fillNotificationElement(element, notification) {
+        element.querySelectorAll('.notiphy-button-snooze, .notiphy-button-mark-read, .notiphy-button-dismiss').forEach((button) => {
+            button.setAttribute("data-notification-id", notification.id);
+        });
+        element.querySelector('.notiphy-notification-header').textContent = notification.title ?? '';
+        const body = element.querySelector('.notiphy-notification-body');
+        this.renderText(body, notification.text);
+        this.renderActions(element, notification);
+
+        const actionUrl = this.getActionUrl(notification);
+        if (!actionUrl) {
+            return;
+        }
+        if (notification.linkButton) {
+            const container = document.createElement("div");
+            container.className = "notiphy-linkButton-container";
+            const link = document.createElement("a");
+            link.className = "notiphy-button-link";
+            link.href = actionUrl;
+            link.textContent = notification.linkButtonLabel || "Click here";
+            container.appendChild(link);
+            body.after(container);
+        } else {
+            // Navigated to by the click handler in setupEventListeners().
+            body.setAttribute("data-action-url", actionUrl);
+            body.style.cursor = "pointer";
+            body.title = `Go to ${actionUrl}`;
+        }
+    }
+
+    /**
+     * Finds the host page's renderer for a notification, from `config.renderers`: by the notification's `type`
+     * first, then by its `alertLevel`, then "default". A renderer is a render function, a template string, or
+     * `{ item, toast }` with either for each view.
+     * @param {Object} notification - The notification to render.
+     * @param {string} view - "item" (in the Inbox) or "toast".
+     * @returns {Function|string|null} - The renderer, or null to use the built-in markup.
+     */
+    getRenderer(notification, view) {
+        const renderers = this.config.renderers || {};
+        for (const key of [notification.type, notification.alertLevel, 'default']) {
+            if (!key || !Object.prototype.hasOwnProperty.call(renderers, key)) {
+                continue;
+            }
+            const renderer = renderers[key];
+            const forView = renderer && typeof renderer === 'object' ? renderer[view] : renderer;
+            if (forView) {
+                return forView;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Replaces the built-in content of a notification element (icon, title, text and link button) with the
+     * output of the host page's renderer, if there is one. The element itself, the mark-read and dismiss buttons,
+     * the footer and the toast progress bar stay the widget's, so reading, dismissing, counts and animations
+     * work the same. If the renderer throws, the built-in content is kept.
+     * @param {HTMLElement} element - The assembled notification element.
+     * @param {Object} notification - The notification being rendered.
+     * @param {string} view - "item" or "toast".
+     */
+    applyRenderer(element, notification, view) {
+        const renderer = this.getRenderer(notification, view);
+        if (!renderer) {
+            return;
+        }
+        const content = document.createElement("div");
+        content.className = "notiphy-notification-content";
+        try {
+            const output = typeof renderer === 'function'
+                ? renderer(notification, {
+                    view,
+                    widget: this,
+                    actionUrl: this.getActionUrl(notification),
+                    escape: escapeHtml,
+                    sanitize: (html) => sanitizeHtml(html, this.config.allowedSchemes),
+                })
+                : this.fillTemplate(renderer, notification);
+            if (output instanceof Node) {
+                content.appendChild(output);
+            } else {
+                content.innerHTML = output ?? '';
+            }
+        } catch (error) {
+            console.error(`Error rendering notification ${notification.id}, using the default markup:`, error);
+            return;
+        }
+        element.querySelectorAll('.notiphy-notification-left, .notiphy-notification-header, .notiphy-notification-body, .notiphy-linkButton-container')
+            .forEach((node) => node.remove());
+        element.querySelector('.notiphy-notification-actions').after(content);
+        element.classList.add("notiphy-custom-render");
+    }
+
+    /**
+     * Fills a template string's `{{placeholders}}` with the notification's fields, HTML-escaped.
+     * Nested fields use dots, e.g. `{{data.avatar}}`. `{{actionUrl}}` is only filled if its scheme is allowed.
+     * @param {string} template - Markup from the host page, with placeholders.
+     * @param {Object} notification - The notification to fill it with.
+     * @returns {string} - The filled in markup.
+     */
+    fillTemplate(template, notification) {
+        const fields = { ...notification, actionUrl: this.getActionUrl(notification) };
+        return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (placeholder, path) => {
+            const value = path.split('.').reduce((object, key) => (object == null ? undefined : object[key]), fields);
+            return escapeHtml(value);
+        });
+    }
+
+    /**
+     * Renders the notification's `actions` as a row of buttons, above the footer. An action is
+     * `{ id, label, type, url, handler, after }`, see runAction() for what each type does. Navigate actions
+     * with a URL that isn't allowed are left out.
+     */
+    renderActions(element, notification) {
+        if (!Array.isArray(notification.actions) || !notification.actions.length) {
+            return;
+        }
+        const container = document.createElement("div");
+        container.className = "notiphy-actions-container";
+        notification.actions.forEach((action, index) => {
+            const normalized = this.normalizeAction(action, index, notification);
+            if (!normalized) {
+                return;
+            }
+            const button = document.createElement("button");
+            button.type = "button";
+            button.className = `notiphy-button-action${/^[\w-]+$/.test(normalized.style) ? ` notiphy-button-action-${normalized.style}` : ""}`;
+            button.textContent = normalized.label;
+            button.setAttribute("data-notification-id", notification.id);
+            button.setAttribute("data-action-id", normalized.id);
+            this.actionButtons.set(button, { notification, action: normalized });
+            container.appendChild(button);
+        });
+        if (container.children.length) {
+            element.querySelector('.notiphy-notification-footer').before(container);
+        }
+    }
+
+    /**
+     * Fills in an action's defaults: its `id` (its index), and its `type`, from whether it has a `url` ("navigate"),
+     * a `handler` ("handler"), or neither ("post").
+     * @returns {Object|null} - The action, or null if it can't be run.
+     */
+    normalizeAction(action, index, notification) {
+        if (!action || typeof action !== 'object' || !action.label) {
+            return null;
+        }
+        const type = action.type || (action.url ? 'navigate' : action.handler ? 'handler' : 'post');
+        const normalized = { ...action, id: `${action.id ?? index}`, type };
+        if (type === 'navigate') {
+            normalized.url = safeUrl(action.url, this.config.allowedSchemes);
+            if (!normalized.url) {
+                console.error(`Ignoring action "${normalized.id}" of notification ${notification.id}: "${action.url}" is not an allowed URL.`);
+                return null;
+            }
+        }
+        return normalized;
+    }
+
+    /**
+     * Renders untrusted text into an element: as plain text, or in `richText` mode as the sanitized subset
+     * of HTML (bold, italics, code and links).
+     */
+    renderText(element, text) {
+        if (this.config.richText) {
+            element.replaceChildren(sanitizeHtml(text, this.config.allowedSchemes));
+        } else {
+            element.textContent = text ?? '';
+        }
+    }
+
+    /**
+     * The notification's actionUrl, if it uses one of the allowed schemes.
+     * @returns {string|null} - The absolute URL, or null if there is none or it isn't allowed.
+     */
+    getActionUrl(notification) {
+        if (!notification.actionUrl) {
+            return null;
+        }
+        const url = safeUrl(notification.actionUrl, this.config.allowedSchemes);
+        if (!url) {
+            console.error(`Ignoring the actionUrl of notification ${notification.id}: "${notification.actionUrl}" is not an allowed URL.`);
+        }
+        return url;
+    }
+
+    /**
+     * Navigates to a notification's action URL.
+     */
+    navigate(url) {
+        window.location.assign(url);
+    }
+
+    /**
+     * The key notifications are threaded by: their `groupKey`, or else their title.
+     */
+    getThreadKey(notification) {
+        return notification.groupKey ? `group:${notification.groupKey}` : `title:${notification.title ?? ''}`;
+    }
+
+    /**
+     * Puts an Inbox item in its thread, creating the thread if it's the first of its kind. Each thread holds
+     * the notifications sharing a thread key, newest first: the newest is the thread's head, the others are
+     * collapsed under it until expanded. Threads sit in the section of the day their head was created.
+     * @param {HTMLElement} element - The assembled Inbox item.
+     * @param {Object} notification - The notification it shows.
+     */
+    addToThread(element, notification) {
+        const body = this.query(".notiphy-notification-center-body");
+        const key = this.getThreadKey(notification);
+        let thread = body.querySelector(`.notiphy-thread[data-thread-key="${CSS.escape(key)}"]`);
+        if (!thread) {
+            thread = document.createElement("div");
+            thread.className = "notiphy-thread";
+            thread.setAttribute("data-thread-key", key);
+            thread.innerHTML = `<div class="notiphy-thread-items"></div>`;
+        }
+        element.setAttribute("data-ts", Number(notification._ts) || 0);
+        thread.querySelector(".notiphy-thread-items").appendChild(element);
+        this.layoutThread(thread);
+    }
+
+    /**
+     * The Inbox items of a thread, newest first.
+     */
+    getThreadItems(thread) {
+        return Array.from(thread.querySelectorAll(".notiphy-notification-element"))
+            .sort((a, b) => Number(b.getAttribute("data-ts")) - Number(a.getAttribute("data-ts")));
+    }
+
+    /**
+     * Arranges a thread after items were added or removed: newest item as the head, the count on the head's
+     * toggle, and the thread in its day section, in order. Empty threads and sections are removed.
+     */
+    layoutThread(thread) {
+        const items = this.getThreadItems(thread);
+        const section = thread.closest(".notiphy-day-section");
+        if (!items.length) {
+            thread.remove();
+            if (section && !section.querySelector(".notiphy-thread")) {
+                section.remove();
+            }
+            return;
+        }
+        const [head, ...rest] = items;
+        const list = thread.querySelector(".notiphy-thread-items");
+        thread.querySelectorAll(".notiphy-thread-head").forEach((element) => {
+            this.renderItem(element);
+            element.classList.remove("notiphy-thread-head");
+            element.querySelectorAll(".notiphy-thread-toggle").forEach((toggle) => toggle.remove());
+        });
+        head.classList.add("notiphy-thread-head");
+        thread.insertBefore(head, list);
+        list.append(...rest);
+        thread.classList.toggle("notiphy-thread-multiple", rest.length > 0);
+        thread.setAttribute("data-ts", head.getAttribute("data-ts"));
+        thread.setAttribute("data-count", items.length);
+        if (rest.length) {
+            this.renderItem(head);
+            const toggle = document.createElement("span");
+            toggle.className = "notiphy-thread-toggle";
+            toggle.title = thread.classList.contains("expanded") ? "Collapse" : `Show all ${items.length}`;
+            toggle.textContent = items.length;
+            head.querySelector(".notiphy-notification-actions").prepend(toggle);
+        }
+
+        const daySection = this.getDaySection(this.getDayKey(Number(head.getAttribute("data-ts"))));
+        const next = Array.from(daySection.querySelectorAll(".notiphy-thread"))
+            .find((other) => other !== thread && Number(other.getAttribute("data-ts")) < Number(thread.getAttribute("data-ts")));
+        if (next) {
+            daySection.insertBefore(thread, next);
+        } else {
+            daySection.appendChild(thread);
+        }
+        if (section && section !== daySection && !section.querySelector(".notiphy-thread")) {
+            section.remove();
+        }
+    }
+
+    /**
+     * Re-arranges the threads whose items changed (some were removed), see layoutThread().
+     */
+    tidyThreads() {
+        this.queryAll(".notiphy-notification-center-body .notiphy-thread").forEach((thread) => {
+            const items = thread.querySelectorAll(".notiphy-notification-element");
+            const head = thread.querySelector(":scope > .notiphy-notification-element");
+            if (!head || Number(thread.getAttribute("data-count")) !== items.length) {
+                this.layoutThread(thread);
+            }
+        });
+    }
+
+    /**
+     * The local date of a Unix timestamp (in seconds), as "YYYY-MM-DD".
+     */
+    getDayKey(timestamp) {
+        const date = new Date(timestamp * 1000);
+        return `${date.getFullYear()}-${`${date.getMonth() + 1}`.padStart(2, '0')}-${`${date.getDate()}`.padStart(2, '0')}`;
+    }
+
+    /**
+     * "Today", "Yesterday", or the date, for a day section header.
+     * @param {string} dayKey - The day, as "YYYY-MM-DD".
+     */
+    getDayLabel(dayKey) {
+        const [year, month, day] = dayKey.split('-').map(Number);
+        const date = new Date(year, month - 1, day);
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        const daysAgo = Math.round((today - date) / (24 * 60 * 60 * 1000));
+        if (daysAgo === 0) return "Today";
+        if (daysAgo === 1) return "Yesterday";
+        return date.toLocaleDateString(undefined, {
+            weekday: 'long',
+            month: 'short',
+            day: 'numeric',
+            year: date.getFullYear() === today.getFullYear() ? undefined : 'numeric',
+        });
+    }
+
+    /**
+     * Finds or creates the Inbox section for a day, newest day first.
+     * @param {string} dayKey - The day, as "YYYY-MM-DD".
+     */
+    getDaySection(dayKey) {
+        const body = this.query(".notiphy-notification-center-body");
+        const sections = Array.from(body.querySelectorAll(".notiphy-day-section"));
+        let section = sections.find((candidate) => candidate.getAttribute("data-day") === dayKey);
+        if (!section) {
+            section = document.createElement("div");
+            section.className = "notiphy-day-section";
+            section.setAttribute("data-day", dayKey);
+            section.innerHTML = `<div class="notiphy-day-header"></div>`;
+            section.firstChild.textContent = this.getDayLabel(dayKey);
+            // "YYYY-MM-DD" sorts as a date.
+            body.insertBefore(section, sections.find((other) => other.getAttribute("data-day") < dayKey) || body.querySelector(".notiphy-load-more"));
+        }
+        return section;
+    }
+
+    /**
+     * Keeps the day headers right as days go by ("Today" becomes "Yesterday").
+     */
+    updateDayLabels() {
+        this.queryAll(".notiphy-day-section").forEach((section) => {
+            const header = section.querySelector(".notiphy-day-header");
+            const label = this.getDayLabel(section.getAttribute("data-day"));
+            if (header.textContent !== label) {
+                header.textContent = label;
+            }
+        });
+    }
+
+    /**
+     * The thread of a collapsed thread's head, whose mark-read and dismiss buttons act on the whole thread.
+     * @param {HTMLElement} target - A clicked element.
+     * @returns {HTMLElement|null} - The thread, or null if `target` isn't in the head of a collapsed thread.
+     */
+    getCollapsedThread(target) {
+        const head = target.closest(".notiphy-thread-head");
+        const thread = head && head.parentNode;
+        if (!thread || !thread.classList.contains("notiphy-thread-multiple") || thread.classList.contains("expanded") || this.isFiltered()) {
+            return null;
+        }
+        return thread;
+    }
+
+    /**
+     * Expands or collapses a thread.
+     */
+    toggleThread(thread) {
+        thread.classList.toggle("expanded");
+        const toggle = thread.querySelector(".notiphy-thread-toggle");
+        if (toggle) {
+            toggle.title = thread.classList.contains("expanded") ? "Collapse" : `Show all ${thread.getAttribute("data-count")}`;
+        }
+        this.scheduleVirtualize();
+    }
+
+    /**
+     * Marks every notification in a thread as read, in one request.
+     * @returns {Promise<boolean[]>} - See markReadMany().
+     */
+    markThreadRead(thread) {
+        const ids = Array.from(thread.querySelectorAll(".notiphy-notification-element:not(.notiphy-read)"), (element) => element.getAttribute("data-id"));
+        return this.markReadMany(ids);
+    }
+
+    /**
+     * Dismisses every notification in a thread, in one request.
+     * @returns {Promise<boolean[]>} - See dismissMany().
+     */
+    dismissThread(thread) {
+        const ids = Array.from(thread.querySelectorAll(".notiphy-notification-element"), (element) => element.getAttribute("data-id"));
+        return this.dismissMany(ids);
+    }
+
+    // format the time stamp in the notification footer. updateTimestamps() keeps it current.
     updateNotificationFooter(footerElement, initialTimestamp) {
-        const updateText = () => {
-            const newText = this.getTimeElapsedString(initialTimestamp);
-            if (footerElement.textContent !== newText) {
-                footerElement.textContent = newText;
+        footerElement.setAttribute("data-ts", initialTimestamp);
+        const newText = this.getTimeElapsedString(initialTimestamp);
+        if (footerElement.textContent !== newText) {
+            footerElement.textContent = newText;
+        }
+    }
+
+    /**
+     * Updates the time in the footer of every rendered Inbox item, and the day headers. Called every 5 seconds,
+     * and for an item when it's rendered again after being virtualized away.
+     */
+    updateTimestamps() {
+        this.queryAll(".notiphy-notification-center-body .notiphy-notification-footer[data-ts]").forEach((footer) => {
+            this.updateNotificationFooter(footer, Number(footer.getAttribute("data-ts")));
+        });
+        this.updateDayLabels();
+    }
+
+    /**
+     * Adds a new notification to the notification center.
+     * @param {Object} notification - The notification object to be added.
+     * @returns {void}
+     */
+    addToNotiphyCenter(notification) {
+        const center = this.query(".notiphy-notification-center-body");
+        if (this.store.has(notification.id)) {
+            this.renderInbox([`${notification.id}`]); // e.g. no longer pending or snoozed
+        } else {
+            this.store.put(notification);
+        }
+        // center.scrollTo({ top: center.scrollHeight, behavior: "smooth" });
+        center.scrollTo({ top: 0, behavior: "smooth" });
+    }
+
+    /**
+     * Adds a notification's item to the Inbox. Call applyFilter() when done, for the threads and counts.
+     */
+    appendToInbox(notification) {
+        const notificationElement = this.assembleNotification(notification);
+        this.addToThread(notificationElement, notification);
+        this.inboxItems.set(`${notification.id}`, notificationElement);
+    }
+
+    /**
+     * Removes a notification's item from the Inbox. Call applyFilter() when done, for the threads and counts.
+     * @returns {boolean} - `false` if it wasn't in the Inbox.
+     */
+    removeFromInbox(notificationId) {
+        const element = this.inboxItems.get(`${notificationId}`);
+        if (!element) {
+            return false;
+        }
+        element.remove();
+        this.inboxItems.delete(`${notificationId}`);
+        return true;
+    }
+
+    /**
+     * Brings the Inbox in line with the store, patching only what differs from what it shows: items are added
+     * for new notifications and removed for those gone, newly read ones are marked read, and those changed
+     * otherwise are rendered again. Unchanged items, the scroll position and expanded threads stay.
+     * Emits "change" with the IDs and the new counts.
+     * @param {string[]} [ids] - The notifications that changed. Default: all of them.
+     */
+    renderInbox(ids = [...new Set([...this.store.all().map((notification) => `${notification.id}`), ...this.inboxItems.keys()])]) {
+        const snoozed = this.loadSnoozed();
+        ids.forEach((id) => {
+            const notification = this.isInInbox(id, snoozed) ? this.store.get(id) : null;
+            const element = this.inboxItems.get(id);
+            const shown = element && this.itemNotifications.get(element);
+            if (!notification) {
+                this.removeFromInbox(id);
+            } else if (!shown) {
+                this.appendToInbox(notification);
+            } else if (this.sameNotification(shown, notification)) {
+                return;
+            } else if (notification.read && !shown.read && this.sameNotification({ ...shown, read: true }, notification)) {
+                this.showAsRead(element);
+                this.itemNotifications.set(element, notification);
+            } else {
+                this.removeFromInbox(id);
+                this.appendToInbox(notification);
             }
-        };
+        });
+        this.applyFilter();
+        this.emit('change', { ids, ...this.getCounts() });
+    }
+
+    /**
+     * Whether a notification belongs in the Inbox: it's in the store, and neither snoozed nor showing as a toast.
+     * @param {string} notificationId - The ID of the notification.
+     * @param {Object} [snoozed] - The stored snoozes, when checking many at once.
+     */
+    isInInbox(notificationId, snoozed = this.loadSnoozed()) {
+        return this.store.has(notificationId)
+            && !Object.prototype.hasOwnProperty.call(snoozed, notificationId)
+            && !this.pendingNotifications.has(`${notificationId}`);
+    }
+
+    /**
+     * The notifications in the Inbox, regardless of the filter.
+     * @returns {Object[]}
+     */
+    getInboxNotifications() {
+        const snoozed = this.loadSnoozed();
+        return this.store.all().filter((notification) => this.isInInbox(notification.id, snoozed));
+    }
+
+    /**
+     * The unread and total notifications in the Inbox, regardless of the filter.
+     * @returns {{unread: number, total: number}}
+     */
+    getCounts() {
+        const notifications = this.getInboxNotifications();
+        return { unread: notifications.filter((notification) => !notification.read).length, total: notifications.length };
+    }
+
+    /**
+     * Whether two versions of a notification have the same fields and values.
+     */
+    sameNotification(a, b) {
+        const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+        return Array.from(keys).every((key) => JSON.stringify(a[key]) === JSON.stringify(b[key]));
+    }
+
+    /**
+     * Shows an Inbox item as read.
+     */
+    showAsRead(element) {
+        this.renderItem(element);
+        const markReadButton = element.querySelector(".notiphy-button-mark-read");
+        if (markReadButton) {
+            markReadButton.classList.add("open");
+            markReadButton.innerHTML = "mark_chat_read";
+        }
+        element.classList.add("notiphy-read");
+
+        // update the notification's icon to show that the notification has been read
+        const iconElement = element.querySelector(".notiphy-notification-left i");
+        if (iconElement) {
+            iconElement.innerText = "notifications";
+        }
+    }
+
+    /**
+     * Shows the unread and total counts from the store on the icon's badge and in the Inbox.
+     */
+    updateCounts() {
+        const { unread, total } = this.getCounts();
+        this.updateUnreadCount(unread);
+        this.updateTotalCount(total);
+    }
+
+    /**
+     * Fetches notifications from the server and adds them to the Notiphy notification center.
+     *
+     * This method asks the transport for the notifications changed since the last fetch (by default, a GET
+     * request to the `/widget/notifications` endpoint). The result is expected to be an array of notification
+     * objects, which are merged with the stored ones, and the Notiphy notification center is patched to match
+     * using the `renderInbox` method.
+     *
+     * After the notifications have been fetched and added, the `notificationsLoaded` flag is set to `true`.
+     *
+     * @returns {void}
+     */
+    async fetchNotifications({ replay = false } = {}) {
+        const lastFetched = localStorage.getItem(this.storageKey('notiphyWidgetLastFetched')) || 0;
+        // The first fetch gets the newest page only; later ones get every change since.
+        const limit = Number(lastFetched) ? 0 : this.config.pageSize;
+        
+        try {
+            const fetchedNotifications = await this.transport.fetchNotifications(lastFetched, {
+                signal: this.listenerController.signal,
+                ...(limit > 0 && { limit }),
+            });
+            // On a reconnection, new notifications missed while disconnected are delivered like real-time ones,
+            // oldest first, with their toasts and sounds. Ones already stored are merged.
+            const missed = !replay ? [] : fetchedNotifications
+                .filter((notification) => !notification.dismissed && !notification.read
+                    && !this.store.has(notification.id) && !this.dismissedIds.has(`${notification.id}`)
+                    && this.withPendingActions(notification))
+                .sort((a, b) => (Number(a._ts) || 0) - (Number(b._ts) || 0));
+            // Merge into the store, which patches the notification center and session storage to match
+            this.store.batch(() => {
+                fetchedNotifications.forEach(notification => {
+                    if (missed.includes(notification)) {
+                        return;
+                    }
+                    if (notification.dismissed) {
+                        this.store.remove(notification.id);
+                        this.removeSnoozed(notification.id);
+                    } else if (this.withPendingActions(notification)) {
+                        this.store.put(this.withPendingActions(notification));
+                    }
+                });
+            });
+            missed.forEach((notification) => this.receiveNotification(notification));
+            if (limit > 0) {
+                this.setHasMore(fetchedNotifications.length >= limit);
+            }
+            this.renderLoadMore();
     
-        // Immediately update text
-        updateText();
+            if (!this.notificationsLoaded && this.config.showInboxOnLoad) {
+                this.toggleNotificationCenter();
+            }
+            this.notificationsLoaded = true;
+    
+            // Save the current timestamp as the last fetched time in UTC
+            const newLastFetched = Math.floor(Date.now() / 1000); // Unix timestamp in seconds
+            localStorage.setItem(this.storageKey('notiphyWidgetLastFetched'), newLastFetched);
+            this.clearTimer(this.fetchRetryTimer);
+            this.fetchRetryTimer = null;
+            this.fetchRetries = 0;
+            this.hideErrorBanners();
+        } catch (error) {
+            if (this.destroyed) {
+                return;
+            }
+            console.error("Failed to fetch notifications:", error);
+            const kind = this.getErrorKind(error);
+            const retryIn = Outbox.isRetryable(error) ? this.scheduleFetchRetry(error) : null;
+            this.showErrorBanner(kind, retryIn);
+            this.emit('error', { type: 'fetch', error, kind, retryIn });
+        }
+    }
+
+    /**
+     * Fetches again after a transient failure: after the service's Retry-After if it sent one, otherwise after
+     * 2 seconds, doubling with each failure up to 2 minutes. Sooner if the browser comes back online.
+     * @returns {number} - The delay, in ms.
+     */
+    scheduleFetchRetry(error) {
+        const retryAfter = error instanceof TransportError && error.retryAfter;
+        const delay = retryAfter ? retryAfter * 1000 : Math.min(2000 * 2 ** this.fetchRetries, 120000);
+        this.fetchRetries++;
+        this.clearTimer(this.fetchRetryTimer);
+        this.fetchRetryTimer = this.timeout(() => {
+            this.fetchRetryTimer = null;
+            this.fetchNotifications();
+        }, delay);
+        return delay;
+    }
+
+    /**
+     * What kind of failure an error is, for the banner and the "error" event:
+     * - "auth" ......... the service refused the widgetKey or token (401, 403).
+     * - "rate-limit" ... too many requests (429).
+     * - "offline" ...... the service couldn't be reached, e.g. no network.
+     * - "server" ....... the service failed, or refused the request for another reason.
+     */
+    getErrorKind(error) {
+        const status = error && error.status;
+        if (TransportError.isAuthError(error)) {
+            return 'auth';
+        }
+        if (status === 429) {
+            return 'rate-limit';
+        }
+        if (TransportError.isNetworkError(error) || (!status && !navigator.onLine)) {
+            return 'offline';
+        }
+        return 'server';
+    }
+
+    /**
+     * Shows what's keeping the Inbox from updating, in place of any other such message. The notifications
+     * already here stay as they are.
+     * @param {string} kind - See getErrorKind().
+     * @param {number|null} retryIn - When it'll try again, in ms, if it will.
+     */
+    showErrorBanner(kind, retryIn) {
+        const retry = retryIn ? ` Trying again in ${Math.ceil(retryIn / 1000)}s.` : '';
+        const text = {
+            'auth': "Notifications are unavailable: the widget's key or token was refused.",
+            'rate-limit': `Too many requests to the notification service.${retry}`,
+            'offline': "You're offline. Notifications will update once you're back online.",
+            'server': `The notification service is having trouble.${retry || ' Please try again later.'}`,
+        }[kind];
+        this.hideErrorBanners(kind);
+        this.showBanner(kind, text);
+    }
+
+    /**
+     * Removes the messages shown by showErrorBanner(), all but `except`'s.
+     */
+    hideErrorBanners(except) {
+        ['auth', 'rate-limit', 'offline', 'server'].filter((kind) => kind !== except).forEach((kind) => this.hideBanner(kind));
+    }
+
+    /**
+     * Fetches the next page of older notifications, those before the oldest one stored. Called when the Inbox
+     * is scrolled to the bottom, or its "Load older notifications" button is clicked.
+     * @returns {Promise<number>} - Resolves with the number of notifications added, 0 if there are no more.
+     */
+    async loadMore() {
+        if (!this.hasMore || this.loadingMore || !(this.config.pageSize > 0)) {
+            return 0;
+        }
+        this.loadingMore = true;
+        this.renderLoadMore();
+        try {
+            const stored = this.store.all();
+            const oldest = stored.reduce((oldest, notification) => Math.min(oldest, Number(notification._ts) || oldest), Infinity);
+            const page = await this.transport.fetchNotifications(0, {
+                signal: this.listenerController.signal,
+                limit: this.config.pageSize,
+                ...(Number.isFinite(oldest) && { before: oldest }),
+            });
+            const added = page.filter((notification) => !notification.dismissed
+                && !this.store.has(notification.id) && !this.dismissedIds.has(`${notification.id}`))
+                .map((notification) => this.withPendingActions(notification))
+                .filter(Boolean);
+            this.store.batch(() => added.forEach((notification) => this.store.put(notification)));
+            // A page with nothing new is the end too, should the service not support paging.
+            this.setHasMore(page.length >= this.config.pageSize && added.length > 0);
+            return added.length;
+        } catch (error) {
+            if (this.destroyed) {
+                return 0;
+            }
+            console.error("Failed to load more notifications:", error);
+            this.emit('error', { type: 'fetch', error });
+            return 0;
+        } finally {
+            this.loadingMore = false;
+            if (!this.destroyed) {
+                this.renderLoadMore();
+            }
+        }
+    }
+
+    /**
+     * Records whether there are older pages to load, for this session.
+     */
+    setHasMore(hasMore) {
+        this.hasMore = hasMore;
+        sessionStorage.setItem(this.storageKey('notiphyWidgetHasMore'), hasMore);
+        this.renderLoadMore();
+    }
+
+    /**
+     * Shows the "Load older notifications" button at the bottom of the Inbox while there are older pages.
+     */
+    renderLoadMore() {
+        const button = this.query(".notiphy-load-more");
+        button.hidden = !this.hasMore || !(this.config.pageSize > 0);
+        button.disabled = this.loadingMore;
+        button.textContent = this.loadingMore ? "Loading…" : "Load older notifications";
+    }
+
+    /**
+     * Finds an Inbox item by notification ID, rendering its content if it was virtualized away.
+     * @param {string} notificationId - The ID of the notification.
+     * @returns {HTMLElement|null}
+     */
+    getInboxItem(notificationId) {
+        const element = this.inboxItems.get(`${notificationId}`) || null;
+        if (element) {
+            this.renderItem(element);
+        }
+        return element;
+    }
+
+    /**
+     * Puts back the content of an Inbox item that was virtualized away, see virtualizeInbox().
+     */
+    renderItem(element) {
+        const content = this.detachedItems.get(element);
+        if (!content) {
+            return;
+        }
+        this.detachedItems.delete(element);
+        element.appendChild(content);
+        element.style.height = "";
+        const footer = element.querySelector(".notiphy-notification-footer[data-ts]");
+        if (footer) {
+            this.updateNotificationFooter(footer, Number(footer.getAttribute("data-ts")));
+        }
+    }
+
+    /**
+     * Virtualizes the Inbox shortly, once the scrolling or changes settle.
+     */
+    scheduleVirtualize() {
+        if (this.virtualizeTimer || !this.config.virtualize) {
+            return;
+        }
+        this.virtualizeTimer = this.timeout(() => {
+            this.virtualizeTimer = null;
+            this.virtualizeInbox();
+        }, 100);
+    }
+
+    /**
+     * Keeps only the Inbox items within a screen of the visible area rendered. The others are emptied down to
+     * their own element, kept at its height so the scrollbar doesn't jump, and their content is put back as
+     * they scroll into view. Their classes and `data-id` stay, for the filter, counts and threads.
+     */
+    virtualizeInbox() {
+        const body = this.query(".notiphy-notification-center-body");
+        if (this.destroyed || !this.config.virtualize || !body.clientHeight) {
+            return; // Not laid out, e.g. hidden by the host page.
+        }
+        const view = body.getBoundingClientRect();
+        const items = Array.from(body.querySelectorAll(".notiphy-notification-element"));
+        // Measure everything before changing anything, so the layout is only computed once.
+        const rects = items.map((element) => element.getBoundingClientRect());
+        items.forEach((element, index) => {
+            const rect = rects[index];
+            // Hidden items (filtered out, in a collapsed thread) have no height, and aren't rendered either.
+            const near = rect.height > 0 && rect.bottom >= view.top - view.height && rect.top <= view.bottom + view.height;
+            const detached = this.detachedItems.has(element);
+            if (near && detached) {
+                this.renderItem(element);
+            } else if (!near && !detached) {
+                if (rect.height > 0) {
+                    this.itemHeight = rect.height;
+                }
+                const content = document.createDocumentFragment();
+                content.append(...element.childNodes);
+                this.detachedItems.set(element, content);
+                element.style.height = `${rect.height || this.itemHeight}px`;
+            }
+        });
+    }
     
-        // Update footer every 5 seconds
-        const interval = setInterval(updateText, 5000);
     
-        // Clear interval when notification is dismissed
-        footerElement.closest('.notiphy-notification-element').querySelector('.notiphy-button-dismiss').addEventListener('click', () => {
-            clearInterval(interval);
+    /**
+     * Toggles the visibility of the inbox element.
+     * If the notifications center is currently hidden, this function will show it.
+     * If the notifications center is currently visible, this function will hide it.
+     * @returns {boolean} - `false` if a "before-open"/"before-close" listener canceled the toggle.
+     */
+    toggleNotificationCenter() {
+        const center = this.elements.center;
+        const isOpen = center.classList.contains("open");
+        const unreadBadge = this.query('.notiphy-notification-count');
+
+        if (!this.emit(isOpen ? 'before-close' : 'before-open', {}, true)) {
+            return false;
+        }
+    
+        if (isOpen) {
+            center.classList.remove("open");
+            center.classList.add("close");
+            unreadBadge.style.transform = "scale(1)";
+            this.timeout(() => {
+                center.style.visibility = "hidden"; // Hide after the animation
+            }, 300); // Match the transition duration
+        } else {
+            center.classList.remove("close");
+            center.classList.add("open");
+            center.style.visibility = "visible"; // Show before the animation
+            unreadBadge.style.transform = "scale(0)";
+        }
+    
+        const notificationBody = this.query(".notiphy-notification-center-body");
+        notificationBody.scrollTo({ top: 0, behavior: "smooth" });
+        this.emit(isOpen ? 'close' : 'open', {});
+        return true;
+    }
+
+    /**
+     * Whether the inbox is currently open.
+     * @returns {boolean}
+     */
+    isOpen() {
+        return this.elements.center.classList.contains("open");
+    }
+
+    /**
+     * Opens the inbox.
+     * @returns {Promise<boolean>} - Resolves `false` if it was already open or the open was canceled.
+     */
+    open() {
+        return Promise.resolve(!this.isOpen() && this.toggleNotificationCenter());
+    }
+
+    /**
+     * Closes the inbox.
+     * @returns {Promise<boolean>} - Resolves `false` if it was already closed or the close was canceled.
+     */
+    close() {
+        return Promise.resolve(this.isOpen() && this.toggleNotificationCenter());
+    }
+
+    /**
+     * Re-fetches the notifications from the server and updates the inbox where they changed.
+     * @returns {Promise<void>} - Resolves once the inbox has been updated.
+     */
+    refresh() {
+        return this.fetchNotifications();
+    }
+
+    /**
+     * Finds an inbox item's action button (mark-read or dismiss) by notification ID.
+     * @param {string} notificationId - The ID of the notification.
+     * @param {string} buttonClass - "notiphy-button-mark-read" or "notiphy-button-dismiss".
+     * @returns {HTMLElement|null}
+     */
+    getInboxButton(notificationId, buttonClass) {
+        const element = this.getInboxItem(notificationId);
+        return element && element.querySelector(`.${buttonClass}`);
+    }
+
+    /**
+     * Marks a notification as read and updates the unread count. It needn't be in the Inbox: snoozed ones, and those
+     * still showing as a toast, can be marked read too.
+     *
+     * @param {string} notificationId - The ID of the notification to mark as read.
+     * @returns {Promise<boolean>} - Resolves `true` once the server has marked the notification as read (retrying
+     * while it can't be reached), `false` if it was not found, already read, canceled, or the server rejected it.
+     */
+    markRead(notificationId) {
+        return this.markReadMany([notificationId]).then(([read]) => read);
+    }
+
+    /**
+     * Marks notifications as read in the Inbox right away, and on the server through the outbox, in one request.
+     * Should the server reject it, they are shown as unread again.
+     * @param {string[]} notificationIds - The IDs of the notifications. Those already read are skipped.
+     * @returns {Promise<boolean[]>} - Resolves with `true` for each one the server has marked as read, `false` for
+     * each one skipped, canceled by a before-read listener, or rejected.
+     */
+    markReadMany(notificationIds) {
+        const ids = notificationIds.filter((id) => {
+            const notification = this.store.get(id);
+            return notification && !notification.read && this.emit('before-read', { id }, true);
+        });
+        if (!ids.length) {
+            return Promise.resolve(notificationIds.map(() => false));
+        }
+        this.store.batch(() => ids.forEach((id) => this.store.update(id, { read: true })));
+        return this.queueAction('read', ids)
+            .then((accepted) => notificationIds.map((id) => accepted.has(`${id}`)));
+    }
+    
+    /**
+     * Marks every unread notification in the Inbox as read, in one request.
+     * @returns {Promise<boolean[]>} - Resolves with a markReadMany() result for each, once the server has responded.
+     */
+    markAllRead() {
+        const ids = this.getInboxNotifications().filter((notification) => !notification.read).map((notification) => notification.id);
+        if (ids.length) {
+            this.playClickOffSound();
+        }
+        return this.markReadMany(ids);
+    }
+
+    /**
+     * Dismisses a notification by ID.
+     * @param {string} notificationId - The ID of the notification to dismiss.
+     * @returns {Promise<boolean>} - See dismissNotification().
+     */
+    dismiss(notificationId) {
+        return this.dismissNotification(notificationId);
+    }
+
+    /**
+     * Dismisses a notification from the UI and updates the total and unread notification counts. It needn't be in the
+     * Inbox: snoozed ones, and those still showing as a toast, can be dismissed too.
+     *
+     * @param {string} notificationId - The ID of the notification to dismiss.
+     * @returns {Promise<boolean>} - Resolves `true` once the server has dismissed the notification (retrying
+     * while it can't be reached), `false` if it was not found, canceled, or the server rejected it.
+     */
+    dismissNotification(notificationId) {
+        return this.dismissMany([notificationId]).then(([dismissed]) => dismissed);
+    }
+
+    /**
+     * Removes notifications from the Inbox (or their snooze or toast) right away, and dismisses them on the server
+     * through the outbox, in one request. Should the server reject it, they are put back in the Inbox.
+     * @param {string[]} notificationIds - The IDs of the notifications.
+     * @returns {Promise<boolean[]>} - Resolves with `true` for each one the server has dismissed, `false` for
+     * each one not found, canceled by a before-dismiss listener, or rejected.
+     */
+    dismissMany(notificationIds) {
+        const notifications = notificationIds.map((id) => this.store.get(id))
+            .filter((notification) => notification && this.emit('before-dismiss', { id: notification.id }, true));
+        if (!notifications.length) {
+            return Promise.resolve(notificationIds.map(() => false));
+        }
+        const ids = notifications.map((notification) => notification.id);
+        this.store.batch(() => ids.forEach((id) => {
+            this.store.remove(id);
+            this.removeSnoozed(id);
+            this.withdrawToast(id, true);
+        }));
+        return this.queueAction('dismiss', ids, notifications)
+            .then((accepted) => notificationIds.map((id) => accepted.has(`${id}`)));
+    }
+
+    /**
+     * Adds reads or dismissals to the outbox: as one action if the transport can send them in one request, or else
+     * one per notification, so that a failure retries (or undoes) only that one.
+     * @param {string} type - "read" or "dismiss".
+     * @param {string[]} ids - The IDs of the notifications.
+     * @param {Object[]} [notifications] - For dismissals, the notifications as they were, to put back if rejected.
+     * @returns {Promise<Set<string>>} - Resolves with the IDs the server has accepted.
+     */
+    queueAction(type, ids, notifications) {
+        const many = type === 'read' ? 'markReadMany' : 'dismissMany';
+        const groups = typeof this.transport[many] === 'function' ? [ids] : ids.map((id) => [id]);
+        return Promise.all(groups.map((group) => this.outbox.add(notifications
+            ? { type, ids: group, notifications: notifications.filter((notification) => group.includes(notification.id)) }
+            : { type, ids: group })))
+            .then((results) => new Set(groups.filter((group, index) => results[index]).flat().map(String)));
+    }
+
+    /**
+     * Sends a read or dismissal from the outbox, in one request if the transport supports it.
+     * @param {Object} action - `{ type: 'read' | 'dismiss', ids }`.
+     * @returns {Promise<Object>} - The service's response.
+     */
+    async sendAction(action) {
+        const { type, ids } = action;
+        const options = { signal: this.listenerController.signal };
+        const one = type === 'read' ? 'markRead' : 'dismiss';
+        const many = type === 'read' ? 'markReadMany' : 'dismissMany';
+        if (ids.length === 1) {
+            return this.transport[one](ids[0], options);
+        }
+        if (typeof this.transport[many] === 'function') {
+            return this.transport[many](ids, options);
+        }
+        // Queued for a transport with a batch method, e.g. before a reload: one after another, keeping track of
+        // those sent (`action.sent`, saved with the action) so that a retry skips them.
+        action.sent = action.sent || [];
+        let data;
+        for (const id of ids.filter((id) => !action.sent.includes(`${id}`))) {
+            data = await this.transport[one](id, options);
+            action.sent.push(`${id}`);
+        }
+        return data;
+    }
+
+    /**
+     * A read or dismissal from the outbox was accepted: tells the other tabs and the host page.
+     */
+    handleActionSent({ type, ids }, data) {
+        console.log(data && data.message);
+        ids.forEach((id) => {
+            this.broadcast({ type, id, local: true });
+            this.emit(type, { id, remote: false }); // "read" or "dismiss".
+        });
+    }
+
+    /**
+     * A read or dismissal from the outbox was rejected by the server: undoes it in the Inbox, and says so.
+     */
+    handleActionRejected({ type, ids, notifications = [] }, error) {
+        if (this.destroyed) {
+            return;
+        }
+        console.error(`Failed to ${type === 'read' ? 'mark notifications as read' : 'dismiss notifications'}:`, error);
+        let undone = 0;
+        this.store.batch(() => {
+            if (type === 'read') {
+                undone = ids.filter((id) => this.store.update(id, { read: false })).length;
+            } else {
+                // Unless dismissed elsewhere in the meantime.
+                const restored = notifications.filter((notification) => !this.dismissedIds.has(`${notification.id}`));
+                restored.forEach((notification) => this.store.put(notification));
+                undone = restored.length;
+            }
         });
+        if (undone) {
+            const what = undone === 1 ? 'a notification' : `${undone} notifications`;
+            this.showBanner('action-failed', type === 'read'
+                ? `Couldn't mark ${what} as read. Please try again.`
+                : `Couldn't dismiss ${what}. Please try again.`);
+        }
+        ids.forEach((id) => this.emit('error', { type: type === 'read' ? 'mark-read' : 'dismiss', id, error }));
+    }
+
+    /**
+     * Applies the reads and dismissals still waiting in the outbox to a notification from the service, which
+     * doesn't know about them yet.
+     * @returns {Object|null} - The notification as the Inbox should show it, or null if it is being dismissed.
+     */
+    withPendingActions(notification) {
+        if (this.outbox.pending('dismiss').has(`${notification.id}`)) {
+            return null;
+        }
+        if (!notification.read && this.outbox.pending('read').has(`${notification.id}`)) {
+            return { ...notification, read: true };
+        }
+        return notification;
+    }
+
+    /**
+     * Shows a message at the top of the Inbox, until closed. One per name; showing it again replaces the text.
+     * @param {string} name - e.g. "action-failed".
+     * @param {string} text - The message.
+     */
+    showBanner(name, text) {
+        let banner = this.query(`.notiphy-banner[data-banner="${CSS.escape(name)}"]`);
+        if (!banner) {
+            banner = document.createElement("div");
+            banner.className = "notiphy-banner";
+            banner.setAttribute("data-banner", name);
+            banner.setAttribute("role", "alert");
+            banner.innerHTML = `<span class="notiphy-banner-text"></span>`
+                + `<i class="notiphy-banner-close material-symbols-outlined" title="Close">close</i>`;
+            this.query(".notiphy-banners").appendChild(banner);
+        }
+        banner.querySelector(".notiphy-banner-text").textContent = text;
+    }
+
+    /**
+     * Removes a message shown with showBanner().
+     * @param {string} name - The banner's name.
+     */
+    hideBanner(name) {
+        const banner = this.query(`.notiphy-banner[data-banner="${CSS.escape(name)}"]`);
+        if (banner) {
+            banner.remove();
+        }
+    }
+
+    /**
+     * Registers a function for notification actions of type "handler" to run, by name.
+     * @param {string} name - The name actions refer to in their `handler` (or `id`).
+     * @param {Function} handler - Called with `(notification, action, widget)`. May return a promise; resolving
+     *                             `false` skips the action's `after` step.
+     * @returns {NotiphyWidget} - The widget, for chaining.
+     */
+    registerActionHandler(name, handler) {
+        this.actionHandlers[name] = handler;
+        return this;
+    }
+
+    /**
+     * Runs one of a notification's actions, as if its button was clicked:
+     * - "navigate" goes to the action's `url`.
+     * - "handler" calls the function registered under the action's `handler` name (or its `id`).
+     * - "post" sends the action to the service, through the transport's invokeAction().
+     * Once it succeeds, `after: "read"` marks the notification as read and `after: "dismiss"` dismisses it
+     * (before navigating, for "navigate" actions). An action run from a toast closes the toast.
+     *
+     * @param {string|HTMLElement} notificationId - The ID of the notification, or the action's button.
+     * @param {string} [actionId] - The action's `id` (or index in `actions`).
+     * @returns {Promise<boolean>} - Resolves `true` once the action has run.
+     */
+    runAction(notificationId, actionId) {
+        let button = notificationId;
+        if (!(button instanceof Element)) {
+            this.getInboxItem(notificationId);
+            const buttons = this.queryAll(`.notiphy-button-action[data-notification-id="${CSS.escape(`${notificationId}`)}"]`)
+                .filter((element) => element.getAttribute("data-action-id") === `${actionId}`);
+            // Prefer the Inbox item's button over the toast's, as the toast may be gone by the time the action is done.
+            button = buttons.find((element) => !element.closest('.notiphy-toast')) || buttons[0];
+        }
+        const entry = button && this.actionButtons.get(button);
+        if (!entry || button.disabled) {
+            return Promise.resolve(false);
+        }
+        const { notification, action } = entry;
+        const detail = { id: notification.id, action: action.id };
+        if (!this.emit('before-action', detail, true)) {
+            return Promise.resolve(false);
+        }
+        const toast = button.closest('.notiphy-toast');
+        button.disabled = true;
+
+        return this.performAction(notification, action)
+        .then(async (result) => {
+            if (result === false) {
+                return false;
+            }
+            if (toast) {
+                this.deliverPendingNotification(notification.id);
+                this.dismissToast(toast);
+            }
+            if (action.after === 'read') {
+                await this.markRead(notification.id);
+            } else if (action.after === 'dismiss') {
+                await this.dismissNotification(notification.id);
+            }
+            this.emit('action', { ...detail, result });
+            if (action.type === 'navigate') {
+                this.navigate(action.url);
+            }
+            return true;
+        })
+        .catch((error) => {
+            if (this.destroyed) {
+                return false;
+            }
+            console.error(`Failed to run action "${action.id}" of notification ${notification.id}:`, error);
+            this.emit('error', { type: 'action', id: notification.id, error });
+            return false;
+        })
+        .finally(() => {
+            button.disabled = false;
+        });
+    }
+
+    /**
+     * Does the work of an action, see runAction().
+     * @returns {Promise<*>} - Resolves with the handler's or the service's result.
+     */
+    async performAction(notification, action) {
+        if (action.type === 'navigate') {
+            return undefined;
+        }
+        if (action.type === 'handler') {
+            const name = action.handler || action.id;
+            const handler = this.actionHandlers[name];
+            if (typeof handler !== 'function') {
+                throw new Error(`No handler registered for action "${name}".`);
+            }
+            return handler(notification, action, this);
+        }
+        if (typeof this.transport.invokeAction !== 'function') {
+            throw new Error('The transport does not support actions.');
+        }
+        return this.transport.invokeAction(notification.id, action.id, { signal: this.listenerController.signal });
+    }
+
+    /**
+     * Dismisses every notification in the Inbox, in one request.
+     * @returns {Promise<boolean[]>} - Resolves with a dismissMany() result for each, once the server has responded.
+     */
+    dismissAllNotifications() {
+        this.playCrumpleSound();
+        return this.dismissMany(this.getInboxNotifications().map((notification) => notification.id));
+    }
+
+    /**
+     * Snoozed notifications, with their wake-up times. Kept in localStorage, next to the stored notifications,
+     * so snoozes survive reloads and are shared by every tab.
+     * @returns {Object} - Notification id -> `{ until, notification }`, `until` in milliseconds since the epoch.
+     */
+    loadSnoozed() {
+        return JSON.parse(localStorage.getItem(this.storageKey('notiphyWidgetSnoozed'))) || {};
+    }
+
+    saveSnoozed(snoozed) {
+        if (Object.keys(snoozed).length) {
+            localStorage.setItem(this.storageKey('notiphyWidgetSnoozed'), JSON.stringify(snoozed));
+        } else {
+            localStorage.removeItem(this.storageKey('notiphyWidgetSnoozed'));
+        }
     }
 
     /**
-     * Adds a new notification to the notification center.
-     * @param {Object} notification - The notification object to be added.
-     * @returns {void}
+     * Forgets a snooze without waking the notification, e.g. once it has been dismissed.
      */
-    addToNotiphyCenter(notification) {
-        const center = document.querySelector(".notiphy-notification-center-body");
-        const notificationElement = this.assembleNotification(notification);
-        // center.appendChild(notificationElement);
-        center.prepend(notificationElement);
-        // center.scrollTo({ top: center.scrollHeight, behavior: "smooth" });
-        center.scrollTo({ top: 0, behavior: "smooth" });
-
-        // we have added a new notification to the notification center, so we need to update the unread and total counts.
-        const unreadCount = document.querySelector(".notiphy-notification-center-stats-unread");
-        const totalCount = document.querySelector(".notiphy-notification-center-stats-total");
-
-        if (!notification.read) {
-            this.updateUnreadCount(parseInt(unreadCount.textContent) + 1);
-            // this.playPopSound();
+    removeSnoozed(notificationId) {
+        const snoozed = this.loadSnoozed();
+        if (Object.prototype.hasOwnProperty.call(snoozed, notificationId)) {
+            delete snoozed[notificationId];
+            this.saveSnoozed(snoozed);
         }
-        totalCount.innerHTML = parseInt(totalCount.innerHTML) + 1;
+        this.clearTimer(this.snoozeTimers.get(notificationId));
+        this.snoozeTimers.delete(notificationId);
     }
 
     /**
-     * Fetches notifications from the server and adds them to the Notiphy notification center.
-     *
-     * This method sends a GET request to the `/fetch-notifications` endpoint, passing the subscriberId 
-     * and location ID from the widget's configuration. The response is expected to be a JSON array 
-     * of notification objects, which are then added to the Notiphy notification center using the 
-     * `addToNotiphyCenter` method.
-     *
-     * After the notifications have been fetched and added, the `notificationsLoaded` flag is set to `true`.
-     *
-     * @returns {void}
+     * Works out when a snooze ends.
+     * @param {Date|number|Object} until - A Date, a timestamp in milliseconds, or a snooze option:
+     *                                     `{ minutes }`, or `{ at: "HH:MM", days }` for the next time it is HH:MM
+     *                                     (`days` days from today, if given).
+     * @returns {number|null} - The wake-up time in milliseconds since the epoch, or null if `until` is invalid.
      */
-    async fetchNotifications() {
-        const notificationsCenter = document.querySelector('.notiphy-notification-center-body');
-        const headers = new Headers({
-            'x-api-key': `${this.config.widgetKey}`,
-            'x-subscriber-id': `${this.config.subscriberId}`,
-            'x-location-id': `${this.config.locationId}`,
-        });
-    
-        const localNotifications = this.loadNotifications();
-        const lastFetched = localStorage.getItem('notiphyWidgetLastFetched') || 0;
-        
-        try {
-            const response = await fetch(`${this.config.serviceUrl}/widget/notifications?subscriberId=${this.config.subscriberId}&locationId=${this.config.locationId}&lastFetched=${lastFetched}`, { headers });
-            if (!response.ok) {
-                // Create an error notification object, and then add it to the notification center
-                const notification = {
-                    id: 0,
-                    title: "Notiphy.me API Key Error",
-                    text: "The Notiphy.me API key provided is invalid. Please check your Notiphy.me dashboard for more information.",
-                    alertLevel: 'error',
-                    read: false,
-                    actionUrl: `https://notiphy.me/dashboard/api-keys`,
-                    _ts: new Date().getTime()
-                };
-                this.addToNotiphyCenter(notification);
-                this.toggleConnection();
-                if (this.config.audioReminder) {
-                    this.toggleAudioReminder();
-                }
-                throw new Error(`Request failed with status: ${response.status}`);
-            }
-    
-            const data = await response.json();
-            const fetchedNotifications = data || [];
-    
-            // Merge with local notifications
-            const notificationMap = new Map();
-    
-            // Add local notifications to the map
-            localNotifications.forEach(notification => {
-                notificationMap.set(notification.id, notification);
-            });
-    
-            // Update the map with fetched notifications
-            fetchedNotifications.forEach(notification => {
-                if (notification.dismissed) {
-                    // Remove dismissed notifications from local storage
-                    notificationMap.delete(notification.id);
-                } else {
-                    notificationMap.set(notification.id, notification);
-                }
-            });
-    
-            // Convert the map back to an array
-            this.notifications = Array.from(notificationMap.values());
-    
-            // Save the merged notifications to session storage
-            this.saveNotifications(this.notifications);
-    
-            // Clear and repopulate the notification center
-            notificationsCenter.innerHTML = ``;
-            this.updateUnreadCount(0);
-            this.updateTotalCount(0);
-            this.notifications.forEach(notification => {
-                this.addToNotiphyCenter(notification);
-            });
-    
-            if (!this.notificationsLoaded && this.config.showInboxOnLoad) {
-                this.toggleNotificationCenter();
-            }
-            this.notificationsLoaded = true;
-    
-            // Save the current timestamp as the last fetched time in UTC
-            const newLastFetched = Math.floor(Date.now() / 1000); // Unix timestamp in seconds
-            localStorage.setItem('notiphyWidgetLastFetched', newLastFetched);
-        } catch (error) {
-            console.error("Failed to fetch notifications:", error);
+    getSnoozeUntil(until) {
+        if (until instanceof Date) {
+            return until.getTime() || null;
+        }
+        if (typeof until === 'number') {
+            return until;
         }
+        if (until && until.minutes) {
+            return Date.now() + until.minutes * 60 * 1000;
+        }
+        const time = until && /^(\d{1,2}):(\d{2})$/.exec(until.at);
+        if (!time) {
+            return null;
+        }
+        const wake = new Date();
+        wake.setDate(wake.getDate() + (until.days || 0));
+        wake.setHours(Number(time[1]), Number(time[2]), 0, 0);
+        if (wake.getTime() <= Date.now()) {
+            wake.setDate(wake.getDate() + 1);
+        }
+        return wake.getTime();
     }
-    
-    
+
     /**
-     * Toggles the visibility of the inbox element.
-     * If the notifications center is currently hidden, this function will show it.
-     * If the notifications center is currently visible, this function will hide it.
+     * Shows or hides an Inbox item's snooze menu, listing `config.snoozeOptions`.
+     * @param {HTMLElement} button - The item's snooze button.
      */
-    toggleNotificationCenter() {
-        const center = document.getElementById("notiphy-notification-center");
-        const isOpen = center.classList.contains("open");
-        const unreadBadge = document.querySelector('.notiphy-notification-count');
-    
-        if (isOpen) {
-            center.classList.remove("open");
-            center.classList.add("close");
-            unreadBadge.style.transform = "scale(1)";
-            setTimeout(() => {
-                center.style.visibility = "hidden"; // Hide after the animation
-            }, 300); // Match the transition duration
-        } else {
-            center.classList.remove("close");
-            center.classList.add("open");
-            center.style.visibility = "visible"; // Show before the animation
-            unreadBadge.style.transform = "scale(0)";
+    toggleSnoozeMenu(button) {
+        const element = button.closest(".notiphy-notification-element");
+        const open = element.querySelector(".notiphy-snooze-menu");
+        this.queryAll(".notiphy-snooze-menu").forEach((menu) => menu.remove());
+        if (open) {
+            return;
         }
-    
-        const notificationBody = document.querySelector(".notiphy-notification-center-body");
-        notificationBody.scrollTo({ top: 0, behavior: "smooth" });
+        const menu = document.createElement("div");
+        menu.className = "notiphy-snooze-menu";
+        menu.setAttribute("data-notification-id", button.getAttribute("data-notification-id"));
+        this.config.snoozeOptions.forEach((option, index) => {
+            const item = document.createElement("button");
+            item.type = "button";
+            item.className = "notiphy-snooze-option";
+            item.textContent = option.label;
+            item.setAttribute("data-snooze-option", index);
+            menu.appendChild(item);
+        });
+        element.querySelector(".notiphy-notification-actions").after(menu);
     }
+
     /**
-     * Marks a notification as read and updates the unread count.
+     * Snoozes a notification: hides it from the Inbox and the counts until `until`, then brings it back
+     * with a toast and sound. The snooze is stored, so it survives reloads and applies to every tab.
      *
-     * @param {string} notificationId - The ID of the notification to mark as read.
-     * @param {HTMLElement} targetElement - The DOM element representing the notification.
-     * @returns {Promise<void>} - A Promise that resolves when the notification has been marked as read.
-     */
-    markRead(notificationId, targetElement) {
-        targetElement.classList.add("open");
-        targetElement.innerHTML = "mark_chat_read";
-        const unreadCountElement = document.querySelector(".notiphy-notification-center-stats-unread");
-        let unreadCount = parseInt(unreadCountElement.innerHTML) - 1;
-        this.updateUnreadCount(Math.max(0, unreadCount));
-        targetElement.closest(".notiphy-notification-element").classList.add("notiphy-read");
-    
-        // Find the notification's icon and update its innerText
-        const iconElement = targetElement.closest(".notiphy-notification-element").querySelector(".notiphy-notification-left i");
-        if (iconElement) {
-            iconElement.innerText = "notifications";
+     * @param {string} notificationId - The ID of the notification to snooze.
+     * @param {Date|number|Object} until - When to wake it, see getSnoozeUntil().
+     * @returns {Promise<boolean>} - Resolves `false` if it isn't in the Inbox, `until` is invalid or in the past,
+     *                               or a "before-snooze" listener canceled it.
+     */
+    snooze(notificationId, until) {
+        const element = this.getInboxButton(notificationId, "notiphy-button-snooze")?.closest(".notiphy-notification-element");
+        const wakeAt = this.getSnoozeUntil(until);
+        const notification = element && this.itemNotifications.get(element);
+        if (!element || !notification || !wakeAt || wakeAt <= Date.now()) {
+            return Promise.resolve(false);
         }
-    
-        fetch(`${this.config.serviceUrl}/widget/notification/mark-read`, {
-            method: "POST",
-            headers: {
-                "Content-Type": "application/json",
-                'x-api-key': `${this.config.widgetKey}`,
-                'x-subscriber-id': `${this.config.subscriberId}`,
-                'x-location-id': `${this.config.locationId}`,
-            },
-            body: JSON.stringify({ notificationId, subscriberId: this.config.subscriberId }),
-        })
-        .then((response) => response.json())
-        .then((data) => {
-            console.log(data.message);
-            // Let other widgets at this location know that a notification has been marked as read
-            this.socket.emit("markReadNotification", notificationId);
-    
-            // Update the local storage
-            this.updateLocalNotification(notificationId, { read: true });
-        });
+        if (!this.emit('before-snooze', { id: notification.id, until: wakeAt }, true)) {
+            return Promise.resolve(false);
+        }
+        const snoozed = this.loadSnoozed();
+        snoozed[notification.id] = {
+            until: wakeAt,
+            notification: { ...notification, read: element.classList.contains("notiphy-read") },
+        };
+        this.saveSnoozed(snoozed);
+        this.hideSnoozed(notification.id);
+        this.scheduleWake(notification.id, wakeAt);
+        this.emit('snooze', { id: notification.id, until: wakeAt, remote: false });
+        return Promise.resolve(true);
     }
-    
-    markAllRead() {
-        const markReadButtons = document.querySelectorAll(".notiphy-button-mark-read");
-        Array.from(markReadButtons).forEach((button, index) => {
-            setTimeout(() => {
-                if (!button.closest(".notiphy-notification-element").classList.contains("notiphy-read")) {
-                    this.markRead(button.dataset.notificationId, button);
-                    this.playClickOffSound();
-                }
-            }, index * 110);
-        });
+
+    /**
+     * Ends a snooze early, putting the notification back in the Inbox without a toast.
+     * @param {string} notificationId - The ID of the snoozed notification.
+     * @returns {Promise<boolean>} - Resolves `false` if it wasn't snoozed.
+     */
+    unsnooze(notificationId) {
+        const entry = this.loadSnoozed()[notificationId];
+        if (!entry) {
+            return Promise.resolve(false);
+        }
+        this.removeSnoozed(notificationId);
+        this.restoreSnoozed(entry.notification);
+        this.emit('wake', { id: entry.notification.id, remote: false });
+        return Promise.resolve(true);
     }
+
     /**
-     * Dismisses a notification from the UI and updates the total and unread notification counts.
-     *
-     * @param {string} notificationId - The ID of the notification to dismiss.
-     * @param {HTMLElement} targetElement - The DOM element representing the notification to dismiss.
-     * @returns {void}
+     * Removes a snoozed notification's Inbox item, and takes it out of the counts.
      */
-    dismissNotification(notificationId, targetElement) {
-        fetch(`${this.config.serviceUrl}/widget/notification/dismiss`, {
-            method: "POST",
-            headers: {
-                "Content-Type": "application/json",
-                'x-api-key': `${this.config.widgetKey}`,
-                'x-subscriber-id': `${this.config.subscriberId}`,
-                'x-location-id': `${this.config.locationId}`,
-            },
-            body: JSON.stringify({
-                notificationId,
-                subscriberId: this.config.subscriberId,
-                locationCode: this.config.locationId,
-            }),
-        })
-        .then((response) => response.json())
-        .then((data) => {
-            console.log(data.message);
-    
-            // Let other widgets at this location know that a notification has been dismissed
-            this.socket.emit("dismissNotification", notificationId);
-    
-            // Update the total count
-            const totalCountElement = document.querySelector(".notiphy-notification-center-stats-total");
-            let totalCount = parseInt(totalCountElement.textContent) - 1;
-            this.updateTotalCount(Math.max(0, totalCount));
-    
-            // Update the unread count if the dismissed notification was unread
-            if (!targetElement.parentNode.parentNode.parentNode.classList.contains("notiphy-read")) {
-                const unreadCountElement = document.querySelector(".notiphy-notification-center-stats-unread");
-                let unreadCount = parseInt(unreadCountElement.textContent) - 1;
-                this.updateUnreadCount(Math.max(0, unreadCount));
-            }
-    
-            if (targetElement.parentNode.parentNode.parentNode) {
-                targetElement.parentNode.parentNode.parentNode.remove();
-            }
-    
-            // Remove the notification from local storage
-            this.removeLocalNotification(notificationId);
-        });
+    hideSnoozed(notificationId) {
+        this.renderInbox([`${notificationId}`]);
     }
 
     /**
-     * Reuses dismissNotification() to dismiss all notifications.
+     * Puts a woken notification back in the Inbox, right away.
      */
-    dismissAllNotifications() {
-        const dismissButtons = document.querySelectorAll(".notiphy-button-dismiss");
-        Array.from(dismissButtons).forEach((button, index) => {
-            setTimeout(() => {
-                const notificationId = button.dataset.notificationId;
-                this.dismissNotification(notificationId, button);
-            }, index * 50); // short delay between each iteration
+    restoreSnoozed(notification) {
+        this.addToNotiphyCenter(this.store.get(notification.id) || notification);
+    }
+
+    /**
+     * Schedules every stored snooze, on load. Those that came due while the page was closed wake right away.
+     */
+    scheduleSnoozed() {
+        Object.entries(this.loadSnoozed()).forEach(([notificationId, { until }]) => {
+            this.scheduleWake(notificationId, until);
         });
-            this.playCrumpleSound();
     }
 
-    updateLocalNotification(notificationId, updates) {
-        const notifications = this.loadNotifications();
-        const notificationIndex = notifications.findIndex(n => n.id === notificationId);
-        if (notificationIndex !== -1) {
-            notifications[notificationIndex] = { ...notifications[notificationIndex], ...updates };
-            this.saveNotifications(notifications);
+    scheduleWake(notificationId, until) {
+        this.clearTimer(this.snoozeTimers.get(notificationId));
+        // setTimeout() can't wait longer than ~24.8 days, so long snoozes are rescheduled when that runs out.
+        const delay = Math.min(Math.max(0, until - Date.now()), 2147483647);
+        this.snoozeTimers.set(notificationId, this.timeout(() => {
+            this.snoozeTimers.delete(notificationId);
+            if (until > Date.now()) {
+                this.scheduleWake(notificationId, until);
+            } else {
+                this.wake(notificationId);
+            }
+        }, delay));
+    }
+
+    /**
+     * Brings a snoozed notification back when its snooze is over: as a toast, with sound, then in the Inbox.
+     * @param {string} notificationId - The ID of the snoozed notification.
+     * @param {Object} [entry] - The snooze, if already removed from storage (by another tab).
+     */
+    wake(notificationId, entry = this.loadSnoozed()[notificationId]) {
+        if (!entry) {
+            return;
         }
+        this.removeSnoozed(notificationId);
+        const notification = this.store.get(notificationId) || entry.notification;
+        this.showToast(notification);
+        this.playPingSound();
+        this.queueForInbox(notification, this.config.toastDuration * 1000, () => {
+            this.emit('wake', { id: notification.id, remote: false });
+        });
     }
-    
-    removeLocalNotification(notificationId) {
-        let notifications = this.loadNotifications();
-        notifications = notifications.filter(n => n.id !== notificationId);
-        this.saveNotifications(notifications);
+
+    /**
+     * Applies snoozes made, ended or woken in another tab.
+     * @param {Object} oldSnoozed - The stored snoozes before the change.
+     * @param {Object} newSnoozed - The stored snoozes after it.
+     */
+    handleSnoozedChange(oldSnoozed, newSnoozed) {
+        Object.entries(newSnoozed).forEach(([notificationId, { until }]) => {
+            if (!oldSnoozed[notificationId]) {
+                this.hideSnoozed(notificationId);
+                this.emit('snooze', { id: notificationId, until, remote: true });
+            }
+            this.scheduleWake(notificationId, until);
+        });
+        Object.entries(oldSnoozed).forEach(([notificationId, entry]) => {
+            if (newSnoozed[notificationId]) {
+                return;
+            }
+            this.clearTimer(this.snoozeTimers.get(notificationId));
+            this.snoozeTimers.delete(notificationId);
+            if (entry.until <= Date.now()) {
+                // Woken by the other tab's timer, before ours: wake here too, every tab shows the reminder.
+                this.wake(notificationId, entry);
+            } else if (!this.dismissedIds.has(notificationId)) {
+                // Ended early. (Or dismissed from another device, in which case the "dismiss" from the server
+                // either already arrived, see dismissedIds, or is on its way and removes it again.)
+                this.restoreSnoozed(entry.notification);
+                this.emit('wake', { id: notificationId, remote: true });
+            }
+        });
     }
 
     /**
@@ -1095,7 +2870,7 @@ export default class NotiphyWidget {
      */
     toggleAudioAlert() {
         this.config.audioAlert = !this.config.audioAlert;
-        const button = document.querySelector(".notiphy-button-audio-alert");
+        const button = this.query(".notiphy-button-audio-alert");
         button.classList.toggle("notiphy-enabled");
         button.title = this.config.audioAlert ? "Sound on" : "Sound off";
         button.innerHTML = this.config.audioAlert ? "volume_up" : "volume_off";
@@ -1109,7 +2884,7 @@ export default class NotiphyWidget {
      */
     toggleAudioReminder() {
         this.config.audioReminder = !this.config.audioReminder;
-        const button = document.querySelector(".notiphy-button-audio-reminder");
+        const button = this.query(".notiphy-button-audio-reminder");
         button.classList.toggle("notiphy-enabled");
         button.title = this.config.audioReminder ? "Reminders on" : "Reminders off";
         button.innerHTML = this.config.audioReminder ? "alarm_on" : "alarm_off";
@@ -1117,7 +2892,7 @@ export default class NotiphyWidget {
             this.setupAudioReminders();
             this.playClickOnSound();
         } else {
-            clearInterval(this.reminderIntervalId);
+            this.clearTimer(this.reminderIntervalId);
             this.reminderIntervalId = null;
             this.playClickOffSound();
         }
@@ -1129,13 +2904,160 @@ export default class NotiphyWidget {
      */
     toggleToastAlert() {
         this.config.toastAlert = !this.config.toastAlert;
-        const button = document.querySelector(".notiphy-button-show-toasts");
+        const button = this.query(".notiphy-button-show-toasts");
         button.classList.toggle("notiphy-enabled");
         this.config.toastAlert ? this.playClickOnSound() : this.playClickOffSound();
         console.log("Toasts", this.config.toastAlert ? "on" : "off");
         this.saveSettings(); // Save settings after change
     }
 
+    /**
+     * Toggles desktop notifications, shown by the operating system for new notifications while the page is hidden.
+     * Turning them on asks for the browser's permission first, and subscribes to Web Push if `serviceWorker` is set.
+     * @returns {Promise<boolean>} - Whether they're on.
+     */
+    async toggleDesktopAlert() {
+        if (!this.config.desktopAlert) {
+            const permission = typeof Notification === 'undefined' ? 'denied'
+                : Notification.permission === 'default' ? await Notification.requestPermission()
+                : Notification.permission;
+            if (permission !== 'granted') {
+                this.showBanner('desktop-alert', "Desktop notifications are blocked. Allow notifications for this site in your browser's settings to turn them on.");
+                return false;
+            }
+            this.hideBanner('desktop-alert');
+        }
+        this.config.desktopAlert = !this.config.desktopAlert;
+        const button = this.query(".notiphy-button-desktop-alert");
+        button.classList.toggle("notiphy-enabled", this.config.desktopAlert);
+        button.title = this.config.desktopAlert ? "Desktop notifications on" : "Desktop notifications off";
+        this.config.desktopAlert ? this.playClickOnSound() : this.playClickOffSound();
+        console.log("Desktop notifications", this.config.desktopAlert ? "on" : "off");
+        this.saveSettings(); // Save settings after change
+        if (this.config.desktopAlert) {
+            this.subscribePush();
+        } else {
+            this.unsubscribePush();
+        }
+        return this.config.desktopAlert;
+    }
+
+    /**
+     * Shows a notification through the operating system, e.g. while the page is in a background tab. Clicking it
+     * focuses the page and follows the notification's actionUrl, or opens the Inbox. Tagged with its ID, so every
+     * tab showing it (and a push for it) shows it once.
+     */
+    async showDesktopNotification(notification) {
+        if (typeof Notification === 'undefined' || Notification.permission !== 'granted') {
+            return;
+        }
+        const actionUrl = this.getActionUrl(notification);
+        const title = notification.title || this.config.widgetTitle;
+        const options = {
+            body: this.config.richText ? sanitizeHtml(notification.text ?? '', this.config.allowedSchemes).textContent : notification.text ?? '',
+            tag: `notiphy-${notification.id}`,
+            requireInteraction: notification.alertLevel === 'blocker',
+            data: { id: `${notification.id}`, actionUrl },
+        };
+        try {
+            if (this.serviceWorkerRegistration) {
+                // The service worker handles the click, as for pushes.
+                await this.serviceWorkerRegistration.showNotification(title, options);
+                return;
+            }
+            const desktopNotification = new Notification(title, options);
+            desktopNotification.onclick = () => {
+                window.focus();
+                desktopNotification.close();
+                this.openDesktopNotification(actionUrl);
+            };
+        } catch (error) {
+            console.error("Failed to show a desktop notification:", error);
+        }
+    }
+
+    /**
+     * What clicking a desktop notification does, once the page is in front: follows its actionUrl, or opens the Inbox.
+     * @param {string|null} actionUrl - The notification's actionUrl, if allowed (see getActionUrl).
+     */
+    openDesktopNotification(actionUrl) {
+        if (actionUrl) {
+            this.navigate(actionUrl);
+        } else if (!this.isOpen()) {
+            this.toggleNotificationCenter();
+        }
+    }
+
+    /**
+     * A desktop notification shown by the service worker was clicked, and it passed the click on to this page (see
+     * notiphy-sw.js). Another widget on the page may hold the notification; this one only opens its Inbox for its own.
+     * @param {Object} data - `{ id, actionUrl }`.
+     */
+    handleServiceWorkerClick({ id, actionUrl }) {
+        const notification = id != null ? this.store.get(id) : null;
+        if (notification) {
+            this.openDesktopNotification(this.getActionUrl(notification));
+        } else if (actionUrl) {
+            const url = safeUrl(actionUrl, this.config.allowedSchemes);
+            if (url) {
+                this.navigate(url);
+            }
+        }
+    }
+
+    /**
+     * Registers the `serviceWorker` and subscribes it to Web Push with the `vapidPublicKey`, then hands the
+     * subscription to the transport, for the service to push notifications to while no tab is open. Does nothing
+     * without both options, Web Push support in the browser, or permission to show notifications.
+     * @returns {Promise<PushSubscription|null>}
+     */
+    async subscribePush() {
+        const { serviceWorker, vapidPublicKey } = this.config;
+        if (!serviceWorker || !vapidPublicKey || !('serviceWorker' in navigator) || typeof PushManager === 'undefined'
+            || typeof Notification === 'undefined' || Notification.permission !== 'granted') {
+            return null;
+        }
+        try {
+            const registration = await navigator.serviceWorker.register(serviceWorker);
+            this.serviceWorkerRegistration = registration;
+            const subscription = await registration.pushManager.getSubscription()
+                || await registration.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey: base64UrlToBytes(vapidPublicKey) });
+            if (typeof this.transport.subscribePush === 'function') {
+                await this.transport.subscribePush(subscription.toJSON(), { signal: this.listenerController.signal });
+            }
+            return subscription;
+        } catch (error) {
+            if (!this.destroyed) {
+                console.error("Failed to subscribe to push notifications:", error);
+                this.emit('error', { type: 'push', error });
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Ends the push subscription made by subscribePush(), with the service and in the browser.
+     */
+    async unsubscribePush() {
+        if (!this.serviceWorkerRegistration) {
+            return;
+        }
+        try {
+            const subscription = await this.serviceWorkerRegistration.pushManager.getSubscription();
+            if (subscription) {
+                if (typeof this.transport.unsubscribePush === 'function') {
+                    await this.transport.unsubscribePush(subscription.toJSON(), { signal: this.listenerController.signal });
+                }
+                await subscription.unsubscribe();
+            }
+        } catch (error) {
+            if (!this.destroyed) {
+                console.error("Failed to unsubscribe from push notifications:", error);
+                this.emit('error', { type: 'push', error });
+            }
+        }
+    }
+
     /**
      * Toggles the position of toast notifications.
      */
@@ -1143,7 +3065,7 @@ export default class NotiphyWidget {
         const positions = ['top-left', 'top-center', 'top-right', 'bottom-right', 'bottom-center', 'bottom-left'];
         const currentIndex = positions.indexOf(this.config.toastPosition);
         this.config.toastPosition = positions[(currentIndex + 1) % positions.length];
-        document.querySelector('.notiphy-toaster').className = `notiphy-toaster ${this.config.toastPosition}`;
+        this.query('.notiphy-toaster').className = `notiphy-toaster ${this.config.toastPosition}`;
         this.playClickOnSound();
         console.log("Toast Position", this.config.toastPosition);
         this.saveSettings(); // Save settings after change
@@ -1154,7 +3076,7 @@ export default class NotiphyWidget {
      * Toggles display modes (dark/light/auto)
      */
     changeDisplayMode() {
-        const currentTheme = localStorage.getItem('notiphy-theme') || themes.LIGHT;
+        const currentTheme = this.getTheme();
         let newTheme;
         switch (currentTheme) {
             case themes.LIGHT:
@@ -1169,11 +3091,41 @@ export default class NotiphyWidget {
             default:
                 newTheme = themes.LIGHT;
         }
-        setTheme(newTheme);
+        this.setTheme(newTheme);
         this.playClickOnSound();
         this.updateSettingsDropdown();
     }
 
+    /**
+     * Gets the saved display mode (light/dark/auto).
+     */
+    getTheme() {
+        return localStorage.getItem(this.storageKey('notiphy-theme')) || themes.LIGHT;
+    }
+
+    /**
+     * Applies a display mode to this widget's elements only (and its shadow host, in shadow mode), and saves it.
+     */
+    setTheme(theme) {
+        // console.log("Setting theme to " + theme);
+        let appliedTheme = theme;
+        if (theme === themes.AUTO) {
+            const prefersDarkScheme = window.matchMedia("(prefers-color-scheme: dark)").matches;
+            appliedTheme = prefersDarkScheme ? themes.DARK : themes.LIGHT;
+        }
+
+        this.rootElements().forEach((element) => element.setAttribute('data-theme', appliedTheme));
+        if (this.shadowRoot) {
+            this.shadowRoot.host.setAttribute('data-theme', appliedTheme);
+        }
+        localStorage.setItem(this.storageKey('notiphy-theme'), theme);
+    }
+
+    initializeTheme() {
+        // console.log("Initializing theme:", this.getTheme());
+        this.setTheme(this.getTheme());
+    }
+
     /**
      * Sounds.
      */
@@ -1189,7 +3141,7 @@ export default class NotiphyWidget {
 
     // plays when notification is added to inbox
     playPopSound() {
-        if (!this.config.audioAlert) {
+        if (!this.config.audioAlert || !this.isLeader()) {
             return;
         }
         const audio = new Audio(pop);
@@ -1207,7 +3159,7 @@ export default class NotiphyWidget {
 
     // the blocker tone
     playPingSound() {
-        if (!this.config.audioAlert) {
+        if (!this.config.audioAlert || !this.isLeader()) {
             return;
         }
         const audio = new Audio(ping);
@@ -1216,7 +3168,7 @@ export default class NotiphyWidget {
 
     // plays when a toast is shown
     playWhooshSound() {
-        if (!this.config.audioAlert) {
+        if (!this.config.audioAlert || !this.isLeader()) {
             return;
         }
         const audio = new Audio(whoosh);
@@ -1265,12 +3217,12 @@ export default class NotiphyWidget {
      * Reminders off: do nothing
      */
     playReminderSound() {
-        const unreadCountElement = document.querySelector(".notiphy-notification-center-stats-unread");
-        let unreadCount = parseInt(unreadCountElement.textContent);
-        unreadCount = Math.max(0, unreadCount);
-        if (unreadCount == 0){
+        if (this.unreadCount == 0){
             return;
         }
+        if (!this.isLeader()) {
+            return; // One reminder for all the tabs.
+        }
         if (!this.config.audioReminder) {
             return;
         }
@@ -1278,14 +3230,14 @@ export default class NotiphyWidget {
             const dingAudio = new Audio(ding);
             const audio = new Audio(notifications_waiting);
             dingAudio.play();
-            setTimeout(() => {
+            this.timeout(() => {
                 audio.play();
             }, 750);
         } else {
             // Reminders are on, but sound is off. Play a silent reminder.
             const audio = new Audio(phoneVibrate);
             audio.play();
-            setTimeout(() => {
+            this.timeout(() => {
                 audio.play();
             }, 750);
         }
@@ -1293,28 +3245,68 @@ export default class NotiphyWidget {
     }
 
     /**
-     * Updates the connection status display in the notification center.
-     *
-     * @param {string} status - The current connection status to display.
+     * Updates the connection status display in the notification center, from the connection state.
      */
-    updateConnectionStatus(status) {
-        const connectionStatus = document.querySelector(".notiphy-notification-center-connection");
+    updateConnectionStatus() {
+        const state = this.connectionState;
+        const status = {
+            'connecting': 'Connecting…',
+            'online': `Online: ${this.config.locationId}`,
+            'reconnecting': 'Reconnecting…',
+            'offline': 'Offline',
+            'auth-failed': 'Authentication failed',
+        }[state] || state;
+        const connectionStatus = this.query(".notiphy-notification-center-connection");
         connectionStatus.textContent = status;
+        connectionStatus.setAttribute("data-state", state);
+
+        // How it's connected, once it is.
+        const modeStatus = this.query(".notiphy-notification-center-mode");
+        modeStatus.textContent = realtimeModeLabels[this.realtimeMode] || this.realtimeMode || '';
+        modeStatus.hidden = state !== 'online' || !this.realtimeMode;
 
-        const statusIndicator = document.querySelector(".notiphy-notification-center-connect-status");
+        const statusIndicator = this.query(".notiphy-notification-center-connect-status");
         statusIndicator.title = status;
-        statusIndicator.classList.toggle("connected");
+        statusIndicator.setAttribute("data-state", state);
+        statusIndicator.classList.toggle("connected", state === 'online');
+    }
+
+    /**
+     * Connects or disconnects real-time delivery, from the leading tab. Disconnecting stops the reconnection
+     * attempts until connected again.
+     * @param {boolean} connect - Whether to connect.
+     */
+    setConnected(connect) {
+        this.autoReconnect = connect;
+        this.clearTimer(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.reconnectAttempts = 0;
+        if (connect) {
+            this.setConnectionState('connecting');
+            this.transport.connect();
+            return;
+        }
+        const connected = this.transport.connected;
+        this.transport.disconnect(); // Also stops an attempt in progress.
+        if (!connected) {
+            this.setConnectionState('offline'); // e.g. while waiting to reconnect.
+        }
     }
 
     /**
-     * Toggles the connection state of the widget.  Connects or disconnects the socket.io connection.
+     * Toggles the connection state of the widget.  Connects or disconnects the transport's real-time connection.
      */
     toggleConnection() {
-        if (this.socket.connected) {
-            this.socket.disconnect();
+        // Anything but offline counts as connected, so a click stops the reconnection attempts.
+        const connected = !['offline', 'auth-failed'].includes(this.connectionState);
+        if (this.isLeader()) {
+            this.setConnected(!connected);
+        } else {
+            this.broadcast({ type: connected ? 'disconnect' : 'connect' }); // The leading tab holds the connection.
+        }
+        if (connected) {
             this.playClickOffSound();
         } else {
-            this.socket.connect();
             this.playClickOnSound();
             this.playStartSound();
         }
@@ -1326,15 +3318,14 @@ export default class NotiphyWidget {
      * @param {number} count - The new unread notification count.
      */
     updateUnreadCount(count) {
-        const unreadCountElement = document.querySelector(".notiphy-notification-center-stats-unread"); //inbox
-        unreadCountElement.textContent = count;                                                         // set inbox count
+        this.unreadCount = count;
+        this.updateFilteredStats();                                                                     // set inbox count
 
-        const notificationIcon = document.querySelector(".notiphy-icon");                               // get icon
-        const notificationCount = document.querySelector(".notiphy-notification-count");                // get icon count
+        const notificationIcon = this.query(".notiphy-icon");                               // get icon
+        const notificationCount = this.query(".notiphy-notification-count");                // get icon count
         notificationCount.textContent = count;                                                          // set icon count
 
         count > 0 ? notificationCount.style.display = "flex" : notificationCount.style.display = "none";
-        count > 0 ? unreadCountElement.style.background = "" : unreadCountElement.style.background = "#999";
         count > 0 ? notificationIcon.classList.add("notiphy-icon-unread") : notificationIcon.classList.remove("notiphy-icon-unread");
         count > 0 ? notificationIcon.firstChild.textContent = "notifications_active" : notificationIcon.firstChild.textContent = "notifications";
     }
@@ -1345,33 +3336,135 @@ export default class NotiphyWidget {
      * @param {number} count - The new total count of notifications.
      */
     updateTotalCount(count) {
-        const totalCountElement = document.querySelector('.notiphy-notification-center-stats-total');
-        totalCountElement.textContent = count;
+        this.totalCount = count;
+        this.updateFilteredStats();
     }
-}
 
-const themes = {
-    LIGHT: 'light',
-    DARK: 'dark',
-    AUTO: 'auto'
-};
-function setTheme(theme) {
-    // console.log("Setting theme to " + theme);
-    let appliedTheme = theme;
-    if (theme === themes.AUTO) {
-        const prefersDarkScheme = window.matchMedia("(prefers-color-scheme: dark)").matches;
-        appliedTheme = prefersDarkScheme ? themes.DARK : themes.LIGHT;
+    /**
+     * Whether a tab or search is narrowing down the Inbox.
+     */
+    isFiltered() {
+        return this.filter.tab !== 'all' || this.filter.search !== '';
     }
 
-    document.documentElement.setAttribute('data-theme', appliedTheme);
-    localStorage.setItem('notiphy-theme', theme);
+    /**
+     * Shows the unread and total counts of the notifications the filter lets through, in the Inbox header and
+     * stats bar. The icon's badge always shows every unread notification.
+     */
+    updateFilteredStats() {
+        let unread = this.unreadCount;
+        let total = this.totalCount;
+        if (this.isFiltered()) {
+            const visible = Array.from(this.inboxItems.values()).filter((element) => this.matchesFilter(element));
+            unread = visible.filter((element) => !this.itemNotifications.get(element).read).length;
+            total = visible.length;
+        }
+        const unreadCountElement = this.query(".notiphy-notification-center-stats-unread");
+        unreadCountElement.textContent = unread;
+        unreadCountElement.style.background = unread > 0 ? "" : "#999";
+        this.query('.notiphy-notification-center-stats-total').textContent = total;
+    }
 
-    
+    /**
+     * Changes the Inbox's tab and/or search text.
+     * @param {Object} filter
+     * @param {string} [filter.tab] ..... "all", "unread", or an alertLevel (e.g. "error").
+     * @param {string} [filter.search] .. Text to look for in the notifications' title and text.
+     * @returns {NotiphyWidget} - The widget, for chaining.
+     */
+    setFilter({ tab = this.filter.tab, search = this.filter.search } = {}) {
+        this.filter = { tab: `${tab}`, search: `${search}`.trim() };
+        const searchInput = this.query(".notiphy-search");
+        if (searchInput.value.trim() !== this.filter.search) {
+            searchInput.value = this.filter.search;
+        }
+        this.applyFilter();
+        return this;
+    }
+
+    /**
+     * Whether a notification passes the active tab and search.
+     * @param {HTMLElement} element - The notification's Inbox item.
+     */
+    matchesFilter(element) {
+        const notification = this.itemNotifications.get(element) || {};
+        const { tab, search } = this.filter;
+        if (tab === 'unread' && notification.read) {
+            return false;
+        }
+        if (tab !== 'all' && tab !== 'unread' && notification.alertLevel !== tab) {
+            return false;
+        }
+        if (search) {
+            const haystack = `${notification.title ?? ''} ${notification.text ?? ''}`.toLowerCase();
+            return haystack.includes(search.toLowerCase());
+        }
+        return true;
+    }
+
+    /**
+     * Tidies the threads, recounts the notifications, hides the Inbox items the active tab and search filter
+     * out, and refreshes the tabs. Called whenever items are added, read or removed.
+     */
+    applyFilter() {
+        this.tidyThreads();
+        this.updateCounts();
+        this.updateDayLabels();
+        const items = this.queryAll(".notiphy-notification-center-body .notiphy-notification-element");
+        items.forEach((element) => {
+            element.classList.toggle("notiphy-filtered-out", !this.matchesFilter(element));
+        });
+        // While filtering, threads are shown expanded, so every match is visible. Days with no match are hidden.
+        this.query(".notiphy-notification-center-body").classList.toggle("notiphy-filtering", this.isFiltered());
+        this.queryAll(".notiphy-day-section").forEach((section) => {
+            section.classList.toggle("notiphy-filtered-out", !section.querySelector(".notiphy-notification-element:not(.notiphy-filtered-out)"));
+        });
+        this.renderFilterTabs(items);
+        this.updateFilteredStats();
+        this.scheduleVirtualize();
+    }
+
+    /**
+     * Renders the tabs: All, Unread, and one per alertLevel found in the Inbox (plus the active one).
+     * @param {HTMLElement[]} items - The Inbox items.
+     */
+    renderFilterTabs(items) {
+        const levels = new Set(items.map((element) => (this.itemNotifications.get(element) || {}).alertLevel).filter(Boolean));
+        if (!['all', 'unread'].includes(this.filter.tab)) {
+            levels.add(this.filter.tab);
+        }
+        const tabs = ['all', 'unread', ...[...levels].sort()];
+        const container = this.query(".notiphy-notification-center-tabs");
+        const current = Array.from(container.children).map((tab) => tab.getAttribute("data-tab"));
+        if (current.join() !== tabs.join()) {
+            container.replaceChildren(...tabs.map((tab) => {
+                const button = document.createElement("button");
+                button.type = "button";
+                button.className = `notiphy-tab${tab === 'all' || tab === 'unread' ? '' : ` notiphy-tab-level notiphy-${tab}`}`;
+                button.setAttribute("role", "tab");
+                button.setAttribute("data-tab", tab);
+                button.textContent = tab === 'all' ? 'All' : tab === 'unread' ? 'Unread' : tab.charAt(0).toUpperCase() + tab.slice(1);
+                return button;
+            }));
+        }
+        Array.from(container.children).forEach((button) => {
+            const active = button.getAttribute("data-tab") === this.filter.tab;
+            button.classList.toggle("active", active);
+            button.setAttribute("aria-selected", active);
+        });
+    }
 }
 
+/**
+ * Decodes a VAPID public key, URL-safe base64 as services hand them out, for PushManager.subscribe().
+ */
+function base64UrlToBytes(base64Url) {
+    const base64 = base64Url.replace(/-/g, '+').replace(/_/g, '/');
+    return Uint8Array.from(atob(base64.padEnd(base64.length + (4 - base64.length % 4) % 4, '=')), (char) => char.charCodeAt(0));
+}
 
-function initializeTheme() {
-    const savedTheme = localStorage.getItem('notiphy-theme') || themes.LIGHT;
-    // console.log("Initializing theme:", savedTheme);
-    setTheme(savedTheme);
-}
\ No newline at end of file
+const themes = {
+    LIGHT: 'light',
+    DARK: 'dark',
+    AUTO: 'auto'
+};
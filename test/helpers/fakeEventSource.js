@@ -0,0 +1,39 @@
+/**
+ * A stand-in for the browser's EventSource. Stub it in with `vi.stubGlobal('EventSource', FakeEventSource)`,
+ * then drive the last one created, `FakeEventSource.last`, with `serverEmit()`.
+ */
+export class FakeEventSource extends EventTarget {
+    static CONNECTING = 0;
+    static OPEN = 1;
+    static CLOSED = 2;
+
+    constructor(url) {
+        super();
+        this.url = url;
+        this.readyState = FakeEventSource.CONNECTING;
+        FakeEventSource.last = this;
+    }
+
+    /** Simulates an event from the server: "open", "error", or a named event with JSON data. */
+    serverEmit(type, data) {
+        if (type === 'open') {
+            this.readyState = FakeEventSource.OPEN;
+        }
+        const event = new Event(type);
+        if (data !== undefined) {
+            event.data = JSON.stringify(data);
+        }
+        this.dispatchEvent(event);
+    }
+
+    /** Simulates a named event whose data is `raw` as-is, e.g. something that isn't JSON. */
+    serverEmitRaw(type, raw) {
+        const event = new Event(type);
+        event.data = raw;
+        this.dispatchEvent(event);
+    }
+
+    close() {
+        this.readyState = FakeEventSource.CLOSED;
+    }
+}
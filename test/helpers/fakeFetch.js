@@ -0,0 +1,46 @@
+import { vi } from 'vitest';
+
+/**
+ * A fake `fetch` for the Notiphy.me endpoints. `notifications` is what GET /widget/notifications
+ * returns, paged by its `limit` and `before` parameters; set `status` to make every request fail with that status.
+ */
+export function createFakeFetch({ notifications = [], status = 200 } = {}) {
+    const server = { notifications, status };
+    server.fetch = vi.fn(async (url, options = {}) => {
+        const { pathname, searchParams } = new URL(url);
+        let body;
+        if (pathname === '/widget/notifications') {
+            body = server.notifications;
+            const limit = Number(searchParams.get('limit'));
+            const before = Number(searchParams.get('before'));
+            if (limit) {
+                body = body
+                    .filter((notification) => !before || notification._ts < before)
+                    .sort((a, b) => b._ts - a._ts)
+                    .slice(0, limit);
+            }
+        } else if (pathname === '/widget/notification/mark-read') {
+            body = { message: 'Notification marked as read.' };
+        } else if (pathname === '/widget/notification/dismiss') {
+            body = { message: 'Notification dismissed.' };
+        } else if (pathname === '/widget/notifications/mark-read') {
+            body = { message: 'Notifications marked as read.' };
+        } else if (pathname === '/widget/notifications/dismiss') {
+            body = { message: 'Notifications dismissed.' };
+        } else if (pathname === '/widget/notification/action') {
+            body = { message: 'Action received.' };
+        } else if (pathname === '/widget/push/subscribe') {
+            body = { message: 'Subscribed to push notifications.' };
+        } else if (pathname === '/widget/push/unsubscribe') {
+            body = { message: 'Unsubscribed from push notifications.' };
+        } else {
+            return new Response(JSON.stringify({ message: 'Not found.' }), { status: 404 });
+        }
+        return new Response(JSON.stringify(body), { status: server.status });
+    });
+    /** The JSON bodies POSTed to an endpoint. */
+    server.posted = (path) => server.fetch.mock.calls
+        .filter(([url]) => new URL(url).pathname === path)
+        .map(([, options]) => JSON.parse(options.body));
+    return server;
+}
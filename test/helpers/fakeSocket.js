@@ -0,0 +1,54 @@
+/**
+ * A stand-in for a Socket.IO client socket. Pass `fakeIo` as the widget's `io` config option,
+ * then drive it from the test with `serverEmit()`.
+ */
+export class FakeSocket {
+    constructor(uri, options) {
+        this.uri = uri;
+        this.options = options;
+        this.connected = false;
+        this.handlers = {};
+        this.emitted = []; // [event, ...args] sent by the widget
+    }
+
+    on(event, handler) {
+        (this.handlers[event] = this.handlers[event] || []).push(handler);
+        return this;
+    }
+
+    off(event, handler) {
+        this.handlers[event] = (this.handlers[event] || []).filter((h) => h !== handler);
+        return this;
+    }
+
+    emit(event, ...args) {
+        this.emitted.push([event, ...args]);
+        return this;
+    }
+
+    /** Simulates an event from the server. Resolves when async handlers are done. */
+    serverEmit(event, ...args) {
+        return Promise.all((this.handlers[event] || []).map((handler) => handler(...args)));
+    }
+
+    connect() {
+        this.connected = true;
+        return this.serverEmit('connect');
+    }
+
+    disconnect() {
+        this.connected = false;
+        return this.serverEmit('disconnect', 'io client disconnect');
+    }
+}
+
+/**
+ * An `io` factory returning FakeSockets. The last socket created is `fakeIo.socket`.
+ */
+export function createFakeIo() {
+    const fakeIo = (uri, options) => {
+        fakeIo.socket = new FakeSocket(uri, options);
+        return fakeIo.socket;
+    };
+    return fakeIo;
+}
@@ -0,0 +1,55 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import NotiphyWidget from '../src/components/widget.js';
+import MockTransport from '../src/components/mockTransport.js';
+
+beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+describe('MockTransport', () => {
+    it('only returns notifications changed since lastFetched', async () => {
+        const transport = new MockTransport({ notifications: [{ title: 'Old', _ts: 100 }] });
+        transport.push({ title: 'New' });
+
+        expect(await transport.fetchNotifications(0)).toHaveLength(2);
+        expect((await transport.fetchNotifications(1000)).map((n) => n.title)).toEqual(['New']);
+    });
+
+    it('pages by limit and before, newest first', async () => {
+        const transport = new MockTransport({ notifications: [1, 2, 3, 4].map((n) => ({ title: `N${n}`, _ts: n * 100 })) });
+
+        expect((await transport.fetchNotifications(0, { limit: 2 })).map((n) => n.title)).toEqual(['N4', 'N3']);
+        expect((await transport.fetchNotifications(0, { limit: 2, before: 300 })).map((n) => n.title)).toEqual(['N2', 'N1']);
+    });
+
+    it('records post actions', async () => {
+        const transport = new MockTransport();
+        const { id } = transport.push({ title: 'Approve?', actions: [{ id: 'approve', label: 'Approve' }] });
+
+        await transport.invokeAction(id, 'approve');
+        await expect(transport.invokeAction('missing', 'approve')).rejects.toThrow('Notification not found.');
+        expect(transport.invokedActions).toEqual([{ notificationId: id, actionId: 'approve' }]);
+    });
+
+    it('drives a widget with no network', async () => {
+        const fetch = vi.fn();
+        vi.stubGlobal('fetch', fetch);
+        const transport = new MockTransport({ notifications: [{ title: 'Welcome', text: 'Hi.' }] });
+        const widget = new NotiphyWidget({ subscriberId: 'dev', widgetKey: 'dev', transport });
+        await vi.waitFor(() => expect(widget.notificationsLoaded).toBe(true));
+
+        const { id } = transport.push({ title: 'Build failed', text: 'main is red.', alertLevel: 'error' });
+        await vi.waitFor(() => {
+            expect(widget.queryAll('.notiphy-notification-center-body .notiphy-notification-element')).toHaveLength(2);
+        });
+
+        transport.remoteRead(id);
+        await vi.waitFor(() => {
+            expect(widget.query('.notiphy-notification-center-stats-unread').textContent).toBe('1');
+        });
+
+        await widget.dismiss(id);
+        expect(transport.notifications.get(id).dismissed).toBe(true);
+        expect(fetch).not.toHaveBeenCalled();
+    });
+});
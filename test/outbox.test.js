@@ -0,0 +1,72 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import Outbox from '../src/components/outbox.js';
+import { TransportError } from '../src/components/transport.js';
+
+function createOutbox(send) {
+    return new Outbox('outbox:acme:store-1', { send, onSent: vi.fn(), onRejected: vi.fn() });
+}
+
+beforeEach(() => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('Outbox', () => {
+    it('sends actions one at a time, in order', async () => {
+        const sent = [];
+        const outbox = createOutbox(async (action) => {
+            sent.push(action.ids);
+            return { message: 'ok' };
+        });
+
+        const first = outbox.add({ type: 'read', ids: ['n1'] });
+        const second = outbox.add({ type: 'dismiss', ids: ['n2', 'n3'] });
+        expect(outbox.pending('dismiss')).toEqual(new Set(['n2', 'n3']));
+
+        await expect(Promise.all([first, second])).resolves.toEqual([true, true]);
+        expect(sent).toEqual([['n1'], ['n2', 'n3']]);
+        expect(outbox.onSent).toHaveBeenCalledWith(expect.objectContaining({ type: 'read', ids: ['n1'] }), { message: 'ok' });
+        expect(sessionStorage.getItem('outbox:acme:store-1')).toBeNull();
+    });
+
+    it('keeps later actions waiting behind one being retried', async () => {
+        vi.useFakeTimers();
+        const send = vi.fn()
+            .mockRejectedValueOnce(new TransportError('Request failed with status: 502', 502))
+            .mockResolvedValue({});
+        const outbox = createOutbox(send);
+
+        outbox.add({ type: 'read', ids: ['n1'] });
+        outbox.add({ type: 'read', ids: ['n2'] });
+        await vi.advanceTimersByTimeAsync(0);
+        expect(send).toHaveBeenCalledTimes(1);
+        expect(JSON.parse(sessionStorage.getItem('outbox:acme:store-1'))).toHaveLength(2);
+
+        await vi.advanceTimersByTimeAsync(1000);
+        expect(send).toHaveBeenCalledTimes(3);
+        expect(outbox.pending('read').size).toBe(0);
+    });
+
+    it('drops a rejected action, and carries on', async () => {
+        const error = new TransportError('Request failed with status: 404', 404);
+        const outbox = createOutbox(vi.fn().mockRejectedValueOnce(error).mockResolvedValue({}));
+
+        await expect(outbox.add({ type: 'dismiss', ids: ['n1'] })).resolves.toBe(false);
+        expect(outbox.onRejected).toHaveBeenCalledWith(expect.objectContaining({ ids: ['n1'] }), error);
+        await expect(outbox.add({ type: 'dismiss', ids: ['n2'] })).resolves.toBe(true);
+    });
+
+    it.each([
+        [new TypeError('Failed to fetch'), true],
+        [new TransportError("Couldn't reach the service", 0), true],
+        [new TypeError("Cannot read properties of undefined (reading 'id')"), false],
+        [new Error('Something broke'), false],
+        [Object.assign(new Error('Not from the service'), { status: 503 }), false],
+        [new TransportError('', 500), true],
+        [new TransportError('', 429), true],
+        [new TransportError('', 408), true],
+        [new TransportError('', 401), false],
+        [new TransportError('', 404), false],
+    ])('retries %s: %s', (error, retryable) => {
+        expect(Outbox.isRetryable(error)).toBe(retryable);
+    });
+});
@@ -0,0 +1,69 @@
+import { describe, expect, it } from 'vitest';
+import { escapeHtml, safeUrl, sanitizeHtml } from '../src/components/sanitize.js';
+
+const render = (html, allowedSchemes) => {
+    const container = document.createElement('div');
+    container.appendChild(sanitizeHtml(html, allowedSchemes));
+    return container.innerHTML;
+};
+
+describe('safeUrl', () => {
+    it.each([
+        ['https://example.com/orders/1', 'https://example.com/orders/1'],
+        ['mailto:ops@example.com', 'mailto:ops@example.com'],
+        ['/orders/1', new URL('/orders/1', document.baseURI).href],
+    ])('allows %s', (url, expected) => {
+        expect(safeUrl(url)).toBe(expected);
+    });
+
+    it.each([
+        'javascript:alert(1)',
+        ' JavaScript:alert(1)',
+        'java\tscript:alert(1)',
+        'data:text/html,<script>alert(1)</script>',
+        'vbscript:msgbox(1)',
+        '',
+        undefined,
+    ])('rejects %j', (url) => {
+        expect(safeUrl(url)).toBeNull();
+    });
+
+    it('only allows the schemes given', () => {
+        expect(safeUrl('http://example.com', ['https:'])).toBeNull();
+        expect(safeUrl('https://example.com', ['https:'])).toBe('https://example.com/');
+    });
+});
+
+describe('sanitizeHtml', () => {
+    it('keeps bold, italics, code and line breaks', () => {
+        expect(render('<b>Build</b> <em>failed</em> on <code>main</code><br>again'))
+            .toBe('<b>Build</b> <em>failed</em> on <code>main</code><br>again');
+    });
+
+    it('keeps safe links, opening them in a new tab', () => {
+        expect(render('<a href="https://example.com" onclick="alert(1)" style="color:red">Open</a>'))
+            .toBe('<a href="https://example.com/" target="_blank" rel="noopener noreferrer">Open</a>');
+    });
+
+    it('unwraps links with disallowed schemes to their text', () => {
+        expect(render('<a href="javascript:alert(1)">Open</a>')).toBe('Open');
+    });
+
+    it('drops scripts, event handlers and everything outside the subset', () => {
+        expect(render('<img src=x onerror="alert(1)"><script>alert(1)</script><div class="x"><b onmouseover="alert(1)">Hi</b></div>'))
+            .toBe('<b>Hi</b>');
+        expect(render('<svg><a href="https://example.com">svg</a></svg><style>body{}</style>')).toBe('<a href="https://example.com/" target="_blank" rel="noopener noreferrer">svg</a>');
+    });
+
+    it('keeps plain text as text', () => {
+        expect(render('1 < 2 & "quotes"')).toBe('1 &lt; 2 &amp; "quotes"');
+    });
+});
+
+describe('escapeHtml', () => {
+    it('escapes markup and quotes', () => {
+        expect(escapeHtml(`<a href="x" title='y'>&</a>`)).toBe('&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&lt;/a&gt;');
+        expect(escapeHtml(null)).toBe('');
+        expect(escapeHtml(42)).toBe('42');
+    });
+});
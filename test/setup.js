@@ -0,0 +1,23 @@
+import { afterEach, vi } from 'vitest';
+
+// jsdom doesn't implement media playback, scrolling or matchMedia. Stub them out.
+globalThis.Audio = class {
+    play() {
+        return Promise.resolve();
+    }
+};
+Element.prototype.scrollTo = function () {};
+window.matchMedia = window.matchMedia || ((query) => ({ matches: false, media: query }));
+if (!globalThis.CSS || !globalThis.CSS.escape) {
+    globalThis.CSS = { ...globalThis.CSS, escape: (value) => `${value}`.replace(/["\\]/g, '\\$&') };
+}
+
+afterEach(() => {
+    document.body.innerHTML = '';
+    document.head.innerHTML = '';
+    localStorage.clear();
+    sessionStorage.clear();
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+});
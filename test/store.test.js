@@ -0,0 +1,43 @@
+import { describe, expect, it, vi } from 'vitest';
+import NotificationStore from '../src/components/store.js';
+
+describe('NotificationStore', () => {
+    it('adds, updates and removes notifications by ID', () => {
+        const store = new NotificationStore([{ id: 1, title: 'One', read: false }]);
+        store.put({ id: 'n2', title: 'Two', read: false });
+
+        expect(store.get('1').title).toBe('One');
+        expect(store.all().map((notification) => notification.id)).toEqual([1, 'n2']);
+
+        const before = store.get('n2');
+        expect(store.update('n2', { read: true })).toEqual({ id: 'n2', title: 'Two', read: true });
+        expect(before.read).toBe(false); // replaced, not modified
+        expect(store.update('missing', { read: true })).toBeNull();
+
+        expect(store.remove(1)).toBe(true);
+        expect(store.remove(1)).toBe(false);
+        expect(store.has(1)).toBe(false);
+    });
+
+    it('tells subscribers what changed, once per batch', () => {
+        const store = new NotificationStore([{ id: 'n1' }]);
+        const listener = vi.fn();
+        const unsubscribe = store.subscribe(listener);
+
+        store.update('n1', { read: true });
+        expect(listener).toHaveBeenLastCalledWith({ ids: ['n1'] });
+
+        store.batch(() => {
+            store.put({ id: 'n2' });
+            store.put({ id: 'n3' });
+            store.remove('n1');
+        });
+        expect(listener).toHaveBeenCalledTimes(2);
+        expect(listener).toHaveBeenLastCalledWith({ ids: ['n2', 'n3', 'n1'] });
+
+        store.remove('missing');
+        unsubscribe();
+        store.put({ id: 'n4' });
+        expect(listener).toHaveBeenCalledTimes(2);
+    });
+});
@@ -0,0 +1,81 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import TabSync from '../src/components/tabSync.js';
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 10));
+const tabs = [];
+
+function createTab(options = {}) {
+    const tab = new TabSync('tabs:acme:store-1', { onMessage: vi.fn(), onLeaderChange: vi.fn(), ...options });
+    tabs.push(tab);
+    tab.start();
+    return tab;
+}
+
+afterEach(() => {
+    tabs.splice(0).forEach((tab) => tab.close());
+});
+
+describe('TabSync', () => {
+    it('elects one leader, and passes the lead on when it closes', async () => {
+        const first = createTab();
+        const second = createTab();
+
+        expect(first.isLeader).toBe(true);
+        expect(first.onLeaderChange).toHaveBeenCalledWith(true);
+        expect(second.isLeader).toBe(false);
+        expect(second.onLeaderChange).not.toHaveBeenCalled();
+
+        first.post({ type: 'read', id: 'n1' });
+        await tick();
+        expect(second.onMessage).toHaveBeenCalledWith({ type: 'read', id: 'n1' });
+        expect(first.onMessage).not.toHaveBeenCalled();
+
+        first.close();
+        expect(first.onLeaderChange).toHaveBeenLastCalledWith(false);
+        await tick();
+        expect(second.isLeader).toBe(true);
+        expect(second.onLeaderChange).toHaveBeenCalledWith(true);
+    });
+
+    it('takes over once the leader stops renewing its lease', () => {
+        vi.useFakeTimers({ toFake: ['setInterval', 'clearInterval', 'Date'] });
+        const first = createTab();
+        const second = createTab();
+        clearInterval(first.timer); // As if the tab had crashed.
+
+        vi.advanceTimersByTime(9000);
+        expect(second.isLeader).toBe(false);
+        vi.advanceTimersByTime(3000);
+        expect(second.isLeader).toBe(true);
+    });
+
+    it('settles on one leader when two claim the lead at once', () => {
+        const first = createTab();
+        const second = createTab();
+        localStorage.setItem(first.leaseKey, JSON.stringify({ id: second.id, expires: Date.now() + 10000 }));
+        second.elect();
+        first.elect();
+
+        expect(first.isLeader).toBe(false);
+        expect(second.isLeader).toBe(true);
+    });
+
+    it('falls back to storage events without BroadcastChannel', () => {
+        vi.stubGlobal('BroadcastChannel', undefined);
+        // Other tabs get a storage event for each change; this one doesn't, so send it by hand.
+        const setItem = Storage.prototype.setItem;
+        vi.spyOn(Storage.prototype, 'setItem').mockImplementation(function (key, newValue) {
+            setItem.call(this, key, newValue);
+            window.dispatchEvent(new StorageEvent('storage', { key, newValue }));
+        });
+        const first = createTab();
+        const second = createTab();
+
+        first.post({ type: 'dismiss', id: 'n1' });
+        expect(second.onMessage).toHaveBeenCalledWith({ type: 'dismiss', id: 'n1' });
+        expect(localStorage.getItem(first.messageKey)).toBeNull();
+
+        first.close();
+        expect(second.isLeader).toBe(true);
+    });
+});
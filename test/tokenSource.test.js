@@ -0,0 +1,117 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import TokenSource from '../src/components/tokenSource.js';
+
+const jwt = (claims) => `header.${btoa(JSON.stringify(claims)).replace(/=+$/, '')}.signature`;
+
+const sources = [];
+
+function createTokenSource(getToken, options) {
+    const tokens = new TokenSource(getToken, options);
+    sources.push(tokens);
+    return tokens;
+}
+
+afterEach(() => {
+    sources.splice(0).forEach((tokens) => tokens.close());
+});
+
+describe('TokenSource', () => {
+    it('keeps a token until shortly before it expires, then gets the next one ahead of time', async () => {
+        vi.useFakeTimers();
+        let count = 0;
+        const getToken = vi.fn(async () => ({ token: `t${++count}`, expiresAt: Date.now() + 5 * 60000 }));
+        const tokens = createTokenSource(getToken);
+
+        expect(await tokens.get()).toBe('t1');
+        expect(await tokens.get()).toBe('t1');
+        expect(getToken).toHaveBeenCalledTimes(1);
+
+        await vi.advanceTimersByTimeAsync(5 * 60000 - 30000 - 1);
+        expect(getToken).toHaveBeenCalledTimes(1);
+        await vi.advanceTimersByTimeAsync(1);
+        expect(getToken).toHaveBeenCalledTimes(2);
+        expect(await tokens.get()).toBe('t2');
+    });
+
+    it('reads the expiry of a JWT, refreshing very short-lived ones halfway', async () => {
+        vi.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+        const getToken = vi.fn(async () => jwt({ sub: 'jane', exp: Math.floor(Date.now() / 1000) + 20 }));
+        const tokens = createTokenSource(getToken);
+
+        await tokens.get();
+        await vi.advanceTimersByTimeAsync(9999);
+        expect(getToken).toHaveBeenCalledTimes(1);
+        await vi.advanceTimersByTimeAsync(1);
+        expect(getToken).toHaveBeenCalledTimes(2);
+    });
+
+    it('backs off instead of asking again and again for tokens that arrive already expired', async () => {
+        vi.useFakeTimers();
+        const getToken = vi.fn(async () => ({ token: 'stale', expiresAt: Date.now() - 1000 }));
+        const tokens = createTokenSource(getToken);
+
+        await tokens.get();
+        await tokens.get();
+        expect(getToken).toHaveBeenCalledTimes(1);
+        await vi.advanceTimersByTimeAsync(4999);
+        expect(getToken).toHaveBeenCalledTimes(1);
+        await vi.advanceTimersByTimeAsync(1);
+        expect(getToken).toHaveBeenCalledTimes(2);
+        await vi.advanceTimersByTimeAsync(9999);
+        expect(getToken).toHaveBeenCalledTimes(2);
+        await vi.advanceTimersByTimeAsync(1);
+        expect(getToken).toHaveBeenCalledTimes(3);
+    });
+
+    it('waits out tokens that live longer than a timeout can', async () => {
+        vi.useFakeTimers();
+        const lifetime = 60 * 24 * 60 * 60000; // 60 days.
+        const getToken = vi.fn(async () => ({ token: 'long', expiresAt: Date.now() + lifetime }));
+        const tokens = createTokenSource(getToken);
+
+        await tokens.get();
+        await vi.advanceTimersByTimeAsync(2147483647);
+        expect(getToken).toHaveBeenCalledTimes(1);
+        await vi.advanceTimersByTimeAsync(lifetime - 30000 - 2147483647);
+        expect(getToken).toHaveBeenCalledTimes(2);
+    });
+
+    it("doesn't start refreshing when closed while getToken is pending, until asked again", async () => {
+        vi.useFakeTimers();
+        let resolve;
+        const getToken = vi.fn(() => new Promise((done) => (resolve = done)));
+        const tokens = createTokenSource(getToken);
+
+        const pending = tokens.get();
+        tokens.close();
+        resolve({ token: 't1', expiresAt: Date.now() + 60000 });
+        await pending;
+        await vi.advanceTimersByTimeAsync(60000);
+        expect(getToken).toHaveBeenCalledTimes(1);
+
+        getToken.mockResolvedValue({ token: 't2', expiresAt: Date.now() + 60000 });
+        await tokens.get(); // Expired while closed.
+        expect(getToken).toHaveBeenCalledTimes(2);
+        await vi.advanceTimersByTimeAsync(30000);
+        expect(getToken).toHaveBeenCalledTimes(3);
+    });
+
+    it('shares one call between concurrent requests, and gets a new token when asked to', async () => {
+        let count = 0;
+        const getToken = vi.fn(async () => `opaque-${++count}`);
+        const tokens = createTokenSource(getToken);
+
+        await expect(Promise.all([tokens.get(), tokens.get()])).resolves.toEqual(['opaque-1', 'opaque-1']);
+        expect(await tokens.get()).toBe('opaque-1'); // No known expiry: kept until refused.
+        expect(await tokens.get({ refresh: true })).toBe('opaque-2');
+        expect(getToken).toHaveBeenCalledTimes(2);
+    });
+
+    it('rejects when getToken resolves without a token, and tries again next time', async () => {
+        const getToken = vi.fn().mockResolvedValueOnce({}).mockResolvedValueOnce('t1');
+        const tokens = createTokenSource(getToken);
+
+        await expect(tokens.get()).rejects.toThrow('without a token');
+        await expect(tokens.get()).resolves.toBe('t1');
+    });
+});
@@ -0,0 +1,1857 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import NotiphyWidget from '../src/components/widget.js';
+import { createFakeIo } from './helpers/fakeSocket.js';
+import { createFakeFetch } from './helpers/fakeFetch.js';
+import { FakeEventSource } from './helpers/fakeEventSource.js';
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+const NOW = Math.floor(Date.now() / 1000);
+
+function notification(id, overrides = {}) {
+    return { id, title: `Title ${id}`, text: `Text ${id}`, alertLevel: 'info', read: false, _ts: NOW, ...overrides };
+}
+
+const widgets = []; // Destroyed after each test, so their tab sync doesn't outlive it.
+
+/**
+ * Creates a widget wired to a fake socket and a fake fetch, and waits for the initial fetch.
+ */
+async function createWidget(config = {}, server = createFakeFetch()) {
+    vi.stubGlobal('fetch', server.fetch);
+    const io = createFakeIo();
+    const widget = new NotiphyWidget({ subscriberId: 'acme', widgetKey: 'key', locationId: 'store-1', io, ...config });
+    widgets.push(widget);
+    await flush();
+    return { widget, socket: io.socket, server };
+}
+
+const inboxItems = (widget) => widget.queryAll('.notiphy-notification-center-body .notiphy-notification-element');
+const unreadCount = (widget) => Number(widget.query('.notiphy-notification-center-stats-unread').textContent);
+const totalCount = (widget) => Number(widget.query('.notiphy-notification-center-stats-total').textContent);
+const toastStyles = () => Array.from(document.head.querySelectorAll('style')).filter((style) => style.textContent.includes('toast-duration-'));
+const storedNotifications = () => JSON.parse(sessionStorage.getItem('notiphyWidgetNotifications:acme:store-1'));
+
+beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    widgets.splice(0).forEach((widget) => widget.destroy());
+});
+
+describe('fetchNotifications', () => {
+    it('renders the fetched notifications and counts', async () => {
+        const server = createFakeFetch({ notifications: [notification('n1'), notification('n2', { read: true })] });
+        const { widget } = await createWidget({}, server);
+
+        expect(inboxItems(widget)).toHaveLength(2);
+        expect(unreadCount(widget)).toBe(1);
+        expect(totalCount(widget)).toBe(2);
+    });
+
+    it('merges the fetch into the stored notifications, dropping dismissed ones', async () => {
+        sessionStorage.setItem('notiphyWidgetNotifications:acme:store-1', JSON.stringify([
+            notification('kept'),
+            notification('updated'),
+            notification('gone'),
+        ]));
+        const server = createFakeFetch({ notifications: [
+            notification('updated', { read: true }),
+            notification('gone', { dismissed: true }),
+            notification('new'),
+        ] });
+        const { widget } = await createWidget({}, server);
+
+        expect(widget.notifications.map((n) => n.id)).toEqual(['kept', 'updated', 'new']);
+        expect(widget.notifications.find((n) => n.id === 'updated').read).toBe(true);
+        expect(storedNotifications().map((n) => n.id)).toEqual(['kept', 'updated', 'new']);
+        expect(unreadCount(widget)).toBe(2);
+        expect(totalCount(widget)).toBe(3);
+    });
+
+    it('only asks for notifications changed since the last fetch', async () => {
+        localStorage.setItem('notiphyWidgetLastFetched:acme:store-1', '1700000000');
+        const { server } = await createWidget();
+
+        const url = new URL(server.fetch.mock.calls[0][0]);
+        expect(url.searchParams.get('lastFetched')).toBe('1700000000');
+        expect(Number(localStorage.getItem('notiphyWidgetLastFetched:acme:store-1'))).toBeGreaterThan(1700000000);
+    });
+
+    it('rebuilds the inbox instead of duplicating items on refresh', async () => {
+        const server = createFakeFetch({ notifications: [notification('n1')] });
+        const { widget } = await createWidget({}, server);
+        await widget.refresh();
+
+        expect(inboxItems(widget)).toHaveLength(1);
+        expect(unreadCount(widget)).toBe(1);
+    });
+});
+
+describe('refreshing the Inbox', () => {
+    const item = (widget, id) => widget.query(`.notiphy-notification-element[data-id="${id}"]`);
+
+    it('patches only the items that changed', async () => {
+        const server = createFakeFetch({ notifications: [
+            notification('n1'),
+            notification('n2'),
+            notification('n3'),
+            notification('n4', { title: 'Before' }),
+        ] });
+        const { widget } = await createWidget({}, server);
+        const [n1, n2, n4] = ['n1', 'n2', 'n4'].map((id) => item(widget, id));
+        const body = widget.query('.notiphy-notification-center-body');
+        body.scrollTo = vi.fn();
+
+        server.notifications = [
+            notification('n1'),
+            notification('n2', { read: true }),
+            notification('n3', { dismissed: true }),
+            notification('n4', { title: 'After' }),
+            notification('n5'),
+        ];
+        await widget.refresh();
+
+        expect(item(widget, 'n1')).toBe(n1);
+        expect(item(widget, 'n2')).toBe(n2);
+        expect(n2.classList.contains('notiphy-read')).toBe(true);
+        expect(item(widget, 'n3')).toBeNull();
+        expect(item(widget, 'n4')).not.toBe(n4);
+        expect(item(widget, 'n4').querySelector('.notiphy-notification-header').textContent).toBe('After');
+        expect(item(widget, 'n5')).not.toBeNull();
+        expect(body.scrollTo).not.toHaveBeenCalled();
+        expect(unreadCount(widget)).toBe(3);
+        expect(totalCount(widget)).toBe(4);
+    });
+
+    it('keeps the counts right however often it is refreshed', async () => {
+        const server = createFakeFetch({ notifications: [notification('n1'), notification('n2')] });
+        const { widget } = await createWidget({}, server);
+
+        await widget.markRead('n1');
+        server.notifications = [notification('n1', { read: true }), notification('n2')];
+        await widget.refresh();
+        await widget.refresh();
+
+        expect(inboxItems(widget)).toHaveLength(2);
+        expect(unreadCount(widget)).toBe(1);
+        expect(totalCount(widget)).toBe(2);
+        expect(Number(widget.query('.notiphy-notification-count').textContent)).toBe(1);
+    });
+});
+
+describe('notification store', () => {
+    const badge = (widget) => Number(widget.query('.notiphy-notification-count').textContent);
+
+    it('counts a notification dismissed here and from the socket once', async () => {
+        const { widget, socket } = await createWidget({}, createFakeFetch({ notifications: [notification('n1'), notification('n2')] }));
+
+        await widget.dismiss('n1');
+        await socket.serverEmit('dismiss', 'n1');
+        await socket.serverEmit('mark-read', 'n2');
+        await socket.serverEmit('mark-read', 'n2');
+
+        expect(inboxItems(widget)).toHaveLength(1);
+        expect(totalCount(widget)).toBe(1);
+        expect(unreadCount(widget)).toBe(0);
+        expect(badge(widget)).toBe(0);
+    });
+
+    it('keeps the Inbox, counts and stored notifications in step, and reports changes', async () => {
+        const { widget } = await createWidget({}, createFakeFetch({ notifications: [notification('n1')] }));
+        const changes = vi.fn();
+        widget.on('change', changes);
+
+        widget.handleNotification(notification('n2'));
+        await flush();
+        expect(changes).toHaveBeenLastCalledWith({ ids: ['n2'], unread: 2, total: 2 }, expect.anything());
+        expect(storedNotifications().map(({ id }) => id)).toEqual(['n1', 'n2']);
+
+        await widget.markRead('n2');
+        expect(widget.getCounts()).toEqual({ unread: 1, total: 2 });
+        expect(storedNotifications().find(({ id }) => id === 'n2').read).toBe(true);
+        expect(widget.notifications.map(({ id }) => id)).toEqual(['n1', 'n2']);
+        expect(badge(widget)).toBe(1);
+    });
+
+    it('shows the notifications stored in this session before they are fetched again', async () => {
+        sessionStorage.setItem('notiphyWidgetNotifications:acme:store-1', JSON.stringify([notification('n1')]));
+        vi.stubGlobal('fetch', () => new Promise(() => {}));
+        const widget = new NotiphyWidget({ subscriberId: 'acme', widgetKey: 'key', locationId: 'store-1', io: createFakeIo() });
+        widgets.push(widget);
+
+        expect(inboxItems(widget)).toHaveLength(1);
+        expect(unreadCount(widget)).toBe(1);
+    });
+});
+
+describe('handleNotification', () => {
+    it('adds the notification to the inbox right away when toasts are off', async () => {
+        const { widget } = await createWidget();
+        widget.handleNotification(notification('n1'));
+        await flush();
+
+        expect(inboxItems(widget)).toHaveLength(1);
+        expect(widget.queryAll('.notiphy-toast')).toHaveLength(0);
+        expect(unreadCount(widget)).toBe(1);
+    });
+
+    it('shows a toast first, and adds to the inbox after the toast duration', async () => {
+        const { widget } = await createWidget({ toastAlert: true, toastDuration: 2 });
+        vi.useFakeTimers();
+        widget.handleNotification(notification('n1'));
+
+        expect(widget.queryAll('.notiphy-toaster .notiphy-toast')).toHaveLength(1);
+        expect(inboxItems(widget)).toHaveLength(0);
+
+        vi.advanceTimersByTime(2000);
+        expect(inboxItems(widget)).toHaveLength(1);
+    });
+
+    it('removes a toast dismissed in another widget, with its style, before its own timers run out', async () => {
+        const { widget, socket } = await createWidget({ toastAlert: true });
+        vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+        await socket.serverEmit('notification', notification('n1'));
+        await vi.advanceTimersByTimeAsync(10);
+        expect(toastStyles()).toHaveLength(1);
+
+        await socket.serverEmit('dismiss', 'n1');
+        expect(widget.queryAll('.notiphy-toast')).toHaveLength(0);
+        expect(toastStyles()).toHaveLength(0);
+
+        await vi.advanceTimersByTimeAsync(5000); // Its timers are gone, rather than throwing on removing it again.
+        expect(inboxItems(widget)).toHaveLength(0);
+    });
+
+    it('opens the blocker modal for blocker notifications, without a toast', async () => {
+        const { widget } = await createWidget({ toastAlert: true });
+        widget.handleNotification(notification('n1', { alertLevel: 'blocker', title: 'Stop', text: 'Read this.' }));
+        await flush();
+
+        expect(widget.elements.blockerModal.style.display).toBe('block');
+        expect(widget.query('.notiphy-blocker-title').textContent).toBe('Stop');
+        expect(widget.query('.notiphy-blocker-text').textContent).toBe('Read this.');
+        expect(widget.queryAll('.notiphy-toast')).toHaveLength(0);
+        expect(inboxItems(widget)).toHaveLength(1);
+    });
+
+    it('is delivered from the socket, and can be canceled by a before-notification listener', async () => {
+        const { widget, socket } = await createWidget();
+        const received = vi.fn();
+        widget.on('notification', received);
+        widget.on('before-notification', (detail, event) => {
+            if (detail.id === 'muted') event.preventDefault();
+        });
+
+        await socket.serverEmit('notification', notification('n1'));
+        await socket.serverEmit('notification', notification('muted'));
+        await flush();
+
+        expect(inboxItems(widget)).toHaveLength(1);
+        expect(received).toHaveBeenCalledTimes(1);
+        expect(received.mock.calls[0][0].id).toBe('n1');
+    });
+});
+
+describe('rendering', () => {
+    const hostile = {
+        title: '<img src=x onerror="window.pwned = true">',
+        text: '<b>Bold</b> <script>window.pwned = true</script>',
+    };
+
+    it('renders title and text as plain text by default', async () => {
+        const { widget } = await createWidget({}, createFakeFetch({ notifications: [notification('n1', hostile)] }));
+        const item = inboxItems(widget)[0];
+
+        expect(item.querySelector('img, script, b')).toBeNull();
+        expect(item.querySelector('.notiphy-notification-header').textContent).toBe(hostile.title);
+        expect(item.querySelector('.notiphy-notification-body').textContent).toBe(hostile.text);
+    });
+
+    it('renders the sanitized subset in richText mode', async () => {
+        const { widget } = await createWidget({ richText: true }, createFakeFetch({ notifications: [notification('n1', hostile)] }));
+        const item = inboxItems(widget)[0];
+
+        expect(item.querySelector('img, script')).toBeNull();
+        expect(item.querySelector('.notiphy-notification-header').textContent).toBe(hostile.title);
+        expect(item.querySelector('.notiphy-notification-body').innerHTML).toBe('<b>Bold</b> ');
+    });
+
+    it('escapes toasts and the blocker modal too', async () => {
+        const { widget } = await createWidget({ toastAlert: true });
+        widget.handleNotification(notification('n1', hostile));
+        widget.handleNotification(notification('n2', { ...hostile, alertLevel: 'blocker' }));
+
+        expect(widget.query('.notiphy-toast img, .notiphy-toast script')).toBeNull();
+        expect(widget.query('.notiphy-toast .notiphy-notification-header').textContent).toBe(hostile.title);
+        expect(widget.query('.notiphy-blocker-text').textContent).toBe(hostile.text);
+    });
+
+    it('navigates to an allowed actionUrl on click, without inline handlers', async () => {
+        const server = createFakeFetch({ notifications: [notification('n1', { actionUrl: 'https://example.com/orders/1' })] });
+        const { widget } = await createWidget({}, server);
+        const navigate = vi.spyOn(widget, 'navigate').mockImplementation(() => {});
+        const body = inboxItems(widget)[0].querySelector('.notiphy-notification-body');
+
+        expect(body.hasAttribute('onclick')).toBe(false);
+        body.click();
+        expect(navigate).toHaveBeenCalledWith('https://example.com/orders/1');
+    });
+
+    it('ignores an actionUrl with a disallowed scheme', async () => {
+        const server = createFakeFetch({ notifications: [
+            notification('n1', { actionUrl: "javascript:alert('x')" }),
+            notification('n2', { actionUrl: 'javascript:alert(1)', linkButton: true }),
+        ] });
+        const { widget } = await createWidget({}, server);
+        const navigate = vi.spyOn(widget, 'navigate').mockImplementation(() => {});
+        widget.query('[data-notification-id="n1"]').closest('.notiphy-notification-element').querySelector('.notiphy-notification-body').click();
+
+        expect(navigate).not.toHaveBeenCalled();
+        expect(widget.queryAll('.notiphy-button-link')).toHaveLength(0);
+        expect(widget.query('[data-action-url]')).toBeNull();
+    });
+
+    it('renders link buttons with the label as text', async () => {
+        const server = createFakeFetch({ notifications: [
+            notification('n1', { actionUrl: '/orders/1', linkButton: true, linkButtonLabel: '<i>Open</i>' }),
+        ] });
+        const { widget } = await createWidget({}, server);
+        const link = widget.query('.notiphy-button-link');
+
+        expect(link.getAttribute('href')).toBe(new URL('/orders/1', document.baseURI).href);
+        expect(link.textContent).toBe('<i>Open</i>');
+    });
+});
+
+describe('renderers', () => {
+    it('uses the renderer for the notification type, then alertLevel, then default', async () => {
+        const renderers = {
+            order: (n) => Object.assign(document.createElement('span'), { className: 'order', textContent: n.title }),
+            error: '<span class="error">{{title}}</span>',
+            default: { toast: '<span class="default-toast">{{title}}</span>' },
+        };
+        const server = createFakeFetch({ notifications: [
+            notification('n1', { type: 'order', alertLevel: 'error' }),
+            notification('n2', { alertLevel: 'error' }),
+            notification('n3'),
+        ] });
+        const { widget } = await createWidget({ renderers }, server);
+        const content = (id) => widget.getInboxButton(id, 'notiphy-button-dismiss').closest('.notiphy-notification-element');
+
+        expect(content('n1').querySelector('.notiphy-notification-content').innerHTML).toBe('<span class="order">Title n1</span>');
+        expect(content('n2').querySelector('.notiphy-notification-content').innerHTML).toBe('<span class="error">Title n2</span>');
+        // "default" only renders toasts, so items keep the built-in markup.
+        expect(content('n3').querySelector('.notiphy-notification-content')).toBeNull();
+        expect(content('n3').querySelector('.notiphy-notification-header').textContent).toBe('Title n3');
+    });
+
+    it('keeps the read and dismiss wiring, and counts', async () => {
+        const renderers = { default: (n, { view }) => `<p class="custom">${view}</p>` };
+        const { widget } = await createWidget({ renderers }, createFakeFetch({ notifications: [notification('n1'), notification('n2')] }));
+        const item = inboxItems(widget)[0];
+
+        expect(item.classList.contains('notiphy-custom-render')).toBe(true);
+        expect(item.querySelector('.notiphy-notification-left, .notiphy-notification-header, .notiphy-notification-body')).toBeNull();
+        expect(item.querySelector('.custom').textContent).toBe('item');
+        expect(item.querySelector('.notiphy-notification-footer')).not.toBeNull();
+
+        await widget.markRead('n1');
+        expect(unreadCount(widget)).toBe(1);
+        await widget.dismiss('n2');
+        expect(inboxItems(widget)).toHaveLength(1);
+        expect(totalCount(widget)).toBe(1);
+    });
+
+    it('renders toasts, keeping the progress bar', async () => {
+        const renderers = { info: { toast: (n, { view }) => `<p class="custom">${view}</p>` } };
+        const { widget } = await createWidget({ renderers, toastAlert: true });
+        widget.handleNotification(notification('n1'));
+        const toast = widget.query('.notiphy-toast');
+
+        expect(toast.querySelector('.custom').textContent).toBe('toast');
+        expect(toast.querySelector('.progress')).not.toBeNull();
+        expect(toast.querySelector('.notiphy-button-dismiss').getAttribute('data-notification-id')).toBe('n1');
+    });
+
+    it('escapes template placeholders, and only fills in allowed action URLs', async () => {
+        const renderers = { default: '<a class="go" href="{{actionUrl}}">{{title}}</a><img src="{{data.avatar}}">' };
+        const server = createFakeFetch({ notifications: [
+            notification('n1', { title: '<b>x</b>', actionUrl: 'javascript:alert(1)', data: { avatar: '"><script>' } }),
+        ] });
+        const { widget } = await createWidget({ renderers }, server);
+        const item = inboxItems(widget)[0];
+
+        expect(item.querySelector('.go').textContent).toBe('<b>x</b>');
+        expect(item.querySelector('.go').getAttribute('href')).toBe('');
+        expect(item.querySelector('img').getAttribute('src')).toBe('"><script>');
+        expect(item.querySelector('script')).toBeNull();
+    });
+
+    it('navigates to data-action-url elements in custom markup', async () => {
+        const renderers = { default: '<button class="go" data-action-url="{{actionUrl}}">Open</button>' };
+        const server = createFakeFetch({ notifications: [notification('n1', { actionUrl: 'https://example.com/' })] });
+        const { widget } = await createWidget({ renderers }, server);
+        const navigate = vi.spyOn(widget, 'navigate').mockImplementation(() => {});
+        widget.query('.go').click();
+
+        expect(navigate).toHaveBeenCalledWith('https://example.com/');
+    });
+
+    it('falls back to the built-in markup when a renderer throws', async () => {
+        const renderers = { default: () => { throw new Error('oops'); } };
+        const { widget } = await createWidget({ renderers }, createFakeFetch({ notifications: [notification('n1')] }));
+
+        expect(inboxItems(widget)[0].querySelector('.notiphy-notification-header').textContent).toBe('Title n1');
+        expect(console.error).toHaveBeenCalled();
+    });
+});
+
+describe('actions', () => {
+    const actions = [
+        { id: 'approve', label: 'Approve', after: 'dismiss', style: 'primary' },
+        { id: 'snooze', label: 'Snooze', handler: 'snooze', after: 'read' },
+        { id: 'open', label: 'Open', url: 'https://example.com/orders/1' },
+        { id: 'evil', label: 'Evil', url: 'javascript:alert(1)' },
+    ];
+    const actionButton = (widget, id, actionId, root = widget.elements.center) =>
+        root.querySelector(`.notiphy-button-action[data-notification-id="${id}"][data-action-id="${actionId}"]`);
+
+    it('renders a button per action, leaving out disallowed URLs', async () => {
+        const { widget } = await createWidget({}, createFakeFetch({ notifications: [notification('n1', { actions })] }));
+        const buttons = inboxItems(widget)[0].querySelectorAll('.notiphy-button-action');
+
+        expect([...buttons].map((button) => button.textContent)).toEqual(['Approve', 'Snooze', 'Open']);
+        expect(buttons[0].classList.contains('notiphy-button-action-primary')).toBe(true);
+    });
+
+    it('posts to the service, then dismisses when asked to', async () => {
+        const { widget, server } = await createWidget({}, createFakeFetch({ notifications: [notification('n1', { actions })] }));
+        const done = vi.fn();
+        widget.on('action', done);
+        actionButton(widget, 'n1', 'approve').click();
+        await vi.waitFor(() => expect(done).toHaveBeenCalled());
+
+        expect(server.posted('/widget/notification/action')).toEqual([
+            { notificationId: 'n1', actionId: 'approve', subscriberId: 'acme', locationCode: 'store-1' },
+        ]);
+        expect(server.posted('/widget/notification/dismiss')).toHaveLength(1);
+        expect(inboxItems(widget)).toHaveLength(0);
+        expect(done.mock.calls[0][0]).toEqual({ id: 'n1', action: 'approve', result: { message: 'Action received.' } });
+    });
+
+    it('calls registered handlers, then marks read when asked to', async () => {
+        const { widget } = await createWidget({}, createFakeFetch({ notifications: [notification('n1', { actions })] }));
+        const snooze = vi.fn().mockResolvedValue({ minutes: 10 });
+        widget.registerActionHandler('snooze', snooze);
+
+        await expect(widget.runAction('n1', 'snooze')).resolves.toBe(true);
+        expect(snooze).toHaveBeenCalledWith(expect.objectContaining({ id: 'n1' }), expect.objectContaining({ id: 'snooze' }), widget);
+        expect(unreadCount(widget)).toBe(0);
+    });
+
+    it('skips the after step when a handler resolves false', async () => {
+        const { widget } = await createWidget(
+            { actionHandlers: { snooze: () => false } },
+            createFakeFetch({ notifications: [notification('n1', { actions })] }),
+        );
+
+        await expect(widget.runAction('n1', 'snooze')).resolves.toBe(false);
+        expect(unreadCount(widget)).toBe(1);
+    });
+
+    it('navigates for navigate actions', async () => {
+        const { widget } = await createWidget({}, createFakeFetch({ notifications: [notification('n1', { actions })] }));
+        const navigate = vi.spyOn(widget, 'navigate').mockImplementation(() => {});
+
+        await widget.runAction('n1', 'open');
+        expect(navigate).toHaveBeenCalledWith('https://example.com/orders/1');
+    });
+
+    it('reports failures as errors, and re-enables the button', async () => {
+        const { widget } = await createWidget({}, createFakeFetch({ notifications: [notification('n1', { actions })] }));
+        const errors = vi.fn();
+        widget.on('error', errors);
+
+        await expect(widget.runAction('n1', 'snooze')).resolves.toBe(false);
+        expect(errors.mock.calls[0][0]).toMatchObject({ type: 'action', id: 'n1' });
+        expect(actionButton(widget, 'n1', 'snooze').disabled).toBe(false);
+        expect(unreadCount(widget)).toBe(1);
+    });
+
+    it('can be canceled with before-action', async () => {
+        const { widget, server } = await createWidget({}, createFakeFetch({ notifications: [notification('n1', { actions })] }));
+        widget.on('before-action', (detail, event) => event.preventDefault());
+
+        await expect(widget.runAction('n1', 'approve')).resolves.toBe(false);
+        expect(server.posted('/widget/notification/action')).toHaveLength(0);
+    });
+
+    it('runs from a toast: closes it and applies the after step to the Inbox item', async () => {
+        const { widget, server } = await createWidget({ toastAlert: true, toastDuration: 60 });
+        widget.handleNotification(notification('n1', { actions }));
+        const toastButton = actionButton(widget, 'n1', 'approve', widget.elements.toaster);
+        expect(inboxItems(widget)).toHaveLength(0);
+
+        await widget.runAction(toastButton);
+
+        expect(server.posted('/widget/notification/dismiss')).toHaveLength(1);
+        expect(inboxItems(widget)).toHaveLength(0);
+        expect(totalCount(widget)).toBe(0);
+        expect(widget.query('.notiphy-toast').classList.contains('hide')).toBe(true);
+    });
+
+    it("removes the toast it ran from once it has faded, without waiting for the toast's own timers", async () => {
+        const { widget } = await createWidget({ toastAlert: true, toastDuration: 4 });
+        vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+        widget.handleNotification(notification('n1', { actions }));
+        await vi.advanceTimersByTimeAsync(10);
+
+        await widget.runAction(actionButton(widget, 'n1', 'approve', widget.elements.toaster));
+        await vi.advanceTimersByTimeAsync(300);
+        expect(widget.queryAll('.notiphy-toast')).toHaveLength(0);
+        expect(toastStyles()).toHaveLength(0);
+
+        await vi.advanceTimersByTimeAsync(5000);
+        expect(widget.queryAll('.notiphy-toast')).toHaveLength(0);
+    });
+});
+
+describe('markRead and dismissNotification', () => {
+    const notifications = () => [notification('n1'), notification('n2'), notification('n3', { read: true })];
+
+    it('marks read: decrements unread, posts to the server and tells other widgets', async () => {
+        const { widget, socket, server } = await createWidget({}, createFakeFetch({ notifications: notifications() }));
+
+        await expect(widget.markRead('n1')).resolves.toBe(true);
+
+        expect(unreadCount(widget)).toBe(1);
+        expect(totalCount(widget)).toBe(3);
+        expect(server.posted('/widget/notification/mark-read')).toEqual([{ notificationId: 'n1', subscriberId: 'acme' }]);
+        expect(socket.emitted).toContainEqual(['markReadNotification', 'n1']);
+        expect(storedNotifications().find((n) => n.id === 'n1').read).toBe(true);
+    });
+
+    it('does nothing when marking an already read notification', async () => {
+        const { widget, server } = await createWidget({}, createFakeFetch({ notifications: notifications() }));
+
+        await expect(widget.markRead('n3')).resolves.toBe(false);
+        expect(unreadCount(widget)).toBe(2);
+        expect(server.posted('/widget/notification/mark-read')).toHaveLength(0);
+    });
+
+    it('dismisses: removes the item and decrements total, and unread only if it was unread', async () => {
+        const { widget, socket } = await createWidget({}, createFakeFetch({ notifications: notifications() }));
+
+        await widget.dismiss('n1');
+        expect(inboxItems(widget)).toHaveLength(2);
+        expect(unreadCount(widget)).toBe(1);
+        expect(totalCount(widget)).toBe(2);
+        expect(socket.emitted).toContainEqual(['dismissNotification', 'n1']);
+
+        await widget.dismiss('n3');
+        expect(unreadCount(widget)).toBe(1);
+        expect(totalCount(widget)).toBe(1);
+        expect(storedNotifications().map((n) => n.id)).toEqual(['n2']);
+    });
+
+    it('marks all read, in one request', async () => {
+        const { widget, socket, server } = await createWidget({}, createFakeFetch({ notifications: notifications() }));
+
+        await expect(widget.markAllRead()).resolves.toEqual([true, true]);
+
+        expect(unreadCount(widget)).toBe(0);
+        expect(widget.queryAll('.notiphy-notification-center-body .notiphy-read')).toHaveLength(3);
+        expect(server.posted('/widget/notifications/mark-read')).toEqual([{ notificationIds: ['n1', 'n2'], subscriberId: 'acme' }]);
+        expect(server.posted('/widget/notification/mark-read')).toHaveLength(0);
+        expect(socket.emitted.filter(([event]) => event === 'markReadNotification')).toEqual([
+            ['markReadNotification', 'n1'], ['markReadNotification', 'n2'],
+        ]);
+    });
+
+    it('dismisses all, in one request', async () => {
+        const { widget, server } = await createWidget({}, createFakeFetch({ notifications: notifications() }));
+
+        const done = widget.dismissAllNotifications();
+        expect(inboxItems(widget)).toHaveLength(0);
+        await expect(done).resolves.toEqual([true, true, true]);
+        expect(server.posted('/widget/notifications/dismiss')).toEqual([
+            { notificationIds: ['n1', 'n2', 'n3'], subscriberId: 'acme', locationCode: 'store-1' },
+        ]);
+    });
+
+    it('marks read and dismisses snoozed notifications, which have no Inbox item', async () => {
+        const { widget, server } = await createWidget({}, createFakeFetch({ notifications: notifications() }));
+        await widget.snooze('n1', { minutes: 15 });
+        await widget.snooze('n2', { minutes: 15 });
+
+        await expect(widget.markRead('n1')).resolves.toBe(true);
+        expect(server.posted('/widget/notification/mark-read')).toEqual([{ notificationId: 'n1', subscriberId: 'acme' }]);
+        await expect(widget.dismiss('n2')).resolves.toBe(true);
+        expect(localStorage.getItem('notiphyWidgetSnoozed:acme:store-1')).toContain('"n1"');
+        expect(localStorage.getItem('notiphyWidgetSnoozed:acme:store-1')).not.toContain('"n2"');
+
+        await widget.unsnooze('n1');
+        expect(inboxItems(widget)).toHaveLength(2);
+        expect(unreadCount(widget)).toBe(0);
+    });
+
+    it('marks read and dismisses notifications still showing as a toast', async () => {
+        const { widget, socket, server } = await createWidget({ toastAlert: true });
+        vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+        await socket.serverEmit('notification', notification('n1'));
+        await socket.serverEmit('notification', notification('n2'));
+        await vi.advanceTimersByTimeAsync(10);
+
+        await expect(widget.markRead('n1')).resolves.toBe(true);
+        expect(server.posted('/widget/notification/mark-read')).toEqual([{ notificationId: 'n1', subscriberId: 'acme' }]);
+        await expect(widget.dismiss('n2')).resolves.toBe(true);
+        await vi.advanceTimersByTimeAsync(300); // Its toast fades out.
+        expect(widget.queryAll('.notiphy-toast')).toHaveLength(1);
+        expect(toastStyles()).toHaveLength(1);
+
+        await vi.advanceTimersByTimeAsync(5000); // n2 doesn't join the Inbox once its toast would have gone.
+        expect(inboxItems(widget)).toHaveLength(1);
+        expect(widget.getInboxItem('n2')).toBeFalsy();
+        expect(unreadCount(widget)).toBe(0);
+    });
+});
+
+describe('outbox', () => {
+    const notifications = () => [notification('n1'), notification('n2')];
+    const outbox = () => JSON.parse(sessionStorage.getItem('notiphyWidgetOutbox:acme:store-1'));
+
+    it('keeps a read while the service is unreachable, and sends it once back online', async () => {
+        const { widget, server } = await createWidget({}, createFakeFetch({ notifications: notifications() }));
+        server.fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+        const read = vi.fn();
+        widget.on('read', read);
+
+        const done = widget.markRead('n1');
+        await flush();
+        expect(unreadCount(widget)).toBe(1);
+        expect(outbox()).toMatchObject([{ type: 'read', ids: ['n1'], attempts: 1 }]);
+        expect(read).not.toHaveBeenCalled();
+
+        window.dispatchEvent(new Event('online'));
+        await expect(done).resolves.toBe(true);
+        expect(read).toHaveBeenCalledWith({ id: 'n1', remote: false }, expect.anything());
+        expect(outbox()).toBeNull();
+    });
+
+    it('retries server errors with backoff', async () => {
+        const { widget, server } = await createWidget({}, createFakeFetch({ notifications: notifications() }));
+        vi.useFakeTimers();
+        server.status = 503;
+
+        const done = widget.dismiss('n1');
+        await vi.advanceTimersByTimeAsync(0);
+        await vi.advanceTimersByTimeAsync(1000);
+        await vi.advanceTimersByTimeAsync(1999);
+        expect(server.posted('/widget/notification/dismiss')).toHaveLength(2);
+        expect(inboxItems(widget)).toHaveLength(1);
+
+        server.status = 200;
+        await vi.advanceTimersByTimeAsync(1);
+        await expect(done).resolves.toBe(true);
+        expect(server.posted('/widget/notification/dismiss')).toHaveLength(3);
+    });
+
+    it('queues one action per notification for a transport without batch requests, retrying only the one that failed', async () => {
+        const { widget, server } = await createWidget({}, createFakeFetch({ notifications: notifications() }));
+        widget.transport.markReadMany = undefined;
+        vi.useFakeTimers();
+        server.fetch.mockImplementationOnce(async () => new Response('{}', { status: 503 }));
+
+        const done = widget.markAllRead();
+        await vi.advanceTimersByTimeAsync(0);
+        expect(outbox()).toMatchObject([{ type: 'read', ids: ['n1'], attempts: 1 }, { type: 'read', ids: ['n2'], attempts: 0 }]);
+
+        await vi.advanceTimersByTimeAsync(1000);
+        await expect(done).resolves.toEqual([true, true]);
+        expect(server.posted('/widget/notification/mark-read').map((body) => body.notificationId)).toEqual(['n1', 'n1', 'n2']);
+    });
+
+    it('sends a batch queued before a reload one by one, skipping those already sent, for a transport without batch requests', async () => {
+        sessionStorage.setItem('notiphyWidgetOutbox:acme:store-1', JSON.stringify([
+            { id: 'a1', type: 'read', ids: ['n1', 'n2'], attempts: 1, sent: ['n1'] },
+        ]));
+        const transport = new NotiphyWidget.MockTransport({ notifications: notifications() });
+        transport.markReadMany = undefined;
+        const markRead = vi.spyOn(transport, 'markRead');
+        await createWidget({ transport });
+
+        await vi.waitFor(() => expect(outbox()).toBeNull());
+        expect(markRead.mock.calls.map(([id]) => id)).toEqual(['n2']);
+    });
+
+    it("undoes a read that failed with an error of the transport's own, rather than retrying it", async () => {
+        const transport = new NotiphyWidget.MockTransport({ notifications: notifications() });
+        vi.spyOn(transport, 'markRead').mockRejectedValue(new TypeError("Cannot read properties of undefined (reading 'id')"));
+        const { widget } = await createWidget({ transport });
+        await vi.waitFor(() => expect(inboxItems(widget)).toHaveLength(2));
+
+        await expect(widget.markRead('n1')).resolves.toBe(false);
+        expect(transport.markRead).toHaveBeenCalledTimes(1);
+        expect(unreadCount(widget)).toBe(2);
+        expect(outbox()).toBeNull();
+    });
+
+    it('undoes a rejected read or dismissal, and says so', async () => {
+        const { widget, server } = await createWidget({}, createFakeFetch({ notifications: notifications() }));
+        const errors = vi.fn();
+        widget.on('error', errors);
+        server.status = 404;
+
+        await expect(widget.markAllRead()).resolves.toEqual([false, false]);
+        expect(unreadCount(widget)).toBe(2);
+        expect(widget.query('.notiphy-banner').textContent).toContain("Couldn't mark 2 notifications as read.");
+        expect(errors).toHaveBeenCalledTimes(2);
+        expect(errors.mock.calls[0][0]).toMatchObject({ type: 'mark-read', id: 'n1' });
+
+        await expect(widget.dismiss('n2')).resolves.toBe(false);
+        expect(inboxItems(widget)).toHaveLength(2);
+        expect(widget.queryAll('.notiphy-banner')).toHaveLength(1);
+        expect(widget.query('.notiphy-banner').textContent).toContain("Couldn't dismiss a notification.");
+
+        widget.query('.notiphy-banner-close').click();
+        expect(widget.queryAll('.notiphy-banner')).toHaveLength(0);
+    });
+
+    it('sends what was left waiting before a reload, without the fetch undoing it', async () => {
+        sessionStorage.setItem('notiphyWidgetOutbox:acme:store-1', JSON.stringify([
+            { id: 'a1', type: 'read', ids: ['n1'], attempts: 2 },
+            { id: 'a2', type: 'dismiss', ids: ['n2'], attempts: 2, notifications: [notification('n2')] },
+        ]));
+        const { widget, server } = await createWidget({}, createFakeFetch({ notifications: notifications() }));
+
+        expect(inboxItems(widget)).toHaveLength(1);
+        expect(unreadCount(widget)).toBe(0);
+        await vi.waitFor(() => expect(outbox()).toBeNull());
+        expect(server.posted('/widget/notification/mark-read')).toEqual([{ notificationId: 'n1', subscriberId: 'acme' }]);
+        expect(server.posted('/widget/notification/dismiss')).toHaveLength(1);
+    });
+});
+
+describe('tabs and search', () => {
+    const notifications = () => createFakeFetch({ notifications: [
+        notification('n1', { alertLevel: 'error', title: 'Printer jammed', text: 'Tray 2.' }),
+        notification('n2', { alertLevel: 'error', title: 'Till offline', read: true }),
+        notification('n3', { alertLevel: 'success', title: 'Backup done', text: 'Printer config saved.' }),
+        notification('n4', { alertLevel: 'info', title: 'Shift starts' }),
+    ] });
+    const visibleIds = (widget) => inboxItems(widget)
+        .filter((element) => !element.classList.contains('notiphy-filtered-out'))
+        .map((element) => element.querySelector('.notiphy-button-dismiss').getAttribute('data-notification-id'))
+        .sort();
+    const tabs = (widget) => widget.queryAll('.notiphy-tab').map((tab) => tab.getAttribute('data-tab'));
+    const badge = (widget) => Number(widget.query('.notiphy-notification-count').textContent);
+
+    it('shows All, Unread and a tab per alertLevel in the Inbox', async () => {
+        const { widget } = await createWidget({}, notifications());
+
+        expect(tabs(widget)).toEqual(['all', 'unread', 'error', 'info', 'success']);
+        expect(widget.query('.notiphy-tab.active').getAttribute('data-tab')).toBe('all');
+        expect(visibleIds(widget)).toEqual(['n1', 'n2', 'n3', 'n4']);
+    });
+
+    it('filters by tab, with the stats following the filter', async () => {
+        const { widget } = await createWidget({}, notifications());
+
+        widget.query('.notiphy-tab[data-tab="error"]').click();
+        expect(visibleIds(widget)).toEqual(['n1', 'n2']);
+        expect(unreadCount(widget)).toBe(1);
+        expect(totalCount(widget)).toBe(2);
+        expect(badge(widget)).toBe(3);
+
+        widget.setFilter({ tab: 'unread' });
+        expect(visibleIds(widget)).toEqual(['n1', 'n3', 'n4']);
+        expect(totalCount(widget)).toBe(3);
+    });
+
+    it('searches titles and text, within the active tab', async () => {
+        const { widget } = await createWidget({}, notifications());
+        const search = widget.query('.notiphy-search');
+
+        search.value = 'PRINTER';
+        search.dispatchEvent(new Event('input'));
+        expect(visibleIds(widget)).toEqual(['n1', 'n3']);
+        expect(totalCount(widget)).toBe(2);
+
+        widget.setFilter({ tab: 'success' });
+        expect(visibleIds(widget)).toEqual(['n3']);
+
+        widget.setFilter({ tab: 'all', search: '' });
+        expect(search.value).toBe('');
+        expect(visibleIds(widget)).toEqual(['n1', 'n2', 'n3', 'n4']);
+        expect(unreadCount(widget)).toBe(3);
+        expect(totalCount(widget)).toBe(4);
+    });
+
+    it('keeps the filter applied as notifications arrive, are read and dismissed', async () => {
+        const { widget } = await createWidget({}, notifications());
+        widget.setFilter({ tab: 'unread' });
+
+        widget.handleNotification(notification('n5', { alertLevel: 'warning' }));
+        await flush();
+        expect(visibleIds(widget)).toEqual(['n1', 'n3', 'n4', 'n5']);
+        expect(tabs(widget)).toContain('warning');
+
+        await widget.markRead('n1');
+        expect(visibleIds(widget)).toEqual(['n3', 'n4', 'n5']);
+        expect(unreadCount(widget)).toBe(3);
+
+        await widget.dismiss('n3');
+        expect(visibleIds(widget)).toEqual(['n4', 'n5']);
+        expect(totalCount(widget)).toBe(2);
+        expect(badge(widget)).toBe(2);
+    });
+});
+
+describe('day sections and threads', () => {
+    const noon = new Date();
+    noon.setHours(12, 0, 0, 0);
+    const daysAgo = (days) => Math.floor(noon.getTime() / 1000) - days * 24 * 60 * 60;
+    const headers = (widget) => widget.queryAll('.notiphy-day-header').map((header) => header.textContent);
+    const threadIds = (thread) => Array.from(thread.querySelectorAll('.notiphy-notification-element'))
+        .map((element) => element.querySelector('.notiphy-button-dismiss').getAttribute('data-notification-id'));
+    const threads = (widget) => widget.queryAll('.notiphy-thread').map(threadIds);
+
+    it('sorts the Inbox into Today, Yesterday and older days, newest first', async () => {
+        const { widget } = await createWidget({}, createFakeFetch({ notifications: [
+            notification('n1', { _ts: daysAgo(10) }),
+            notification('n2', { _ts: daysAgo(0) }),
+            notification('n3', { _ts: daysAgo(1) }),
+            notification('n4', { _ts: daysAgo(0) - 60 }),
+        ] }));
+
+        const older = new Date(daysAgo(10) * 1000);
+        expect(headers(widget)).toEqual(['Today', 'Yesterday', widget.getDayLabel(widget.getDayKey(daysAgo(10)))]);
+        expect(headers(widget)[2]).toContain(older.getDate());
+        expect(threads(widget)).toEqual([['n2'], ['n4'], ['n3'], ['n1']]);
+    });
+
+    it('threads notifications sharing a groupKey or title under the newest, with a count', async () => {
+        const { widget } = await createWidget({}, createFakeFetch({ notifications: [
+            notification('n1', { groupKey: 'orders', title: 'Order #1', _ts: daysAgo(1) }),
+            notification('n2', { groupKey: 'orders', title: 'Order #2', _ts: daysAgo(0) }),
+            notification('n3', { title: 'Low stock', _ts: daysAgo(0) - 60 }),
+            notification('n4', { title: 'Low stock', _ts: daysAgo(0) - 120 }),
+            notification('n5', { title: 'Order #1', _ts: daysAgo(0) - 180 }),
+        ] }));
+
+        expect(headers(widget)).toEqual(['Today']);
+        expect(threads(widget)).toEqual([['n2', 'n1'], ['n3', 'n4'], ['n5']]);
+        const [orders] = widget.queryAll('.notiphy-thread');
+        expect(orders.querySelector('.notiphy-thread-head .notiphy-thread-toggle').textContent).toBe('2');
+        expect(widget.queryAll('.notiphy-thread-toggle')).toHaveLength(2);
+        expect(totalCount(widget)).toBe(5);
+
+        orders.querySelector('.notiphy-thread-toggle').click();
+        expect(orders.classList.contains('expanded')).toBe(true);
+    });
+
+    it('moves a thread to the top when a notification joins it', async () => {
+        const { widget } = await createWidget({}, createFakeFetch({ notifications: [
+            notification('n1', { groupKey: 'orders', _ts: daysAgo(1) }),
+            notification('n2', { _ts: daysAgo(1) - 60 }),
+        ] }));
+
+        widget.handleNotification(notification('n3', { groupKey: 'orders', _ts: NOW }));
+        await flush();
+        expect(headers(widget)).toEqual(['Today', 'Yesterday']);
+        expect(threads(widget)).toEqual([['n3', 'n1'], ['n2']]);
+
+        await widget.dismiss('n3');
+        expect(threads(widget)).toEqual([['n1'], ['n2']]);
+        expect(headers(widget)).toEqual(['Yesterday']);
+    });
+
+    it('marks read and dismisses a whole collapsed thread from its head', async () => {
+        const { widget, server } = await createWidget({}, createFakeFetch({ notifications: [
+            notification('n1', { groupKey: 'orders', _ts: daysAgo(0) - 60 }),
+            notification('n2', { groupKey: 'orders', _ts: daysAgo(0) }),
+            notification('n3', { groupKey: 'orders', _ts: daysAgo(0) - 120, read: true }),
+            notification('n4', { _ts: daysAgo(1) }),
+        ] }));
+        const head = () => widget.query('.notiphy-thread-head');
+
+        head().querySelector('.notiphy-button-mark-read').click();
+        expect(unreadCount(widget)).toBe(1);
+        await vi.waitFor(() => expect(server.posted('/widget/notifications/mark-read')).toHaveLength(1));
+        expect(server.posted('/widget/notifications/mark-read')[0].notificationIds.sort()).toEqual(['n1', 'n2']);
+
+        head().querySelector('.notiphy-button-dismiss').click();
+        expect(totalCount(widget)).toBe(1);
+        expect(threads(widget)).toEqual([['n4']]);
+        await vi.waitFor(() => expect(widget.outbox.actions).toHaveLength(0));
+    });
+
+    it('acts on a single notification when its thread is expanded', async () => {
+        const { widget } = await createWidget({}, createFakeFetch({ notifications: [
+            notification('n1', { groupKey: 'orders', _ts: daysAgo(0) - 60 }),
+            notification('n2', { groupKey: 'orders', _ts: daysAgo(0) }),
+        ] }));
+
+        widget.query('.notiphy-thread-toggle').click();
+        widget.query('.notiphy-thread-head .notiphy-button-dismiss').click();
+        await vi.waitFor(() => expect(totalCount(widget)).toBe(1));
+        expect(threads(widget)).toEqual([['n1']]);
+        expect(widget.queryAll('.notiphy-thread-toggle')).toHaveLength(0);
+    });
+
+    it('shows every match while filtering, and hides days without one', async () => {
+        const { widget } = await createWidget({}, createFakeFetch({ notifications: [
+            notification('n1', { groupKey: 'orders', title: 'Order for Ada', _ts: daysAgo(0) - 60 }),
+            notification('n2', { groupKey: 'orders', title: 'Order for Bob', _ts: daysAgo(0) }),
+            notification('n3', { title: 'Backup done', _ts: daysAgo(1) }),
+        ] }));
+        const body = widget.query('.notiphy-notification-center-body');
+        const hiddenDays = () => widget.queryAll('.notiphy-day-section.notiphy-filtered-out').map((section) => section.getAttribute('data-day'));
+
+        widget.setFilter({ search: 'ada' });
+        expect(body.classList.contains('notiphy-filtering')).toBe(true);
+        expect(hiddenDays(widget)).toEqual([widget.getDayKey(daysAgo(1))]);
+        expect(totalCount(widget)).toBe(1);
+
+        widget.setFilter({ search: '' });
+        expect(body.classList.contains('notiphy-filtering')).toBe(false);
+        expect(hiddenDays(widget)).toEqual([]);
+    });
+});
+
+describe('paging and virtualization', () => {
+    const ids = (widget) => inboxItems(widget).map((element) => element.getAttribute('data-id'));
+    const pages = (server) => server.fetch.mock.calls
+        .map(([url]) => new URL(url))
+        .filter((url) => url.pathname === '/widget/notifications')
+        .map((url) => ({ limit: url.searchParams.get('limit'), before: url.searchParams.get('before') }));
+
+    it('fetches the newest page first, and the next when the Inbox is scrolled to the bottom', async () => {
+        const server = createFakeFetch({ notifications: Array.from({ length: 5 }, (_, index) => notification(`n${index}`, { _ts: NOW - index * 60 })) });
+        const { widget } = await createWidget({ pageSize: 2 }, server);
+        const loadMore = widget.query('.notiphy-load-more');
+
+        expect(ids(widget)).toEqual(['n0', 'n1']);
+        expect(pages(server)).toEqual([{ limit: '2', before: null }]);
+        expect(loadMore.hidden).toBe(false);
+
+        widget.query('.notiphy-notification-center-body').dispatchEvent(new Event('scroll'));
+        await vi.waitFor(() => expect(ids(widget)).toEqual(['n0', 'n1', 'n2', 'n3']));
+        expect(pages(server)[1]).toEqual({ limit: '2', before: `${NOW - 60}` });
+        expect(totalCount(widget)).toBe(4);
+
+        loadMore.click();
+        await vi.waitFor(() => expect(ids(widget)).toHaveLength(5));
+        expect(loadMore.hidden).toBe(true);
+        expect(await widget.loadMore()).toBe(0);
+        expect(storedNotifications()).toHaveLength(5);
+        expect(sessionStorage.getItem('notiphyWidgetHasMore:acme:store-1')).toBe('false');
+    });
+
+    it('fetches everything at once with a pageSize of 0', async () => {
+        const server = createFakeFetch({ notifications: [notification('n1'), notification('n2')] });
+        const { widget } = await createWidget({ pageSize: 0 }, server);
+
+        expect(pages(server)).toEqual([{ limit: null, before: null }]);
+        expect(ids(widget)).toHaveLength(2);
+        expect(widget.query('.notiphy-load-more').hidden).toBe(true);
+    });
+
+    it('updates every timestamp from one shared timer', async () => {
+        const setInterval = vi.spyOn(globalThis, 'setInterval');
+        const { widget } = await createWidget({}, createFakeFetch({ notifications: [notification('n1'), notification('n2')] }));
+        const ticks = setInterval.mock.calls.filter(([, delay]) => delay === 5000);
+        expect(ticks).toHaveLength(1);
+
+        const footer = widget.query('.notiphy-notification-footer');
+        footer.setAttribute('data-ts', NOW - 3 * 60 * 60);
+        ticks[0][0]();
+        expect(footer.textContent).toBe(widget.getTimeElapsedString(NOW - 3 * 60 * 60));
+    });
+
+    it('only renders the items in and near view', async () => {
+        const notifications = Array.from({ length: 30 }, (_, index) => notification(`n${index}`, { _ts: NOW - index }));
+        const { widget } = await createWidget({}, createFakeFetch({ notifications }));
+        const body = widget.query('.notiphy-notification-center-body');
+        let scrollTop = 0;
+        // jsdom has no layout: lay the items out 80px apart, in a 400px high Inbox.
+        Object.defineProperty(body, 'clientHeight', { configurable: true, get: () => 400 });
+        vi.spyOn(Element.prototype, 'getBoundingClientRect').mockImplementation(function () {
+            if (this === body) {
+                return { top: 0, bottom: 400, height: 400 };
+            }
+            const top = inboxItems(widget).indexOf(this) * 80 - scrollTop;
+            return { top, bottom: top + 80, height: 80 };
+        });
+        const rendered = () => inboxItems(widget).filter((element) => element.childNodes.length).map((element) => element.getAttribute('data-id'));
+        const range = (from, to) => notifications.slice(from, to + 1).map(({ id }) => id);
+
+        widget.virtualizeInbox();
+        expect(rendered()).toEqual(range(0, 10));
+        expect(widget.query('[data-id="n20"]').style.height).toBe('80px');
+        expect(inboxItems(widget)).toHaveLength(30);
+
+        scrollTop = 1200;
+        body.dispatchEvent(new Event('scroll'));
+        await vi.waitFor(() => expect(rendered()).toEqual(range(9, 25)));
+        expect(widget.query('[data-id="n20"]').style.height).toBe('');
+
+        // Items out of view are rendered again when needed.
+        await widget.dismiss('n29');
+        expect(ids(widget)).not.toContain('n29');
+        expect(totalCount(widget)).toBe(29);
+    });
+});
+
+describe('snooze', () => {
+    const snoozedKey = 'notiphyWidgetSnoozed:acme:store-1';
+    const storedSnoozes = () => JSON.parse(localStorage.getItem(snoozedKey)) || {};
+    const twoNotifications = () => createFakeFetch({ notifications: [notification('n1'), notification('n2')] });
+
+    it('hides the item from the Inbox and the counts, and stores the wake-up time', async () => {
+        const { widget } = await createWidget({}, twoNotifications());
+        const until = Date.now() + 60 * 60 * 1000;
+
+        await expect(widget.snooze('n1', until)).resolves.toBe(true);
+
+        expect(inboxItems(widget)).toHaveLength(1);
+        expect(unreadCount(widget)).toBe(1);
+        expect(totalCount(widget)).toBe(1);
+        expect(storedSnoozes().n1).toMatchObject({ until, notification: { id: 'n1', title: 'Title n1' } });
+    });
+
+    it('snoozes from the item menu', async () => {
+        const { widget } = await createWidget({}, twoNotifications());
+        widget.getInboxButton('n1', 'notiphy-button-snooze').click();
+        const options = widget.queryAll('.notiphy-snooze-option');
+
+        expect(options.map((option) => option.textContent)).toEqual(['15 minutes', '1 hour', '3 hours', 'Tomorrow morning']);
+        options[1].click();
+        expect(storedSnoozes().n1.until).toBeGreaterThan(Date.now() + 59 * 60 * 1000);
+        expect(inboxItems(widget)).toHaveLength(1);
+    });
+
+    it('wakes with a toast and sound when due, then returns to the Inbox', async () => {
+        const { widget } = await createWidget({ toastDuration: 2 }, twoNotifications());
+        vi.useFakeTimers();
+        const ping = vi.spyOn(widget, 'playPingSound');
+        const wake = vi.fn();
+        widget.on('wake', wake);
+        await widget.snooze('n1', { minutes: 15 });
+
+        vi.advanceTimersByTime(15 * 60 * 1000);
+        expect(widget.query('.notiphy-toast [data-notification-id="n1"]')).not.toBeNull();
+        expect(ping).toHaveBeenCalled();
+        expect(storedSnoozes()).toEqual({});
+
+        vi.advanceTimersByTime(2000);
+        expect(inboxItems(widget)).toHaveLength(2);
+        expect(unreadCount(widget)).toBe(2);
+        expect(wake).toHaveBeenCalledWith({ id: 'n1', remote: false }, expect.anything());
+    });
+
+    it('stays snoozed across reloads', async () => {
+        const { widget } = await createWidget({}, twoNotifications());
+        await widget.snooze('n1', Date.now() + 60 * 60 * 1000);
+        widget.destroy();
+
+        const { widget: reloaded } = await createWidget({}, twoNotifications());
+        expect(inboxItems(reloaded)).toHaveLength(1);
+        expect(totalCount(reloaded)).toBe(1);
+    });
+
+    it('wakes snoozes that came due while the page was closed', async () => {
+        localStorage.setItem(snoozedKey, JSON.stringify({ n1: { until: Date.now() - 1000, notification: notification('n1') } }));
+        const { widget } = await createWidget({ toastDuration: 0 });
+        await flush();
+
+        expect(inboxItems(widget)).toHaveLength(1);
+        expect(storedNotifications().map((n) => n.id)).toEqual(['n1']);
+    });
+
+    it('follows snoozes made and woken in other tabs', async () => {
+        const { widget } = await createWidget({ toastDuration: 0 }, twoNotifications());
+        const snoozes = { n1: { until: Date.now() + 60000, notification: notification('n1') } };
+        // As the other tab does: write to localStorage, which fires a storage event here.
+        const storage = (oldValue, newValue) => {
+            if (newValue) {
+                localStorage.setItem(snoozedKey, JSON.stringify(newValue));
+            } else {
+                localStorage.removeItem(snoozedKey);
+            }
+            window.dispatchEvent(new StorageEvent('storage', {
+                key: snoozedKey,
+                oldValue: oldValue && JSON.stringify(oldValue),
+                newValue: newValue && JSON.stringify(newValue),
+            }));
+        };
+
+        storage(null, snoozes);
+        expect(inboxItems(widget)).toHaveLength(1);
+        expect(unreadCount(widget)).toBe(1);
+
+        storage({ n1: { ...snoozes.n1, until: Date.now() - 1 } }, null);
+        expect(widget.query('.notiphy-toast [data-notification-id="n1"]')).not.toBeNull();
+        await flush();
+        expect(inboxItems(widget)).toHaveLength(2);
+    });
+
+    it('can be ended early', async () => {
+        const { widget } = await createWidget({}, twoNotifications());
+        await widget.snooze('n1', { minutes: 15 });
+
+        await expect(widget.unsnooze('n1')).resolves.toBe(true);
+        expect(inboxItems(widget)).toHaveLength(2);
+        expect(widget.queryAll('.notiphy-toast')).toHaveLength(0);
+        expect(storedSnoozes()).toEqual({});
+    });
+
+    it('is dropped when the notification is dismissed elsewhere', async () => {
+        const { widget, socket } = await createWidget({}, twoNotifications());
+        await widget.snooze('n1', { minutes: 15 });
+        await socket.serverEmit('dismiss', 'n1');
+
+        expect(storedSnoozes()).toEqual({});
+        expect(widget.snoozeTimers.size).toBe(0);
+    });
+
+    it('works out wake-up times from snooze options', async () => {
+        const { widget } = await createWidget();
+        vi.useFakeTimers({ now: new Date(2024, 5, 1, 20, 0) });
+
+        expect(widget.getSnoozeUntil({ minutes: 15 })).toBe(new Date(2024, 5, 1, 20, 15).getTime());
+        expect(widget.getSnoozeUntil({ at: '09:00', days: 1 })).toBe(new Date(2024, 5, 2, 9, 0).getTime());
+        expect(widget.getSnoozeUntil({ at: '21:30' })).toBe(new Date(2024, 5, 1, 21, 30).getTime());
+        expect(widget.getSnoozeUntil({ at: '08:00' })).toBe(new Date(2024, 5, 2, 8, 0).getTime());
+        expect(widget.getSnoozeUntil('soon')).toBeNull();
+    });
+
+    it('rejects times in the past, and unknown notifications', async () => {
+        const { widget } = await createWidget({}, twoNotifications());
+
+        await expect(widget.snooze('n1', Date.now() - 1000)).resolves.toBe(false);
+        await expect(widget.snooze('missing', { minutes: 5 })).resolves.toBe(false);
+        expect(inboxItems(widget)).toHaveLength(2);
+    });
+});
+
+describe('cross-tab sync', () => {
+    it('marks a notification read when another widget did, counting it once', async () => {
+        const { widget, socket } = await createWidget({}, createFakeFetch({ notifications: [notification('n1'), notification('n2')] }));
+        const read = vi.fn();
+        widget.on('read', read);
+
+        await socket.serverEmit('mark-read', 'n1');
+        await socket.serverEmit('mark-read', 'n1');
+
+        expect(unreadCount(widget)).toBe(1);
+        expect(widget.getInboxButton('n1', 'notiphy-button-mark-read').classList.contains('open')).toBe(true);
+        expect(storedNotifications().find((n) => n.id === 'n1').read).toBe(true);
+        expect(read).toHaveBeenCalledTimes(1);
+        expect(read).toHaveBeenCalledWith({ id: 'n1', remote: true }, expect.anything());
+    });
+
+    it('removes a notification when another widget dismissed it', async () => {
+        const { widget, socket } = await createWidget({}, createFakeFetch({ notifications: [notification('n1'), notification('n2')] }));
+
+        await socket.serverEmit('dismiss', 'n1');
+        await socket.serverEmit('dismiss', 'unknown');
+
+        expect(inboxItems(widget)).toHaveLength(1);
+        expect(unreadCount(widget)).toBe(1);
+        expect(totalCount(widget)).toBe(1);
+        expect(storedNotifications().map((n) => n.id)).toEqual(['n2']);
+    });
+});
+
+describe('settings', () => {
+    it('persists user preferences between widgets', async () => {
+        const { widget } = await createWidget();
+        widget.toggleAudioAlert();
+        widget.toggleToastAlert();
+        widget.changeToastPosition();
+        widget.destroy();
+
+        const { widget: reloaded } = await createWidget();
+        expect(reloaded.config.audioAlert).toBe(true);
+        expect(reloaded.config.toastAlert).toBe(true);
+        expect(reloaded.config.toastPosition).toBe('bottom-center');
+    });
+
+    it('always takes everything else from the config passed in', async () => {
+        localStorage.setItem('notiphySettings:acme:store-1', JSON.stringify({ widgetTitle: 'Stale', audioAlert: true }));
+        const { widget } = await createWidget({ widgetTitle: 'Fresh' });
+
+        expect(widget.config.widgetTitle).toBe('Fresh');
+        expect(widget.config.audioAlert).toBe(true);
+    });
+
+    it('keeps settings separate per location', async () => {
+        const { widget } = await createWidget();
+        widget.toggleAudioAlert();
+        widget.destroy();
+
+        const { widget: other } = await createWidget({ locationId: 'store-2' });
+        expect(other.config.audioAlert).toBe(false);
+    });
+});
+
+describe('getTimeElapsedString', () => {
+    it.each([
+        [5, 'Right now'],
+        [12, '10 seconds ago'],
+        [50, 'Less than a minute ago'],
+        [90, 'A minute ago'],
+        [180, 'A few minutes ago'],
+        [25 * 60, '25 minutes ago'],
+        [90 * 60, 'An hour ago'],
+        [5 * 3600, '5 hours ago'],
+    ])('%i seconds ago is "%s"', async (secondsAgo, expected) => {
+        const { widget } = await createWidget();
+        vi.useFakeTimers({ now: new Date('2024-06-01T23:00:00Z') });
+        const timestamp = Math.floor(Date.now() / 1000) - secondsAgo;
+
+        expect(widget.getTimeElapsedString(timestamp)).toBe(expected);
+    });
+
+    it('falls back to the full date after a day', async () => {
+        const { widget } = await createWidget();
+        const timestamp = Math.floor(Date.now() / 1000) - 3 * 24 * 3600;
+
+        expect(widget.getTimeElapsedString(timestamp)).toBe(new Date(timestamp * 1000).toLocaleString());
+    });
+});
+
+describe('tabs', () => {
+    it('connects one socket, and passes what it receives on to the other tabs', async () => {
+        const server = createFakeFetch();
+        const leader = await createWidget({ audioAlert: true }, server);
+        const follower = await createWidget({ audioAlert: true }, server);
+        const played = [];
+        vi.stubGlobal('Audio', class {
+            constructor(src) {
+                this.src = src;
+            }
+            play() {
+                played.push(this.src);
+                return Promise.resolve();
+            }
+        });
+
+        expect(leader.socket).toBeDefined();
+        expect(follower.socket).toBeUndefined();
+        expect(leader.widget.isLeader()).toBe(true);
+        expect(follower.widget.isLeader()).toBe(false);
+
+        await leader.socket.connect();
+        await leader.socket.serverEmit('notification', notification('n1'));
+
+        // BroadcastChannel messages arrive asynchronously.
+        await vi.waitFor(() => expect(inboxItems(follower.widget)).toHaveLength(1));
+        expect(inboxItems(leader.widget)).toHaveLength(1);
+        expect(played).toHaveLength(1); // One pop, from the leading tab.
+        expect(follower.widget.query('.notiphy-notification-center-connection').textContent).toBe('Online: store-1');
+    });
+
+    it('shares reads and dismissals made in any tab, and announces them through the leading tab', async () => {
+        const server = createFakeFetch({ notifications: [notification('n1'), notification('n2')] });
+        const leader = await createWidget({}, server);
+        const follower = await createWidget({}, server);
+        await leader.socket.connect();
+
+        await follower.widget.markRead('n1');
+        await follower.widget.dismiss('n2');
+
+        await vi.waitFor(() => expect(leader.widget.store.has('n2')).toBe(false));
+        expect(leader.widget.store.get('n1').read).toBe(true);
+        expect(leader.socket.emitted).toContainEqual(['markReadNotification', 'n1']);
+        expect(leader.socket.emitted).toContainEqual(['dismissNotification', 'n2']);
+
+        await leader.socket.serverEmit('mark-read', 'n3');
+        await leader.widget.markRead('n1');
+        expect(leader.socket.emitted.filter(([event]) => event === 'markReadNotification')).toHaveLength(1);
+    });
+
+    it('hands the socket over to another tab when the leading one closes', async () => {
+        const server = createFakeFetch();
+        const leader = await createWidget({}, server);
+        const follower = await createWidget({}, server);
+        const io = createFakeIo();
+        follower.widget.transport.config.io = io;
+
+        leader.widget.destroy();
+
+        await vi.waitFor(() => expect(follower.widget.isLeader()).toBe(true));
+        expect(io.socket).toBeDefined();
+        await io.socket.connect();
+        await io.socket.serverEmit('notification', notification('n1'));
+        await flush();
+        expect(inboxItems(follower.widget)).toHaveLength(1);
+    });
+
+    it('connects every widget with tabSync off', async () => {
+        const server = createFakeFetch();
+        const first = await createWidget({ tabSync: false }, server);
+        const second = await createWidget({ tabSync: false }, server);
+
+        expect(first.socket).toBeDefined();
+        expect(second.socket).toBeDefined();
+        expect(second.widget.isLeader()).toBe(true);
+    });
+});
+
+describe('connection', () => {
+    const connection = (widget) => widget.query('.notiphy-notification-center-connection').textContent;
+
+    it('reconnects with growing delays after losing the connection', async () => {
+        const { widget, socket } = await createWidget();
+        expect(connection(widget)).toBe('Connecting…');
+        await socket.connect();
+        await flush();
+        expect(connection(widget)).toBe('Online: store-1');
+
+        vi.spyOn(Math, 'random').mockReturnValue(1); // The longest delay, no jitter.
+        vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+        const connect = vi.spyOn(socket, 'connect').mockImplementation(() => {});
+        socket.connected = false;
+        await socket.serverEmit('disconnect', 'transport close');
+        expect(connection(widget)).toBe('Reconnecting…');
+
+        vi.advanceTimersByTime(999);
+        expect(connect).not.toHaveBeenCalled();
+        vi.advanceTimersByTime(1);
+        expect(connect).toHaveBeenCalledTimes(1);
+
+        await socket.serverEmit('connect_error', new Error('xhr poll error'));
+        vi.advanceTimersByTime(1999);
+        expect(connect).toHaveBeenCalledTimes(1);
+        vi.advanceTimersByTime(1);
+        expect(connect).toHaveBeenCalledTimes(2);
+
+        vi.useRealTimers();
+        connect.mockRestore();
+        await socket.connect();
+        await flush();
+        expect(connection(widget)).toBe('Online: store-1');
+        expect(widget.reconnectAttempts).toBe(0);
+    });
+
+    it('stops trying when the service refuses the connection', async () => {
+        const { widget, socket } = await createWidget();
+        const errors = vi.fn();
+        widget.on('error', errors);
+
+        await socket.serverEmit('connect_error', Object.assign(new Error('Unauthorized'), { data: { status: 401 } }));
+
+        expect(connection(widget)).toBe('Authentication failed');
+        expect(widget.connectionState).toBe('auth-failed');
+        expect(widget.reconnectTimer).toBeNull();
+        expect(errors.mock.calls[0][0].type).toBe('connection');
+    });
+
+    it('stays offline when disconnected from the Inbox, until connected again', async () => {
+        const { widget, socket } = await createWidget();
+        await socket.connect();
+
+        widget.toggleConnection();
+        await flush();
+        expect(socket.connected).toBe(false);
+        expect(connection(widget)).toBe('Offline');
+        expect(widget.reconnectTimer).toBeNull();
+
+        widget.toggleConnection();
+        await flush();
+        expect(socket.connected).toBe(true);
+        expect(connection(widget)).toBe('Online: store-1');
+    });
+
+    it('fetches once on the first connection, leaving it to the initial fetch', async () => {
+        const { widget, socket, server } = await createWidget();
+        await socket.connect();
+        await flush();
+
+        expect(widget.connectionState).toBe('online');
+        const fetches = server.fetch.mock.calls.filter(([url]) => new URL(url).pathname === '/widget/notifications');
+        expect(fetches).toHaveLength(1);
+    });
+
+    it('catches up on what it missed when it reconnects, without repeating what was shown', async () => {
+        const server = createFakeFetch({ notifications: [notification('n1')] });
+        const { widget, socket } = await createWidget({}, server);
+        await socket.connect();
+        await flush();
+        const received = vi.fn();
+        widget.on('notification', received);
+
+        socket.connected = false;
+        await socket.serverEmit('disconnect', 'transport close');
+        server.notifications = [
+            notification('n1'),
+            notification('n2', { _ts: NOW + 20 }),
+            notification('n3', { _ts: NOW + 10 }),
+            notification('n4', { _ts: NOW + 5, read: true }),
+        ];
+        await socket.connect();
+
+        await vi.waitFor(() => expect(inboxItems(widget)).toHaveLength(4));
+        expect(received.mock.calls.map(([detail]) => detail.id)).toEqual(['n3', 'n2']);
+        expect(connection(widget)).toBe('Online: store-1');
+    });
+});
+
+describe('realtime fallback', () => {
+    const mode = (widget) => widget.query('.notiphy-notification-center-mode');
+
+    it('falls back to Server-Sent Events when WebSockets keep failing', async () => {
+        vi.stubGlobal('EventSource', FakeEventSource);
+        FakeEventSource.last = null;
+        const { widget, socket } = await createWidget({ widgetKey: null, getToken: async () => 't1' });
+        vi.spyOn(socket, 'connect').mockImplementation(() => {}); // Blocked.
+
+        await socket.serverEmit('connect_error', new Error('websocket error'));
+        widget.reconnectNow();
+        await socket.serverEmit('connect_error', new Error('websocket error'));
+        widget.reconnectNow();
+
+        await vi.waitFor(() => expect(FakeEventSource.last).not.toBeNull());
+        const eventSource = FakeEventSource.last;
+        expect(eventSource.url).toBe('https://app.notiphy.me/widget/notifications/stream?subscriberId=acme&locationId=store-1&token=t1');
+        eventSource.serverEmit('open');
+        await vi.waitFor(() => expect(widget.connectionState).toBe('online'));
+        expect(mode(widget).hidden).toBe(false);
+        expect(mode(widget).textContent).toBe('Server-Sent Events');
+
+        eventSource.serverEmit('notification', notification('n1'));
+        await flush();
+        expect(inboxItems(widget)).toHaveLength(1);
+    });
+
+    it('polls rather than put the widgetKey in an event stream URL', async () => {
+        vi.stubGlobal('EventSource', FakeEventSource);
+        FakeEventSource.last = null;
+        const { widget, socket } = await createWidget();
+        vi.spyOn(socket, 'connect').mockImplementation(() => {}); // Blocked.
+        expect(widget.transport.modes()).toEqual(['websocket', 'polling']);
+
+        await socket.serverEmit('connect_error', new Error('websocket error'));
+        widget.reconnectNow();
+        await socket.serverEmit('connect_error', new Error('websocket error'));
+        widget.reconnectNow();
+
+        await vi.waitFor(() => expect(widget.connectionState).toBe('online'));
+        expect(mode(widget).textContent).toBe('Polling');
+        expect(FakeEventSource.last).toBeNull();
+
+        const { widget: sseWidget } = await createWidget({ realtime: 'sse', locationId: 'store-2', tabSync: false });
+        expect(sseWidget.transport.modes()).toEqual(['polling']);
+    });
+
+    it('skips a malformed event from the stream, and keeps going', async () => {
+        vi.stubGlobal('EventSource', FakeEventSource);
+        const { widget } = await createWidget({ realtime: 'sse', widgetKey: null, getToken: async () => 't1' });
+        await vi.waitFor(() => expect(FakeEventSource.last.url).toContain('token=t1'));
+        const eventSource = FakeEventSource.last;
+        eventSource.serverEmit('open');
+        await vi.waitFor(() => expect(widget.connectionState).toBe('online'));
+
+        eventSource.serverEmitRaw('notification', '{"id": "n1", "title": ');
+        eventSource.serverEmit('notification', notification('n2'));
+        await flush();
+
+        expect(inboxItems(widget)).toHaveLength(1);
+        expect(widget.connectionState).toBe('online');
+        expect(console.error).toHaveBeenCalledWith('Ignoring a malformed "notification" event from the event stream:', expect.any(SyntaxError));
+    });
+
+    it('keeps to WebSockets when they have worked before', async () => {
+        vi.stubGlobal('EventSource', FakeEventSource);
+        FakeEventSource.last = null;
+        const { widget, socket } = await createWidget();
+        await socket.connect();
+        socket.connected = false;
+        vi.spyOn(socket, 'connect').mockImplementation(() => {});
+
+        await socket.serverEmit('connect_error', new Error('websocket error'));
+        widget.reconnectNow();
+        await socket.serverEmit('connect_error', new Error('websocket error'));
+        widget.reconnectNow();
+
+        expect(FakeEventSource.last).toBeNull();
+        expect(widget.transport.mode).toBe('websocket');
+    });
+
+    it('polls for changes, more often while there are some', async () => {
+        vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+        const server = createFakeFetch({ notifications: [notification('n1')] });
+        const created = createWidget({ realtime: 'polling' }, server);
+        await vi.advanceTimersByTimeAsync(0);
+        const { widget } = await created;
+        await vi.advanceTimersByTimeAsync(0);
+        expect(widget.connectionState).toBe('online');
+        expect(mode(widget).textContent).toBe('Polling');
+        const received = vi.fn();
+        widget.on('notification', received);
+        const polls = () => server.fetch.mock.calls.filter(([url]) => url.includes('/widget/notifications?')).length;
+        const before = polls();
+
+        server.notifications = [notification('n1', { read: true }), notification('n2')];
+        await vi.advanceTimersByTimeAsync(5000);
+        expect(polls()).toBe(before + 1);
+        await vi.advanceTimersByTimeAsync(1);
+        expect(received.mock.calls.map(([detail]) => detail.id)).toEqual(['n2']);
+        expect(widget.store.get('n1').read).toBe(true);
+
+        // Nothing new: the next poll is 5s after that one, then 10s.
+        server.notifications = [];
+        await vi.advanceTimersByTimeAsync(5000);
+        expect(polls()).toBe(before + 2);
+        await vi.advanceTimersByTimeAsync(9990);
+        expect(polls()).toBe(before + 2);
+        await vi.advanceTimersByTimeAsync(20);
+        expect(polls()).toBe(before + 3);
+    });
+});
+
+describe('authentication', () => {
+    const tokenSequence = () => {
+        let count = 0;
+        return vi.fn(async () => ({ token: `t${++count}`, expiresAt: Date.now() + 60 * 60000 }));
+    };
+    const headersOf = ([, options]) => options.headers;
+
+    it('sends a token from getToken instead of the widgetKey, in requests and the socket handshake', async () => {
+        const getToken = tokenSequence();
+        const { socket, server } = await createWidget({ widgetKey: null, getToken });
+
+        const headers = headersOf(server.fetch.mock.calls[0]);
+        expect(headers['Authorization']).toBe('Bearer t1');
+        expect(headers['x-api-key']).toBeUndefined();
+
+        const auth = await new Promise((resolve) => socket.options.auth(resolve));
+        expect(auth).toEqual({ token: 't1' });
+        expect(getToken).toHaveBeenCalledTimes(1);
+    });
+
+    it('gets a new token when one is refused, and sends the request again', async () => {
+        const getToken = tokenSequence();
+        const server = createFakeFetch({ notifications: [notification('n1')] });
+        server.fetch.mockImplementationOnce(async () => new Response('{}', { status: 401 }));
+        const { widget } = await createWidget({ widgetKey: null, getToken }, server);
+        await vi.waitFor(() => expect(inboxItems(widget)).toHaveLength(1));
+
+        expect(server.fetch.mock.calls.map((call) => headersOf(call)['Authorization'])).toEqual(['Bearer t1', 'Bearer t2']);
+    });
+
+    it('stops renewing the token when destroyed while getToken is pending', async () => {
+        vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+        let resolve;
+        const getToken = vi.fn(() => new Promise((done) => (resolve = done)));
+        const created = createWidget({ widgetKey: null, getToken });
+        await vi.advanceTimersByTimeAsync(0);
+        const { widget } = await created;
+
+        widget.destroy();
+        resolve({ token: 't1', expiresAt: Date.now() + 60000 });
+        await vi.advanceTimersByTimeAsync(60000);
+        expect(getToken).toHaveBeenCalledTimes(1);
+    });
+
+    it('tries a refused handshake once more with a new token', async () => {
+        const getToken = tokenSequence();
+        const { widget, socket } = await createWidget({ widgetKey: null, getToken });
+        const connect = vi.spyOn(socket, 'connect').mockImplementation(() => {});
+        const refused = () => Object.assign(new Error('Unauthorized'), { data: { status: 401 } });
+
+        await socket.serverEmit('connect_error', refused());
+        await vi.waitFor(() => expect(connect).toHaveBeenCalledTimes(1));
+        expect(getToken).toHaveBeenCalledTimes(2);
+        expect(widget.connectionState).toBe('connecting');
+
+        await socket.serverEmit('connect_error', refused());
+        expect(widget.connectionState).toBe('auth-failed');
+    });
+});
+
+describe('errors', () => {
+    const banners = (widget) => widget.queryAll('.notiphy-banner').map((banner) => banner.getAttribute('data-banner'));
+    const bannerText = (widget) => widget.query('.notiphy-banner-text').textContent;
+
+    it('shows a banner when the key is refused, without a made-up notification or giving up on the socket', async () => {
+        const server = createFakeFetch({ status: 401 });
+        const errors = vi.fn();
+        const { widget, socket } = await createWidget({ audioReminder: true }, server);
+        widget.on('error', errors);
+        await widget.refresh();
+
+        expect(banners(widget)).toEqual(['auth']);
+        expect(bannerText(widget)).toContain('refused');
+        expect(inboxItems(widget)).toHaveLength(0);
+        expect(storedNotifications()).toBeNull();
+        expect(widget.config.audioReminder).toBe(true);
+        expect(socket.connected).toBe(false);
+        expect(errors).toHaveBeenCalledWith(expect.objectContaining({ type: 'fetch', kind: 'auth', retryIn: null }), expect.anything());
+        expect(widget.fetchRetryTimer).toBeNull();
+    });
+
+    it('tries again after a server error, and clears the banner once it works', async () => {
+        vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+        const server = createFakeFetch({ notifications: [notification('n1')], status: 503 });
+        const created = createWidget({}, server);
+        await vi.advanceTimersByTimeAsync(0);
+        const { widget } = await created;
+
+        expect(banners(widget)).toEqual(['server']);
+        expect(bannerText(widget)).toBe('The notification service is having trouble. Trying again in 2s.');
+
+        await vi.advanceTimersByTimeAsync(2000);
+        expect(bannerText(widget)).toBe('The notification service is having trouble. Trying again in 4s.');
+
+        server.status = 200;
+        await vi.advanceTimersByTimeAsync(4000);
+        expect(banners(widget)).toEqual([]);
+        expect(inboxItems(widget)).toHaveLength(1);
+    });
+
+    it('waits as long as the service asks when rate limited', async () => {
+        const server = createFakeFetch();
+        const { widget } = await createWidget({}, server);
+        server.fetch.mockImplementationOnce(async () => new Response('{}', { status: 429, headers: { 'Retry-After': '30' } }));
+        await widget.refresh();
+
+        expect(banners(widget)).toEqual(['rate-limit']);
+        expect(bannerText(widget)).toBe('Too many requests to the notification service. Trying again in 30s.');
+    });
+
+    it('says when the network is down, and refreshes as soon as it is back', async () => {
+        const server = createFakeFetch({ notifications: [notification('n1')] });
+        const { widget } = await createWidget({}, server);
+        server.fetch.mockImplementationOnce(async () => {
+            throw new TypeError('Failed to fetch');
+        });
+        await widget.refresh();
+        expect(banners(widget)).toEqual(['offline']);
+        const fetches = server.fetch.mock.calls.length;
+
+        window.dispatchEvent(new Event('online'));
+        await vi.waitFor(() => expect(banners(widget)).toEqual([]));
+        expect(server.fetch.mock.calls.length).toBe(fetches + 1);
+    });
+
+    it('drops the error notification earlier versions stored', async () => {
+        sessionStorage.setItem('notiphyWidgetNotifications:acme:store-1', JSON.stringify([
+            { id: 0, title: 'Notiphy.me API Key Error', text: 'The Notiphy.me API key provided is invalid.', alertLevel: 'error', read: false, _ts: NOW },
+            notification('n1'),
+        ]));
+        const { widget } = await createWidget();
+
+        expect(widget.store.has(0)).toBe(false);
+        expect(inboxItems(widget)).toHaveLength(1);
+    });
+});
+
+describe('desktop notifications', () => {
+    class FakeNotification {
+        static permission = 'default';
+        static answer = 'granted';         // What the user picks when asked.
+        static requestPermission = vi.fn(async () => (FakeNotification.permission = FakeNotification.answer));
+        static shown = [];
+
+        constructor(title, options) {
+            this.title = title;
+            this.options = options;
+            this.close = vi.fn();
+            FakeNotification.shown.push(this);
+        }
+    }
+
+    const toggle = async (widget) => {
+        widget.query('.notiphy-desktop-alert-item').click();
+        await flush();
+    };
+    const hidePage = () => vi.spyOn(document, 'hidden', 'get').mockReturnValue(true);
+
+    beforeEach(() => {
+        Object.assign(FakeNotification, { permission: 'default', answer: 'granted', shown: [] });
+        FakeNotification.requestPermission.mockClear();
+        vi.stubGlobal('Notification', FakeNotification);
+    });
+
+    afterEach(() => {
+        delete navigator.serviceWorker;
+        delete window.PushManager;
+    });
+
+    it('asks for permission from the settings, then shows new notifications while the page is hidden', async () => {
+        const { widget, socket } = await createWidget();
+        expect(widget.query('.notiphy-desktop-alert-item').hidden).toBe(false);
+        await toggle(widget);
+
+        expect(FakeNotification.requestPermission).toHaveBeenCalledTimes(1);
+        expect(widget.config.desktopAlert).toBe(true);
+        expect(widget.query('.notiphy-button-desktop-alert').classList.contains('notiphy-enabled')).toBe(true);
+        expect(JSON.parse(localStorage.getItem('notiphySettings:acme:store-1')).desktopAlert).toBe(true);
+
+        await socket.serverEmit('notification', notification('visible'));
+        expect(FakeNotification.shown).toHaveLength(0);
+
+        hidePage();
+        await socket.serverEmit('notification', notification('n1', { alertLevel: 'blocker' }));
+        expect(FakeNotification.shown).toHaveLength(1);
+        expect(FakeNotification.shown[0].title).toBe('Title n1');
+        expect(FakeNotification.shown[0].options).toMatchObject({ body: 'Text n1', tag: 'notiphy-n1', requireInteraction: true });
+    });
+
+    it('stays off, and says why, when permission is refused', async () => {
+        FakeNotification.answer = 'denied';
+        const { widget, socket } = await createWidget();
+        await toggle(widget);
+
+        expect(widget.config.desktopAlert).toBe(false);
+        expect(widget.query('.notiphy-banner').getAttribute('data-banner')).toBe('desktop-alert');
+
+        hidePage();
+        await socket.serverEmit('notification', notification('n1'));
+        expect(FakeNotification.shown).toHaveLength(0);
+    });
+
+    it("follows the notification's actionUrl when clicked, or opens the Inbox", async () => {
+        FakeNotification.permission = 'granted';
+        const { widget, socket } = await createWidget({ desktopAlert: true });
+        const navigate = vi.spyOn(widget, 'navigate').mockImplementation(() => {});
+        vi.spyOn(window, 'focus').mockImplementation(() => {});
+        hidePage();
+        await socket.serverEmit('notification', notification('n1', { actionUrl: 'https://example.com/orders/1' }));
+        await socket.serverEmit('notification', notification('n2', { actionUrl: 'javascript:alert(1)' }));
+
+        FakeNotification.shown[0].onclick();
+        expect(navigate).toHaveBeenCalledWith('https://example.com/orders/1');
+        expect(FakeNotification.shown[0].close).toHaveBeenCalled();
+
+        FakeNotification.shown[1].onclick();
+        expect(navigate).toHaveBeenCalledTimes(1);
+        expect(widget.isOpen()).toBe(true);
+    });
+
+    it('leaves the Inbox open when a notification is clicked while it already is', async () => {
+        FakeNotification.permission = 'granted';
+        const { widget, socket } = await createWidget({ desktopAlert: true });
+        vi.spyOn(window, 'focus').mockImplementation(() => {});
+        await widget.open();
+        hidePage();
+        await socket.serverEmit('notification', notification('n1'));
+
+        FakeNotification.shown[0].onclick();
+        expect(widget.isOpen()).toBe(true);
+    });
+
+    it('subscribes the service worker to push, and shows notifications through it', async () => {
+        const subscription = { endpoint: 'https://push.example/1', toJSON: () => ({ endpoint: 'https://push.example/1', keys: {} }), unsubscribe: vi.fn(async () => true) };
+        const registration = {
+            pushManager: { getSubscription: vi.fn(async () => null), subscribe: vi.fn(async () => subscription) },
+            showNotification: vi.fn(async () => {}),
+        };
+        Object.defineProperty(navigator, 'serviceWorker', { configurable: true, value: Object.assign(new EventTarget(), { register: vi.fn(async () => registration) }) });
+        window.PushManager = class {};
+        const { widget, socket, server } = await createWidget({ serviceWorker: '/notiphy-sw.js', vapidPublicKey: 'AQAB' });
+        await toggle(widget);
+
+        expect(navigator.serviceWorker.register).toHaveBeenCalledWith('/notiphy-sw.js');
+        expect(registration.pushManager.subscribe).toHaveBeenCalledWith({ userVisibleOnly: true, applicationServerKey: new Uint8Array([1, 0, 1]) });
+        expect(server.posted('/widget/push/subscribe')).toEqual([
+            { subscription: { endpoint: 'https://push.example/1', keys: {} }, subscriberId: 'acme', locationCode: 'store-1' },
+        ]);
+
+        hidePage();
+        await socket.serverEmit('notification', notification('n1'));
+        expect(FakeNotification.shown).toHaveLength(0);
+        expect(registration.showNotification).toHaveBeenCalledWith('Title n1', expect.objectContaining({ tag: 'notiphy-n1' }));
+
+        registration.pushManager.getSubscription.mockResolvedValue(subscription);
+        await toggle(widget);
+        expect(server.posted('/widget/push/unsubscribe')).toEqual([{ endpoint: 'https://push.example/1', subscriberId: 'acme' }]);
+        expect(subscription.unsubscribe).toHaveBeenCalled();
+    });
+
+    it("follows clicks the service worker passes on: the notification's actionUrl, or else the Inbox", async () => {
+        const container = Object.assign(new EventTarget(), { register: vi.fn(async () => ({ pushManager: {} })) });
+        Object.defineProperty(navigator, 'serviceWorker', { configurable: true, value: container });
+        const server = createFakeFetch({ notifications: [notification('n1', { actionUrl: 'https://example.com/orders/1' }), notification('n2')] });
+        const { widget } = await createWidget({ serviceWorker: '/notiphy-sw.js' }, server);
+        const navigate = vi.spyOn(widget, 'navigate').mockImplementation(() => {});
+        const click = (data) => container.dispatchEvent(new MessageEvent('message', { data: { type: 'notiphy-notification-click', ...data } }));
+
+        click({ id: 'n1', actionUrl: 'https://example.com/orders/1' });
+        expect(navigate).toHaveBeenCalledWith('https://example.com/orders/1');
+
+        click({ id: 'n2', actionUrl: null });
+        expect(widget.isOpen()).toBe(true);
+        click({ id: 'n2', actionUrl: null });
+        expect(widget.isOpen()).toBe(true);
+
+        click({ id: 'pushed', actionUrl: 'javascript:alert(1)' });
+        expect(navigate).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('shadow mode', () => {
+    const host = () => document.body.querySelector('.notiphy-host');
+
+    it('renders inside the shadow root, with the stylesheet adopted there', async () => {
+        vi.stubGlobal('CSSStyleSheet', class { replaceSync(cssText) { this.cssText = cssText; } });
+        Object.defineProperty(ShadowRoot.prototype, 'adoptedStyleSheets', { configurable: true, writable: true, value: [] });
+        try {
+            const { widget } = await createWidget({ shadow: true, toastAlert: true }, createFakeFetch({ notifications: [notification('n1')] }));
+            const root = host().shadowRoot;
+
+            expect(widget.shadowRoot).toBe(root);
+            expect(document.body.children).toHaveLength(1);
+            expect(root.querySelector('.notiphy-icon')).toBe(widget.query('.notiphy-icon'));
+            expect(root.querySelector('.notiphy-toaster')).not.toBeNull();
+            expect(root.querySelectorAll('.notiphy-notification-center-body .notiphy-notification-element')).toHaveLength(1);
+            expect(root.adoptedStyleSheets).toHaveLength(1);
+            expect(root.adoptedStyleSheets[0]).toBeInstanceOf(CSSStyleSheet);
+            expect(root.adoptedStyleSheets[0].cssText).toEqual(expect.any(String)); // The CSS itself is empty under test.
+            expect(root.querySelector('style')).toBeNull();
+        } finally {
+            delete ShadowRoot.prototype.adoptedStyleSheets;
+        }
+    });
+
+    it('falls back to a style element in the shadow root without constructable stylesheets', async () => {
+        await createWidget({ shadow: true });
+
+        expect(host().shadowRoot.querySelector('style')).not.toBeNull();
+    });
+
+    it('sets data-theme on its elements and the host, not on the document', async () => {
+        const { widget } = await createWidget({ shadow: true });
+        widget.setTheme('dark');
+
+        expect(host().getAttribute('data-theme')).toBe('dark');
+        expect(widget.query('.notiphy-notification-center').getAttribute('data-theme')).toBe('dark');
+        expect(document.documentElement.hasAttribute('data-theme')).toBe(false);
+    });
+
+    it('removes the host on destroy', async () => {
+        const { widget } = await createWidget({ shadow: true });
+        widget.destroy();
+
+        expect(host()).toBeNull();
+        expect(document.body.children).toHaveLength(0);
+    });
+});
+
+describe('destroy', () => {
+    it('removes everything it added, and disconnects the socket', async () => {
+        const { widget, socket } = await createWidget();
+        const disconnect = vi.spyOn(socket, 'disconnect');
+        widget.destroy();
+
+        expect(document.body.children).toHaveLength(0);
+        expect(disconnect).toHaveBeenCalled();
+        expect(widget.timers.size).toBe(0);
+    });
+});
@@ -0,0 +1,489 @@
+// Type definitions for notiphy-widget.
+// Hand-maintained: keep in sync with src/components/widget.js when adding options, events or methods.
+
+import type { Socket } from 'socket.io-client';
+
+export type AlertLevel = 'primary' | 'info' | 'success' | 'warning' | 'error' | 'blocker';
+
+export type ToastPosition = 'top-left' | 'top-center' | 'top-right' | 'bottom-left' | 'bottom-center' | 'bottom-right';
+
+/**
+ * A notification, as delivered by the Notiphy.me service.
+ */
+export interface Notification {
+    id: string;
+    title: string;
+    /** Plain text, or the sanitized HTML subset in `richText` mode. */
+    text: string;
+    /** Unstyled (gray) when omitted. "blocker" opens a modal. */
+    alertLevel?: AlertLevel | null;
+    /** Where clicking the notification (or its link button) goes. Ignored unless its scheme is in `allowedSchemes`. */
+    actionUrl?: string;
+    /** Show `actionUrl` as a button instead of making the whole body clickable. */
+    linkButton?: boolean;
+    /** The link button's label (default: "Click here"). */
+    linkButtonLabel?: string;
+    /** Buttons shown under the text, in the Inbox and on toasts. */
+    actions?: NotificationAction[];
+    /** Picks the renderer from `renderers`, before `alertLevel`. */
+    type?: string;
+    /** Threads the notification with others sharing it in the Inbox. Notifications without one are threaded by title. */
+    groupKey?: string;
+    read?: boolean;
+    dismissed?: boolean;
+    /** Time to live, in seconds. */
+    ttl?: number;
+    /** Creation time, as a Unix timestamp in seconds. */
+    _ts: number;
+    [key: string]: unknown;
+}
+
+/**
+ * A button on a notification. Its `type` defaults to "navigate" with a `url`, "handler" with a `handler`,
+ * and "post" otherwise.
+ */
+export interface NotificationAction {
+    /** Identifies the action to its handler and the service (default: its index in `actions`). */
+    id?: string;
+    label: string;
+    type?: 'navigate' | 'handler' | 'post';
+    /** Where "navigate" actions go. Ignored unless its scheme is in `allowedSchemes`. */
+    url?: string;
+    /** The name of the `actionHandlers` function "handler" actions call (default: the action's `id`). */
+    handler?: string;
+    /** Once the action succeeds, mark the notification as read or dismiss it. */
+    after?: 'read' | 'dismiss';
+    /** Button style: "primary" or "danger" (default: neutral). */
+    style?: string;
+    [key: string]: unknown;
+}
+
+/** Runs a "handler" action. Resolving `false` skips the action's `after` step. */
+export type ActionHandler = (notification: Notification, action: NotificationAction, widget: NotiphyWidget) => unknown;
+
+/**
+ * How long to snooze for: `minutes` from now, or the next time it is `at` ("HH:MM", local time),
+ * `days` days from today if given.
+ */
+export type SnoozeOption =
+    | { label: string; minutes: number }
+    | { label: string; at: string; days?: number };
+
+export interface RenderContext {
+    /** "item" in the Inbox, or "toast". */
+    view: 'item' | 'toast';
+    widget: NotiphyWidget;
+    /** The notification's actionUrl, or null if it has none or its scheme isn't allowed. */
+    actionUrl: string | null;
+    /** Escapes text for use in HTML markup. */
+    escape(text: unknown): string;
+    /** Sanitizes HTML to the rich text subset (bold, italics, code and links). */
+    sanitize(html: string): DocumentFragment;
+}
+
+/**
+ * Renders the content of a notification, in place of the built-in icon, title, text and link button.
+ * Strings are inserted as HTML: escape notification fields with `context.escape()`.
+ */
+export type RenderFunction = (notification: Notification, context: RenderContext) => Node | string;
+
+/** A render function, a template string with HTML-escaped `{{field}}` placeholders, or one of either per view. */
+export type Renderer = RenderFunction | string | { item?: RenderFunction | string; toast?: RenderFunction | string };
+
+/** What `getToken` may resolve with, besides the token itself (a JWT's `exp` claim is read for its expiry). */
+export interface TokenResult {
+    token: string;
+    /** When it expires, as a Date or in milliseconds since the epoch. */
+    expiresAt?: Date | number;
+}
+
+export interface NotiphyConfig {
+    /** The subscriberId for the notification service. */
+    subscriberId: string;
+    /** The widget API key for the notification service. Required unless `getToken` is given. */
+    widgetKey?: string | null;
+    /**
+     * Resolves with a short-lived token for the current user, sent in place of the widgetKey: as a bearer token, and
+     * in the socket handshake. Renewed shortly before it expires, and when the service refuses it.
+     */
+    getToken?: (() => Promise<string | TokenResult>) | null;
+    /** The base URL for the notification service (default: "https://app.notiphy.me"). */
+    serviceUrl?: string;
+    /** The location ID for the notification service (default: "default"). */
+    locationId?: string;
+    /** The title to be displayed in the Inbox (default: "Inbox"). */
+    widgetTitle?: string;
+    /** Play a sound when a new notification is received (default: false). */
+    audioAlert?: boolean;
+    /** Play an audible reminder of unread notifications (default: false). */
+    audioReminder?: boolean;
+    /** Interval in seconds to play the reminder sound (default: 180). */
+    reminderInterval?: number;
+    /** Display a toast when a new notification is received (default: false). */
+    toastAlert?: boolean;
+    /** Position of the toasts (default: "bottom-right"). */
+    toastPosition?: ToastPosition;
+    /** Duration in seconds to display a toast (default: 4). */
+    toastDuration?: number;
+    /** Show new notifications through the operating system while the page is hidden (default: false). Needs permission. */
+    desktopAlert?: boolean;
+    /** URL of the service worker to register for Web Push, e.g. "/notiphy-sw.js", so notifications arrive with no tab open. */
+    serviceWorker?: string | null;
+    /** The service's VAPID public key (URL-safe base64), needed with `serviceWorker`. */
+    vapidPublicKey?: string | null;
+    /** Width of the Inbox (default: "300px"). */
+    width?: string;
+    /** Height of the Inbox (default: "400px"). */
+    height?: string;
+    /** Show the Inbox when the widget loads (default: false). */
+    showInboxOnLoad?: boolean;
+    /** Interval in seconds to refresh the Inbox, minimum 300 (default: 0, no auto-refresh). */
+    refreshInterval?: number;
+    /** Show the Notiphy.me logo in the Inbox footer (default: true). */
+    branded?: boolean;
+    /** Render a smaller, relatively positioned icon inside `targetElement` (default: false). */
+    compact?: boolean;
+    /** CSS selector of the element to render the widget in, for compact mode. */
+    targetElement?: string | null;
+    /** Render inside a shadow root, isolated from the host page's CSS (default: false). */
+    shadow?: boolean;
+    /** Render bold, italics, code and links in notification text, through the built-in sanitizer (default: false). */
+    richText?: boolean;
+    /** URL schemes allowed in `actionUrl` and rich text links (default: ["https:", "http:", "mailto:", "tel:"]). */
+    allowedSchemes?: string[];
+    /** Custom item and toast content, keyed by notification `type` or `alertLevel`, or "default". */
+    renderers?: Record<string, Renderer>;
+    /** The choices in an Inbox item's snooze menu (default: 15 minutes, 1 hour, 3 hours, tomorrow at 9:00). */
+    snoozeOptions?: SnoozeOption[];
+    /** Notifications fetched per page, older pages loading as the Inbox is scrolled (default: 50, 0 fetches all at once). */
+    pageSize?: number;
+    /** Only render the Inbox items in and near view (default: true). */
+    virtualize?: boolean;
+    /** Share one real-time connection between the browser's tabs, one of them playing the sounds (default: true). */
+    tabSync?: boolean;
+    /**
+     * How to receive notifications: "auto" falls back from WebSockets to Server-Sent Events to polling (default: "auto").
+     * Server-Sent Events need `getToken`, as the credentials go in the stream's URL; without it, polling is used instead.
+     */
+    realtime?: RealtimeMode | 'auto';
+    /** Functions run by "handler" actions, by name. More can be added with `registerActionHandler()`. */
+    actionHandlers?: Record<string, ActionHandler>;
+    /** A Socket.IO client `io` factory to use instead of the bundled one. */
+    io?: ((uri: string, options?: object) => Socket) | null;
+    /** An existing Socket.IO socket, connected to the `/<subscriberId>` namespace, to use as-is. */
+    socket?: Socket | null;
+    /** A custom backend. Defaults to the Notiphy.me REST API and Socket.IO. */
+    transport?: Transport | null;
+}
+
+export interface TransportRequestOptions {
+    signal?: AbortSignal;
+}
+
+export interface FetchNotificationsOptions extends TransportRequestOptions {
+    /** At most this many notifications, newest first. */
+    limit?: number;
+    /** Only notifications created before this time (Unix seconds), for the next page. */
+    before?: number;
+}
+
+export interface RealtimeHandlers {
+    connect(): void;
+    disconnect(reason?: string): void;
+    notification(notification: Notification): void;
+    /** A notification was marked as read by another widget. */
+    read(notificationId: string): void;
+    /** A notification was dismissed by another widget. */
+    dismiss(notificationId: string): void;
+    error(error: unknown): void;
+}
+
+/**
+ * Everything the widget needs from a backend.
+ */
+export interface Transport {
+    /** Notifications changed since `lastFetched` (Unix seconds, 0 for all), dismissed ones flagged `dismissed: true`. */
+    fetchNotifications(lastFetched: number, options?: FetchNotificationsOptions): Promise<Notification[]>;
+    /** Marks a notification as read, and tells other widgets at this location. */
+    markRead(notificationId: string, options?: TransportRequestOptions): Promise<{ message?: string }>;
+    /** Dismisses a notification, and tells other widgets at this location. */
+    dismiss(notificationId: string, options?: TransportRequestOptions): Promise<{ message?: string }>;
+    /** Marks several notifications as read in one request. Without it, markRead() is called for each. */
+    markReadMany?(notificationIds: string[], options?: TransportRequestOptions): Promise<{ message?: string }>;
+    /** Dismisses several notifications in one request. Without it, dismiss() is called for each. */
+    dismissMany?(notificationIds: string[], options?: TransportRequestOptions): Promise<{ message?: string }>;
+    /** Sends a notification's "post" action to the service. Only needed for notifications with actions. */
+    invokeAction?(notificationId: string, actionId: string, options?: TransportRequestOptions): Promise<unknown>;
+    /** Registers a Web Push subscription, `PushSubscription.toJSON()`. Only needed with `serviceWorker`. */
+    subscribePush?(subscription: PushSubscriptionJSON, options?: TransportRequestOptions): Promise<unknown>;
+    /** Removes a Web Push subscription registered with subscribePush(). */
+    unsubscribePush?(subscription: PushSubscriptionJSON, options?: TransportRequestOptions): Promise<unknown>;
+    /**
+     * Tells other widgets at this location that a notification was marked as read or dismissed in another tab,
+     * one without real-time delivery. Only called while subscribed.
+     */
+    announce?(type: 'read' | 'dismiss', notificationId: string): void;
+    /**
+     * Starts real-time delivery. Returns a function that unsubscribes. With tab sync, only one tab subscribes at
+     * a time, and it may subscribe again after close().
+     */
+    subscribe(handlers: RealtimeHandlers): () => void;
+    connect(): void;
+    disconnect(): void;
+    readonly connected: boolean;
+    /** How real-time delivery works, e.g. "websocket", shown in the Inbox's stats bar. */
+    readonly mode?: string | null;
+    /** Releases everything, called by the widget's destroy() and when another tab takes over real-time delivery. */
+    close?(): void;
+}
+
+/**
+ * Thrown by transports when the service responds with a non-OK status, or with status 0 when it can't be reached.
+ * Only these (with status 0, 5xx, 408 or 429) and fetch()'s own network errors are retried.
+ */
+export class TransportError extends Error {
+    constructor(message: string, status: number, retryAfter?: number);
+    status: number;
+    /** Seconds to wait before trying again, from the response's Retry-After header. */
+    retryAfter?: number;
+    /** Whether an error means the service refused the widget's credentials, e.g. a 401 or 403. */
+    static isAuthError(error: unknown): boolean;
+    /** Whether an error means the request didn't reach the service: status 0, or fetch()'s network TypeError. */
+    static isNetworkError(error: unknown): boolean;
+}
+
+/**
+ * How the default transport receives notifications: Socket.IO, Server-Sent Events from
+ * `/widget/notifications/stream` (with `getToken` only), or polling `/widget/notifications`.
+ */
+export type RealtimeMode = 'websocket' | 'sse' | 'polling';
+
+/**
+ * The default transport: the Notiphy.me REST API, and Socket.IO for real-time delivery, falling back to Server-Sent
+ * Events or polling where WebSockets are blocked.
+ */
+export class NotiphyTransport implements Transport {
+    constructor(config: NotiphyConfig);
+    fetchNotifications(lastFetched: number, options?: FetchNotificationsOptions): Promise<Notification[]>;
+    markRead(notificationId: string, options?: TransportRequestOptions): Promise<{ message?: string }>;
+    dismiss(notificationId: string, options?: TransportRequestOptions): Promise<{ message?: string }>;
+    markReadMany(notificationIds: string[], options?: TransportRequestOptions): Promise<{ message?: string }>;
+    dismissMany(notificationIds: string[], options?: TransportRequestOptions): Promise<{ message?: string }>;
+    invokeAction(notificationId: string, actionId: string, options?: TransportRequestOptions): Promise<{ message?: string }>;
+    subscribePush(subscription: PushSubscriptionJSON, options?: TransportRequestOptions): Promise<{ message?: string }>;
+    unsubscribePush(subscription: PushSubscriptionJSON, options?: TransportRequestOptions): Promise<{ message?: string }>;
+    announce(type: 'read' | 'dismiss', notificationId: string): void;
+    subscribe(handlers: RealtimeHandlers): () => void;
+    connect(): void;
+    disconnect(): void;
+    readonly connected: boolean;
+    /** The mode in use, or being tried. `null` until subscribed. */
+    readonly mode: RealtimeMode | null;
+    /** The modes to try, best first, from the `realtime` config. */
+    modes(): RealtimeMode[];
+    close(): void;
+}
+
+export interface MockTransportOptions {
+    /** Notifications to start with. */
+    notifications?: Partial<Notification>[];
+    /** Simulated network latency in milliseconds (default: 0). */
+    latency?: number;
+    /** Connect as soon as the widget subscribes (default: true). */
+    autoConnect?: boolean;
+}
+
+/** An in-memory transport, for developing and testing the widget with no network. */
+export class MockTransport implements Transport {
+    constructor(options?: MockTransportOptions);
+    fetchNotifications(lastFetched?: number, options?: FetchNotificationsOptions): Promise<Notification[]>;
+    markRead(notificationId: string): Promise<{ message: string }>;
+    dismiss(notificationId: string): Promise<{ message: string }>;
+    markReadMany(notificationIds: string[]): Promise<{ message: string }>;
+    dismissMany(notificationIds: string[]): Promise<{ message: string }>;
+    invokeAction(notificationId: string, actionId: string): Promise<{ message: string }>;
+    /** Every "post" action received, in order. */
+    invokedActions: { notificationId: string; actionId: string }[];
+    subscribe(handlers: RealtimeHandlers): () => void;
+    connect(): void;
+    disconnect(reason?: string): void;
+    connected: boolean;
+    close(): void;
+    /** Delivers a new notification, as the server would. `id` and `_ts` are filled in if missing. */
+    push(notification: Partial<Notification>): Notification;
+    /** Marks a notification as read as if another widget at this location did. */
+    remoteRead(notificationId: string): void;
+    /** Dismisses a notification as if another widget at this location did. */
+    remoteDismiss(notificationId: string): void;
+}
+
+export interface NotificationIdDetail {
+    id: string;
+}
+
+export interface RemoteNotificationIdDetail extends NotificationIdDetail {
+    /** `true` when the change came from another widget. */
+    remote: boolean;
+}
+
+/**
+ * The state of real-time delivery, as shown in the Inbox: connecting for the first time, connected, trying again
+ * after losing the connection, disconnected by the user, or refused by the service (not retried).
+ */
+export type ConnectionState = 'connecting' | 'online' | 'reconnecting' | 'offline' | 'auth-failed';
+
+export interface ConnectionDetail {
+    locationId: string;
+    reason?: string;
+    /** On `disconnect`, the state it went to. */
+    state?: ConnectionState;
+}
+
+export interface ActionDetail extends NotificationIdDetail {
+    /** The action's `id`. */
+    action: string;
+}
+
+export interface ActionResultDetail extends ActionDetail {
+    /** What the handler or the service returned. */
+    result: unknown;
+}
+
+export interface SnoozeDetail extends RemoteNotificationIdDetail {
+    /** When it wakes, in milliseconds since the epoch. */
+    until: number;
+}
+
+export interface ErrorDetail {
+    type: 'connection' | 'fetch' | 'mark-read' | 'dismiss' | 'action' | 'push';
+    id?: string;
+    error: unknown;
+    /** For `fetch`, what kind of failure it was, as shown in the Inbox's banner. */
+    kind?: 'auth' | 'rate-limit' | 'offline' | 'server';
+    /** For `fetch`, when the widget will try again, in ms, or `null` if it won't. */
+    retryIn?: number | null;
+}
+
+/** The `change` event's detail: what changed, and the Inbox's counts since. */
+export interface ChangeDetail extends Counts {
+    /** The notifications that were added, changed or removed. */
+    ids: string[];
+}
+
+export interface Counts {
+    /** Unread notifications in the Inbox, regardless of its tab and search. */
+    unread: number;
+    /** Notifications in the Inbox, regardless of its tab and search. */
+    total: number;
+}
+
+/**
+ * Event names mapped to the `detail` their listeners receive.
+ */
+export interface NotiphyEventMap {
+    'notification': Notification;
+    'read': RemoteNotificationIdDetail;
+    'dismiss': RemoteNotificationIdDetail;
+    'action': ActionResultDetail;
+    'snooze': SnoozeDetail;
+    /** A snoozed notification is back in the Inbox. */
+    'wake': RemoteNotificationIdDetail;
+    /** The Inbox or its counts changed. */
+    'change': ChangeDetail;
+    'open': {};
+    'close': {};
+    'connect': ConnectionDetail;
+    'disconnect': ConnectionDetail;
+    'destroy': {};
+    'error': ErrorDetail;
+    'before-notification': Notification;
+    'before-read': NotificationIdDetail;
+    'before-dismiss': NotificationIdDetail;
+    'before-action': ActionDetail;
+    'before-snooze': NotificationIdDetail & { until: number };
+    'before-open': {};
+    'before-close': {};
+}
+
+export interface NotiphyEvent<T = unknown> {
+    readonly type: string;
+    readonly detail: T;
+    readonly cancelable: boolean;
+    readonly defaultPrevented: boolean;
+    readonly timeStamp: number;
+    /** Stops the widget's default behavior. Only has an effect on "before-*" events. */
+    preventDefault(): void;
+}
+
+export type NotiphyListener<K extends keyof NotiphyEventMap> = (detail: NotiphyEventMap[K], event: NotiphyEvent<NotiphyEventMap[K]>) => void;
+
+export default class NotiphyWidget {
+    static NotiphyTransport: typeof NotiphyTransport;
+    static MockTransport: typeof MockTransport;
+    static TransportError: typeof TransportError;
+
+    constructor(config: NotiphyConfig);
+
+    config: Required<NotiphyConfig>;
+    /** Every notification the widget holds, including snoozed ones and those still showing as a toast. */
+    readonly notifications: Notification[];
+    /** The state of real-time delivery, in this tab or the leading one. */
+    readonly connectionState: ConnectionState;
+
+    on<K extends keyof NotiphyEventMap>(event: K, callback: NotiphyListener<K>): this;
+    off<K extends keyof NotiphyEventMap>(event?: K, callback?: NotiphyListener<K>): this;
+
+    /** Whether the Inbox is currently open. */
+    isOpen(): boolean;
+    /** Resolves `false` if the Inbox was already open or the open was canceled. */
+    open(): Promise<boolean>;
+    /** Resolves `false` if the Inbox was already closed or the close was canceled. */
+    close(): Promise<boolean>;
+    /**
+     * Shows the notification as read right away, whether it is in the Inbox, snoozed or showing as a toast. Resolves
+     * `true` once the server has marked it as read, retrying while it can't be reached, or `false` if it wasn't found
+     * or the server rejected it (it is then shown as unread again).
+     */
+    markRead(notificationId: string): Promise<boolean>;
+    /** Marks every unread notification in the Inbox as read, in one request. Resolves once the server has responded. */
+    markAllRead(): Promise<boolean[]>;
+    /**
+     * Removes the notification right away, from the Inbox, its snooze or its toast. Resolves `true` once the server
+     * has dismissed it, retrying while it can't be reached, or `false` if it wasn't found or the server rejected it
+     * (it is then put back in the Inbox).
+     */
+    dismiss(notificationId: string): Promise<boolean>;
+    /**
+     * Hides a notification from the Inbox and counts until `until`, then brings it back with a toast and sound.
+     * Survives reloads, and applies to every tab. Resolves `false` if it isn't in the Inbox or `until` has passed.
+     */
+    snooze(notificationId: string, until: Date | number | Omit<SnoozeOption, 'label'>): Promise<boolean>;
+    /** Ends a snooze early, without a toast. */
+    unsnooze(notificationId: string): Promise<boolean>;
+    /**
+     * Changes the Inbox's tab ("all", "unread" or an alertLevel) and/or search text. The Inbox's unread and
+     * total counts follow the filter, the icon's badge doesn't.
+     */
+    setFilter(filter: { tab?: 'all' | 'unread' | AlertLevel | string; search?: string }): this;
+    /** Registers a function for "handler" actions to call, by name. */
+    registerActionHandler(name: string, handler: ActionHandler): this;
+    /** Runs a notification's action as if its button was clicked. Resolves `true` once it has run. */
+    runAction(notificationId: string, actionId: string): Promise<boolean>;
+    /** Dismisses every notification in the Inbox, in one request. Resolves once the server has responded. */
+    dismissAllNotifications(): Promise<boolean[]>;
+    /** Re-fetches the notifications and updates the Inbox where they changed. */
+    refresh(): Promise<void>;
+    /** The unread and total notifications in the Inbox, as shown on its badge. */
+    getCounts(): Counts;
+    /** Fetches the next page of older notifications. Resolves with how many were added, 0 once there are no more. */
+    loadMore(): Promise<number>;
+    /**
+     * Turns desktop notifications on or off, as the settings dropdown does. Turning them on asks for permission
+     * first. Resolves with whether they're on.
+     */
+    toggleDesktopAlert(): Promise<boolean>;
+    /** Whether this tab holds the real-time connection and plays the sounds. Always `true` with `tabSync: false`. */
+    isLeader(): boolean;
+    /** Removes the widget from the page, a new widget can be created afterwards. */
+    destroy(): void;
+}
@@ -1,29 +1,48 @@
 import path from 'path';
 import { defineConfig } from 'vite';
 
-export default defineConfig({
-  build: {
-    outDir: 'dist',
-    lib: {
-      entry: path.resolve(__dirname, 'src/components/widget.js'),
-      name: 'NotiphyWidget',
-      fileName: (format) => `notiphy-widget.v1.1.${format}.js`,
-      formats: ['umd']
-    },
-    rollupOptions: {
-      output: {
-        globals: {},
-        assetFileNames: (assetInfo) => {
-          if (assetInfo.name === 'style.css') {
-            return 'notiphy.min.css';
+// `vite build` emits the UMD build, which bundles the Socket.IO client for <script> tag use.
+// `vite build --mode modules` emits the ES module and CommonJS builds, which import socket.io-client as a dependency.
+const fileNames = {
+  umd: 'notiphy-widget.v1.1.umd.js',
+  es: 'notiphy-widget.v1.1.mjs',
+  cjs: 'notiphy-widget.v1.1.cjs'
+};
+
+export default defineConfig(({ mode }) => {
+  const modules = mode === 'modules';
+  return {
+    build: {
+      outDir: 'dist',
+      emptyOutDir: !modules, // the module builds run second, keep the UMD build.
+      lib: {
+        entry: path.resolve(__dirname, 'src/components/widget.js'),
+        name: 'NotiphyWidget',
+        fileName: (format) => fileNames[format],
+        formats: modules ? ['es', 'cjs'] : ['umd']
+      },
+      rollupOptions: {
+        external: modules ? [/^socket\.io-client(\/.*)?$/] : [],
+        output: {
+          globals: {},
+          // UMD: window.NotiphyWidget is the class. CommonJS: require('notiphy-widget').default, matching the typings.
+          exports: modules ? 'named' : 'default',
+          assetFileNames: (assetInfo) => {
+            if (assetInfo.name === 'style.css') {
+              return 'notiphy.min.css';
+            }
+            return assetInfo.name;
           }
-          return assetInfo.name;
         }
       }
-    }
-  },
-  server: {
-    open: true,
-  },
-  assetsInclude: ['**/*.mp3']
+    },
+    server: {
+      open: true,
+    },
+    test: {
+      environment: 'jsdom',
+      setupFiles: ['test/setup.js']
+    },
+    assetsInclude: ['**/*.mp3']
+  };
 });